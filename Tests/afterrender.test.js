@@ -0,0 +1,94 @@
+/**
+ * @jest-environment jsdom
+ */
+const { insertIntoElement, appendIntoElement, replaceIntoElement } = require('../src/cattownMain');
+
+const diagram = (source) => `\`\`\`mermaid\n${source}\n\`\`\``;
+
+// Settings with a hook drawing the diagrams like a diagram library would,
+// replacing their source with an SVG
+const withHook = () => {
+  const afterRender = jest.fn((element, nodes) => {
+    nodes
+      .filter((node) => node.classList.contains('diagram'))
+      .forEach((node) => {
+        node.innerHTML = `<svg data-source="${node.textContent}"></svg>`;
+      });
+  });
+  const settings = {
+    useCustomTheme: false,
+    enableSanitization: false,
+    fenceHandlers: { mermaid: 'diagram' },
+    afterRender,
+  };
+  return { afterRender, settings };
+};
+
+const tagsOf = (nodes) => nodes.map((node) => node.outerHTML.slice(0, node.outerHTML.indexOf('>') + 1));
+
+test('insertIntoElement passes every top-level element to afterRender', () => {
+  const { afterRender, settings } = withHook();
+  const element = document.createElement('div');
+  insertIntoElement(`Intro\n\n${diagram('A --> B')}`, element, settings);
+
+  expect(afterRender).toHaveBeenCalledTimes(1);
+  const [target, nodes] = afterRender.mock.calls[0];
+  expect(target).toBe(element);
+  expect(tagsOf(nodes)).toEqual(['<p>', '<div class="diagram" data-lang="mermaid">']);
+  expect(element.querySelector('.diagram').innerHTML).toBe('<svg data-source="A --> B"></svg>');
+});
+
+test('appendIntoElement passes only the appended elements', () => {
+  const { afterRender, settings } = withHook();
+  const element = document.createElement('div');
+  insertIntoElement('Intro', element, settings);
+  appendIntoElement(`\n\n${diagram('C --> D')}`, element, settings);
+
+  expect(afterRender).toHaveBeenCalledTimes(2);
+  const nodes = afterRender.mock.calls[1][1];
+  expect(tagsOf(nodes)).toEqual(['<div class="diagram" data-lang="mermaid">']);
+  expect(nodes[0].parentNode).toBe(element);
+  expect(nodes[0].innerHTML).toBe('<svg data-source="C --> D"></svg>');
+});
+
+test('replaceIntoElement runs afterRender only on changed elements', () => {
+  const { afterRender, settings } = withHook();
+  const element = document.createElement('div');
+  insertIntoElement(`Intro\n\n${diagram('A --> B')}\n\nOutro`, element, settings);
+  const drawn = element.querySelector('.diagram');
+
+  // The drawn diagram differs from its new markup, but its markdown didn't
+  // change: it's compared by the markup it was inserted with and kept
+  replaceIntoElement(`Intro, edited\n\n${diagram('A --> B')}\n\nOutro`, element, settings);
+  expect(afterRender).toHaveBeenCalledTimes(2);
+  expect(tagsOf(afterRender.mock.calls[1][1])).toEqual(['<p>']);
+  expect(afterRender.mock.calls[1][1][0].textContent).toBe('Intro, edited');
+  expect(element.querySelector('.diagram')).toBe(drawn);
+  expect(drawn.innerHTML).toBe('<svg data-source="A --> B"></svg>');
+
+  // A changed diagram is replaced and drawn again
+  replaceIntoElement(`Intro, edited\n\n${diagram('A --> C')}\n\nOutro`, element, settings);
+  expect(afterRender).toHaveBeenCalledTimes(3);
+  const nodes = afterRender.mock.calls[2][1];
+  expect(tagsOf(nodes)).toEqual(['<div class="diagram" data-lang="mermaid">']);
+  expect(element.querySelector('.diagram')).toBe(nodes[0]);
+  expect(nodes[0].innerHTML).toBe('<svg data-source="A --> C"></svg>');
+
+  // Nothing changed, nothing to process
+  replaceIntoElement(`Intro, edited\n\n${diagram('A --> C')}\n\nOutro`, element, settings);
+  expect(afterRender).toHaveBeenCalledTimes(4);
+  expect(afterRender.mock.calls[3][1]).toEqual([]);
+});
+
+test('Rejected afterRender promises are reported', async () => {
+  const error = jest.spyOn(console, 'error').mockImplementation(() => {});
+  const element = document.createElement('div');
+  insertIntoElement('text', element, {
+    enableSanitization: false,
+    afterRender: () => Promise.reject(new Error('draw failed')),
+  });
+  await Promise.resolve();
+  await Promise.resolve();
+  expect(error).toHaveBeenCalledWith('Cattown - afterRender failed! Error: \n', expect.any(Error));
+  error.mockRestore();
+});
@@ -0,0 +1,33 @@
+const { default: returnHTML } = require('../src/cattownMain');
+
+const options = { useCustomTheme: false };
+
+test('Bare URLs, www links and emails become links', () => {
+  expect(returnHTML("Go to https://example.com/a_b, www.example.com or mail alice@example.com.", options)).toBe(
+    '<p>Go to <a href="https://example.com/a_b">https://example.com/a_b</a>, ' +
+    '<a href="http://www.example.com">www.example.com</a> or mail ' +
+    '<a href="mailto:alice@example.com">alice@example.com</a>.</p>'
+  );
+});
+
+test('Trailing punctuation and unbalanced parentheses stay text', () => {
+  expect(returnHTML("(see https://en.wikipedia.org/wiki/Cat_(disambiguation))!", options)).toBe(
+    '<p>(see <a href="https://en.wikipedia.org/wiki/Cat_(disambiguation)">https://en.wikipedia.org/wiki/Cat_(disambiguation)</a>)!</p>'
+  );
+});
+
+test('Angle-bracket autolinks', () => {
+  expect(returnHTML("<https://example.com/*not*> <bob@example.org>", options)).toBe(
+    '<p><a href="https://example.com/*not*">https://example.com/*not*</a> ' +
+    '<a href="mailto:bob@example.org">bob@example.org</a></p>'
+  );
+});
+
+test('No autolinks inside links or with the setting off', () => {
+  expect(returnHTML("[https://a.com](https://b.com)", options)).toBe(
+    '<p><a href="https://b.com">https://a.com</a></p>'
+  );
+  expect(returnHTML("https://a.com <https://b.com>", { ...options, autolinks: false })).toBe(
+    '<p>https://a.com &lt;https://b.com&gt;</p>'
+  );
+});
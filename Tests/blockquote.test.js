@@ -0,0 +1,32 @@
+const { default: returnHTML } = require('../src/cattownMain');
+
+test('Nested blockquotes', () => {
+  expect(returnHTML("> a\n> > b\n> > > c", { useCustomTheme: false })).toBe(
+    "<blockquote><p>a</p>\n<blockquote><p>b</p>\n<blockquote><p>c</p></blockquote></blockquote></blockquote>"
+  );
+});
+
+test('Block elements inside blockquotes', () => {
+  expect(returnHTML("> 1. one\n> 2. two\n>\n> ```\n> code\n> ```", { useCustomTheme: false })).toBe(
+    "<blockquote><ol>\n<li>one</li>\n<li>two</li>\n</ol>\n<pre><code>code</code></pre></blockquote>"
+  );
+});
+
+test('Blockquotes nested thousands of levels deep still render', () => {
+  const options = { useCustomTheme: false, enableSanitization: false };
+  const html = returnHTML("> ".repeat(5000) + "x[^1]\n\n[^1]: note", options);
+  expect(html.startsWith("<blockquote>".repeat(5000) + "<p>x<sup>")).toBe(true);
+  expect(html.match(/<\/blockquote>/g)).toHaveLength(5000);
+  expect(html).toContain("<section><ol>");
+  expect(returnHTML("> ".repeat(1000) + "x", options)).toBe(
+    "<blockquote>".repeat(1000) + "<p>x</p>" + "</blockquote>".repeat(1000)
+  );
+});
+
+test('Lists nested thousands of levels deep still render', () => {
+  const markdown = Array.from({ length: 2000 }, (_, i) => "  ".repeat(i) + `- item ${i}`).join("\n");
+  const html = returnHTML(markdown, { useCustomTheme: false, enableSanitization: false });
+  expect(html.match(/<ul>/g)).toHaveLength(2000);
+  expect(html).toContain("<li>item 1998<ul>\n<li>item 1999</li>\n</ul></li>");
+  expect(html.endsWith("</li>\n</ul>")).toBe(true);
+});
@@ -0,0 +1,61 @@
+const { default: returnHTML, parse } = require('../src/cattownMain');
+
+const options = { useCustomTheme: false, enableSanitization: false };
+const icon = (paths) =>
+  '<svg class="callout-icon" viewBox="0 0 16 16" width="16" height="16" fill="none" stroke="currentColor" ' +
+  `stroke-width="1.5" stroke-linecap="round" stroke-linejoin="round" aria-hidden="true">${paths}</svg>`;
+const warningIcon = icon('<path d="M8 1.75L15 14H1z"/><path d="M8 6v3.5M8 11.75v.01"/>');
+const noteIcon = icon('<circle cx="8" cy="8" r="6.5"/><path d="M8 7.5v3.5M8 5v.01"/>');
+const tipIcon = icon('<path d="M8 1.5a4.5 4.5 0 0 0-2.5 8.2V11h5V9.7A4.5 4.5 0 0 0 8 1.5zM6 13h4M6.75 14.75h2.5"/>');
+
+test('GitHub-style blockquote callouts', () => {
+  expect(parse('> [!WARNING]\n> Careful')).toEqual([
+    { megaType: 'callout', kind: 'warning', content: [{ megaType: 'paragraph', content: [{ type: 'text', content: 'Careful' }] }] },
+  ]);
+  expect(returnHTML('> [!warning] Heads **up**\n> Careful\n>\n> - a', options)).toBe(
+    `<div class="callout callout-warning"><div class="callout-title">${warningIcon}Heads <strong>up</strong></div>\n` +
+    '<p>Careful</p>\n<ul>\n<li>a</li>\n</ul></div>'
+  );
+  expect(returnHTML('> [!FOO]\n> x', options)).toBe('<blockquote><p>[!FOO]\nx</p></blockquote>');
+});
+
+test(':::kind containers nest and ignore ::: in code', () => {
+  expect(returnHTML(':::danger\nOuter\n:::note\ninner\n:::\n```\n:::\n```\n:::\nafter', options)).toBe(
+    `<div class="callout callout-danger"><div class="callout-title">${noteIcon}Danger</div>\n` +
+    '<p>Outer</p>\n' +
+    `<div class="callout callout-note"><div class="callout-title">${noteIcon}Note</div>\n<p>inner</p></div>\n` +
+    '<pre><code>:::</code></pre></div>\n<p>after</p>'
+  );
+});
+
+test('Callouts get theme classes and source positions', () => {
+  expect(returnHTML(':::tip Title\nx\n:::', { ...options, useCustomTheme: true })).toContain(
+    '<div class="ct-parsed callout callout-tip"><div class="ct-parsed callout-title"><svg class="ct-parsed callout-icon"'
+  );
+  const [callout] = parse(':::tip Title\nx\n:::', { sourcePositions: true });
+  expect(callout.title[0].position.start).toEqual({ line: 1, column: 8, offset: 7 });
+  expect(callout.position.end.line).toBe(3);
+});
+
+test('Callout containers nested thousands of levels deep still render', () => {
+  const html = returnHTML(':::note\n'.repeat(3000) + ':::tip Deep title\ntext', options);
+  expect(html.match(/<div class="callout callout-note">/g)).toHaveLength(3000);
+  expect(html).toContain(
+    `<div class="callout callout-tip"><div class="callout-title">${tipIcon}Deep title</div>\n<p>text</p></div>` +
+    '</div>'.repeat(3000)
+  );
+});
+
+test('::: containers allow a space before the kind', () => {
+  expect(returnHTML('::: warning Heads up\nOuter\n:::  note\ninner\n:::\n:::', options)).toBe(
+    `<div class="callout callout-warning"><div class="callout-title">${warningIcon}Heads up</div>\n` +
+    '<p>Outer</p>\n' +
+    `<div class="callout callout-note"><div class="callout-title">${noteIcon}Note</div>\n<p>inner</p></div></div>`
+  );
+});
+
+test('Kinds named like Object.prototype members fall back to the note icon', () => {
+  expect(returnHTML(':::constructor\nx\n:::', options)).toBe(
+    `<div class="callout callout-constructor"><div class="callout-title">${noteIcon}Constructor</div>\n<p>x</p></div>`
+  );
+});
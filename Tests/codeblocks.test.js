@@ -0,0 +1,37 @@
+const { default: returnHTML, parse } = require('../src/cattownMain');
+
+const options = { useCustomTheme: false, LanguageNameInCode: false, IconInCode: false, enableSanitization: false };
+
+test('Info strings are parsed into language and attributes', () => {
+  expect(parse('```js title="app.js" {1,3-4} showLineNumbers=9\ncode\n```')).toEqual([
+    {
+      megaType: 'codeBlock',
+      content: 'code',
+      language: 'js',
+      info: 'js title="app.js" {1,3-4} showLineNumbers=9',
+      filename: 'app.js',
+      highlightLines: [1, 3, 4],
+      showLineNumbers: true,
+      startLine: 9,
+    },
+  ]);
+  expect(parse('~~~~\n```\n~~~~')).toEqual([{ megaType: 'codeBlock', content: '```', language: '' }]);
+});
+
+test('Lines get wrappers with numbers and highlight classes', () => {
+  expect(returnHTML('```js title="app.js" {2} showLineNumbers\na\n/* b\nc */\n```', options)).toBe(
+    '<div>app.js</div><pre><code class="language-js">' +
+    '<span class="code-line"><span class="line-number" aria-hidden="true">1</span>a</span>\n' +
+    '<span class="code-line highlighted-line"><span class="line-number" aria-hidden="true">2</span><span class="tok-comment">/* b</span></span>\n' +
+    '<span class="code-line"><span class="line-number" aria-hidden="true">3</span><span class="tok-comment">c */</span></span>' +
+    '</code></pre>'
+  );
+});
+
+test('Diff mode marks added and removed lines', () => {
+  expect(returnHTML('```diff\n+ added\n- removed\n same\n```', { ...options, useCustomTheme: true })).toContain(
+    '<span class="ct-parsed code-line diff-add">+ added</span>\n' +
+    '<span class="ct-parsed code-line diff-remove">- removed</span>\n' +
+    '<span class="ct-parsed code-line"> same</span>'
+  );
+});
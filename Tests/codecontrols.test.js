@@ -0,0 +1,123 @@
+/**
+ * @jest-environment jsdom
+ */
+const { insertIntoElement, appendIntoElement, replaceIntoElement } = require('../src/cattownMain');
+
+const options = { enableSanitization: false, IconInCode: false, syntaxHighlight: false };
+const code = '```js showLineNumbers\nconst a = 1;\nconst b = 2;\nconst c = 3;\n```';
+
+// Lets the clipboard promise chain settle
+const settle = async () => {
+  for (let i = 0; i < 5; i++) await Promise.resolve();
+};
+
+let writeText;
+
+beforeEach(() => {
+  writeText = jest.fn(() => Promise.resolve());
+  Object.defineProperty(navigator, 'clipboard', { value: { writeText }, configurable: true });
+  jest.useFakeTimers();
+});
+
+afterEach(() => {
+  jest.useRealTimers();
+  jest.restoreAllMocks();
+});
+
+test('Copy buttons copy the raw code and show "Copied!" for a moment', async () => {
+  const element = document.createElement('div');
+  insertIntoElement(code, element, { ...options, codeCopyButton: true });
+
+  const button = element.querySelector('.codeblock-lang-label [data-ct-action="copy"]');
+  expect(button.textContent).toBe('Copy');
+  button.click();
+  await settle();
+  expect(writeText).toHaveBeenCalledWith('const a = 1;\nconst b = 2;\nconst c = 3;');
+  expect(button.textContent).toBe('Copied!');
+  expect(button.classList.contains('copied')).toBe(true);
+
+  jest.advanceTimersByTime(2000);
+  expect(button.textContent).toBe('Copy');
+  expect(button.classList.contains('copied')).toBe(false);
+});
+
+test('Failed copies show "Copy failed"', async () => {
+  writeText.mockImplementation(() => Promise.reject(new Error('denied')));
+  const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+  const element = document.createElement('div');
+  insertIntoElement('```\nx\n```', element, { ...options, codeCopyButton: true });
+
+  // No language label, the button gets its own bar
+  const button = element.querySelector('.codeblock-toolbar [data-ct-action="copy"]');
+  button.click();
+  await settle();
+  expect(button.textContent).toBe('Copy failed');
+  expect(button.classList.contains('copy-failed')).toBe(true);
+  expect(warn).toHaveBeenCalled();
+});
+
+test('Long blocks start collapsed and expand with their toggle', () => {
+  const element = document.createElement('div');
+  insertIntoElement(code, element, { ...options, codeCollapseLines: 2 });
+
+  const pre = element.querySelector('pre');
+  const toggle = element.querySelector('[data-ct-action="expand"]');
+  expect(pre.classList.contains('codeblock-collapsed')).toBe(true);
+  expect(pre.style.getPropertyValue('--ct-collapse-lines')).toBe('2');
+  expect(toggle.previousElementSibling).toBe(pre);
+  expect(toggle.textContent).toBe('Show all 3 lines');
+  expect(toggle.getAttribute('aria-expanded')).toBe('false');
+
+  toggle.click();
+  expect(pre.classList.contains('codeblock-collapsed')).toBe(false);
+  expect(toggle.getAttribute('aria-expanded')).toBe('true');
+  expect(toggle.textContent).toBe('Show less');
+
+  toggle.click();
+  expect(pre.classList.contains('codeblock-collapsed')).toBe(true);
+  expect(toggle.textContent).toBe('Show all 3 lines');
+
+  const short = document.createElement('div');
+  insertIntoElement(code, short, { ...options, codeCollapseLines: 3 });
+  expect(short.querySelector('[data-ct-action="expand"]')).toBeNull();
+});
+
+test('One delegated listener handles blocks added later', async () => {
+  const element = document.createElement('div');
+  const settings = { ...options, codeCopyButton: true };
+  insertIntoElement(code, element, settings);
+  appendIntoElement('\n\n```\nappended\n```', element, settings);
+  replaceIntoElement(`${code}\n\n\`\`\`\nreplaced\n\`\`\``, element, settings);
+
+  const buttons = element.querySelectorAll('[data-ct-action="copy"]');
+  expect(buttons).toHaveLength(2);
+  buttons[1].click();
+  await settle();
+  expect(writeText).toHaveBeenCalledTimes(1);
+  expect(writeText).toHaveBeenCalledWith('replaced');
+});
+
+test('replaceIntoElement keeps the state of unchanged code blocks', async () => {
+  const element = document.createElement('div');
+  const settings = { ...options, codeCopyButton: true, codeCollapseLines: 2 };
+  insertIntoElement(`${code}\n\nBefore`, element, settings);
+
+  const pre = element.querySelector('pre');
+  const copy = element.querySelector('[data-ct-action="copy"]');
+  element.querySelector('[data-ct-action="expand"]').click();
+  copy.click();
+  await settle();
+
+  replaceIntoElement(`${code}\n\nAfter`, element, settings);
+  expect(element.querySelector('pre')).toBe(pre);
+  expect(pre.classList.contains('codeblock-collapsed')).toBe(false);
+  expect(element.querySelector('[data-ct-action="expand"]').textContent).toBe('Show less');
+  expect(element.querySelector('[data-ct-action="copy"]')).toBe(copy);
+  expect(copy.textContent).toBe('Copied!');
+  expect(element.querySelector('p').textContent).toBe('After');
+
+  // Changed blocks are replaced, collapsed again
+  replaceIntoElement(code.replace('const c', 'let c'), element, settings);
+  expect(element.querySelector('pre')).not.toBe(pre);
+  expect(element.querySelector('pre').classList.contains('codeblock-collapsed')).toBe(true);
+});
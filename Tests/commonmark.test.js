@@ -0,0 +1,68 @@
+const { default: returnHTML } = require('../src/cattownMain');
+const examples = require('./commonmark/spec.json');
+
+// Runs the examples of the CommonMark spec (0.31.2, vendored from the
+// commonmark-spec package) against the 'commonmark' flavor. Sections Cattown
+// doesn't support yet fail, so the suite guards the number of passing
+// examples instead: MIN_PASSING is the count when it was last raised, raise
+// it with changes that make more examples pass. Run with
+// CATTOWN_SPEC_REPORT=1 to print the pass rate per section.
+const MIN_PASSING = 600;
+
+const options = {
+  flavor: 'commonmark',
+  autolinks: false, // Bare URLs are a GFM extension, not CommonMark
+  // CommonMark links any scheme, these are the ones the examples use
+  linkPolicy: { allowedSchemes: ['http', 'https', 'mailto', 'irc', 'a+b+c', 'made-up-scheme', 'localhost'] },
+  useCustomTheme: false,
+  autoHeadingID: false,
+  LanguageNameInCode: false,
+  IconInCode: false,
+  enableSanitization: false,
+  allowHtml: true,
+  frontMatter: false, // Front matter is an extension, the spec reads --- as a thematic break
+};
+
+// Compares HTML loosely like the spec's own test runner: whitespace around
+// block tags, self-closing slashes and spacing inside tags don't matter.
+// Cattown's code blocks have no trailing newline, the spec's always do.
+const blockTags = 'p|li|ul|ol|blockquote|h[1-6]|pre|hr|table|thead|tbody|tr|th|td|div';
+function normalize(html) {
+  return html
+    .replace(/&#39;/g, "'")
+    .replace(/<(\/?[a-zA-Z][a-zA-Z0-9-]*)((?:\s+[^\s=>\/]+(?:="[^"]*")?)*)\s*\/?>/g,
+      (tag, name, attrs) => `<${name}${attrs.replace(/\s+/g, ' ')}>`)
+    .replace(new RegExp(`\\s*(</?(?:${blockTags})(?:\\s[^>]*)?>)\\s*`, 'g'), '$1')
+    .trim();
+}
+
+function runExample(example) {
+  const actual = returnHTML(example.markdown, options);
+  const expected = example.html.replace(/\n<\/code><\/pre>/g, '</code></pre>');
+  return normalize(actual) === normalize(expected);
+}
+
+test('CommonMark spec examples', () => {
+  const bySection = {};
+  let passing = 0;
+  for (const example of examples) {
+    const stats = bySection[example.section] || (bySection[example.section] = { passed: 0, total: 0 });
+    stats.total++;
+    if (runExample(example)) {
+      stats.passed++;
+      passing++;
+    }
+  }
+
+  if (process.env.CATTOWN_SPEC_REPORT) {
+    const report = Object.entries(bySection)
+      .map(([section, { passed, total }]) => `  ${section}: ${passed}/${total}`)
+      .join('\n');
+    console.log(
+      `CommonMark spec: ${passing}/${examples.length} examples pass ` +
+      `(${((passing / examples.length) * 100).toFixed(1)}%)\n${report}`
+    );
+  }
+
+  expect(passing).toBeGreaterThanOrEqual(MIN_PASSING);
+});
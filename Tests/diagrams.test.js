@@ -0,0 +1,47 @@
+const { default: returnHTML } = require('../src/cattownMain');
+
+const options = { useCustomTheme: false, enableSanitization: false, syntaxHighlight: false };
+const diagram = '```mermaid\ngraph TD\n  A --> B & C\n```';
+
+test('Fences without a handler stay code blocks', () => {
+  expect(returnHTML(diagram, { ...options, LanguageNameInCode: false })).toBe(
+    '<pre><code class="language-mermaid">graph TD\n  A --&gt; B &amp; C</code></pre>'
+  );
+});
+
+test('"diagram" handlers emit containers with the escaped source', () => {
+  const fenceHandlers = { Mermaid: 'diagram', dot: 'diagram' };
+  expect(returnHTML(diagram, { ...options, fenceHandlers })).toBe(
+    '<div class="diagram" data-lang="mermaid">graph TD\n  A --&gt; B &amp; C</div>'
+  );
+  expect(returnHTML('```DOT\ndigraph { a -> b }\n```', { ...options, useCustomTheme: true, fenceHandlers })).toBe(
+    '<div class="ct-parsed diagram" data-lang="dot">digraph { a -&gt; b }</div>'
+  );
+});
+
+test('Function handlers render their own markup or fall back', () => {
+  const fenceHandlers = {
+    plantuml: (token, { renderDiagram }) =>
+      token.content.includes('@startuml') ? `<figure>${renderDiagram()}</figure>` : null,
+    chart: (token, { escapeAttribute }) => `<canvas data-chart="${escapeAttribute(token.content)}"></canvas>`,
+  };
+  expect(returnHTML('```plantuml\n@startuml\nA -> B\n@enduml\n```', { ...options, fenceHandlers })).toBe(
+    '<figure><div class="diagram" data-lang="plantuml">@startuml\nA -&gt; B\n@enduml</div></figure>'
+  );
+  expect(returnHTML('```plantuml\nA\n```', { ...options, LanguageNameInCode: false, fenceHandlers })).toBe(
+    '<pre><code class="language-plantuml">A</code></pre>'
+  );
+  expect(returnHTML('```chart\n{"a":1}\n```', { ...options, fenceHandlers })).toBe(
+    '<canvas data-chart="{&quot;a&quot;:1}"></canvas>'
+  );
+});
+
+test('Languages named like Object.prototype members stay code blocks', () => {
+  const fenceHandlers = { mermaid: 'diagram' };
+  expect(returnHTML('```constructor\nx\n```', { ...options, LanguageNameInCode: false, fenceHandlers })).toBe(
+    '<pre><code class="language-constructor">x</code></pre>'
+  );
+  expect(returnHTML('```__proto__\nx\n```', { ...options, LanguageNameInCode: false, fenceHandlers })).toBe(
+    '<pre><code class="language-__proto__">x</code></pre>'
+  );
+});
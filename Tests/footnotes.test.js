@@ -0,0 +1,36 @@
+const { default: returnHTML, parse } = require('../src/cattownMain');
+
+const options = { useCustomTheme: false };
+
+test('Footnote definitions become tokens with block content', () => {
+  const tokens = parse("Text[^1]\n\n[^1]: First line\n    continued\n\n    Second paragraph");
+  expect(tokens[0].content[1]).toEqual({ type: 'footnoteRef', id: '1' });
+  expect(tokens[1].megaType).toBe('footnoteDefinition');
+  expect(tokens[1].id).toBe('1');
+  expect(tokens[1].content.map((block) => block.megaType)).toEqual(['paragraph', 'paragraph']);
+});
+
+test('References are numbered in order with back-links', () => {
+  expect(returnHTML("[^b]: Bee\n\nA[^a], B[^b] and A again[^a].\n\n[^a]: Ay", options)).toBe(
+    `<p>A<sup><a href="#fn-1" id="fnref-1">1</a></sup>, ` +
+    `B<sup><a href="#fn-2" id="fnref-2">2</a></sup> and ` +
+    `A again<sup><a href="#fn-1" id="fnref-1-2">1</a></sup>.</p>\n` +
+    `<section><ol>\n` +
+    `<li id="fn-1">\n<p>Ay <a href="#fnref-1" aria-label="Back to reference 1">↩</a> ` +
+    `<a href="#fnref-1-2" aria-label="Back to reference 1-2">↩<sup>2</sup></a></p>\n</li>\n` +
+    `<li id="fn-2">\n<p>Bee <a href="#fnref-2" aria-label="Back to reference 2">↩</a></p>\n</li>\n` +
+    `</ol></section>`
+  );
+});
+
+test('Undefined references stay text and footnoteIdPrefix keeps documents apart', () => {
+  expect(returnHTML("No note[^x]", options)).toBe("<p>No note[^x]</p>");
+  // The same document twice on one page, e.g. a preview and the published copy
+  const markdown = "One[^1]\n\n[^1]: a";
+  expect(returnHTML(markdown, { ...options, footnoteIdPrefix: "preview-" })).toBe(
+    '<p>One<sup><a href="#preview-fn-1" id="preview-fnref-1">1</a></sup></p>\n' +
+    '<section><ol>\n<li id="preview-fn-1">\n' +
+    '<p>a <a href="#preview-fnref-1" aria-label="Back to reference 1">↩</a></p>\n</li>\n</ol></section>'
+  );
+  expect(returnHTML(markdown, options)).toContain('<li id="fn-1">');
+});
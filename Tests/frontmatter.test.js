@@ -0,0 +1,113 @@
+const { default: returnHTML, parse, parseDocument, createCattown } = require('../src/cattownMain');
+const { parseYaml, parseToml } = require('../src/cattownFrontMatter');
+
+const options = { useCustomTheme: false, enableSanitization: false };
+
+test('YAML front matter is returned by parseDocument and not rendered', () => {
+  const markdown = '---\ntitle: "Cats: a story"\ndraft: false\ntags: [cats, space]\n---\nHello';
+  expect(parseDocument(markdown, options)).toEqual({
+    data: { title: 'Cats: a story', draft: false, tags: ['cats', 'space'] },
+    html: '<p>Hello</p>',
+    tokens: [
+      { megaType: 'frontMatter', format: 'yaml', data: { title: 'Cats: a story', draft: false, tags: ['cats', 'space'] }, raw: 'title: "Cats: a story"\ndraft: false\ntags: [cats, space]' },
+      { megaType: 'paragraph', content: [{ type: 'text', content: 'Hello' }] },
+    ],
+  });
+  expect(parseDocument('Hello', options).data).toEqual({});
+  expect(createCattown(options).parseDocument('---\na: 1\n...\nx').data).toEqual({ a: 1 });
+});
+
+test('YAML subset: nested maps, lists, scalars and block text', () => {
+  const yaml = [
+    'author:',
+    '  name: Tom  # the cat',
+    '  links:',
+    '  - https://example.com',
+    "  - 'it''s'",
+    'items:',
+    '  - id: 1',
+    '    price: 2.5',
+    '  - id: 0x10',
+    'empty:',
+    'nothing: ~',
+    'flow: {a: 1, b: [yes, "x\\ty"]}',
+    'text: |',
+    '  line one',
+    '    indented',
+    '',
+    'folded: >-',
+    '  one',
+    '  two',
+  ].join('\n');
+  expect(parseYaml(yaml)).toEqual({
+    author: { name: 'Tom', links: ['https://example.com', "it's"] },
+    items: [{ id: 1, price: 2.5 }, { id: 16 }],
+    empty: null,
+    nothing: null,
+    flow: { a: 1, b: ['yes', 'x\ty'] },
+    text: 'line one\n  indented\n',
+    folded: 'one two',
+  });
+  expect(() => parseYaml('a: 1\n   b: 2')).toThrow('Cattown - invalid front matter on line 2');
+});
+
+test('TOML front matter between +++ lines', () => {
+  const toml = [
+    'title = "Cats" # comment',
+    'date = 2024-05-01',
+    'tags = [',
+    '  "a", \'b\',',
+    ']',
+    'author = { name = "Tom", age = 3 }',
+    '[params.build]',
+    'count = 1_000',
+    '[[pages]]',
+    'name = "one"',
+    '[[pages]]',
+    'name = """',
+    'two"""',
+  ].join('\n');
+  expect(parseToml(toml)).toEqual({
+    title: 'Cats',
+    date: '2024-05-01',
+    tags: ['a', 'b'],
+    author: { name: 'Tom', age: 3 },
+    params: { build: { count: 1000 } },
+    pages: [{ name: 'one' }, { name: 'two' }],
+  });
+  expect(parseDocument('+++\ntitle = "Cats"\n+++\ntext', options)).toMatchObject({
+    data: { title: 'Cats' },
+    html: '<p>text</p>',
+  });
+  expect(() => parseToml('a = 1\na = 2')).toThrow('"a" is defined twice');
+});
+
+test('Blocks that are not front matter stay markdown', () => {
+  // Not a map, unclosed, not on the first line, or turned off
+  expect(returnHTML('---\nFoo\n---', options)).toBe('<hr>\n<p>Foo</p>\n<hr>');
+  expect(returnHTML('---\ntitle: x', options)).toBe('<hr>\n<p>title: x</p>');
+  expect(returnHTML('\n---\na: 1\n---', options)).toBe('<hr>\n<p>a: 1</p>\n<hr>');
+  expect(returnHTML('---\na: 1\n---\nx', { ...options, frontMatter: false })).toBe('<hr>\n<p>a: 1</p>\n<hr>\n<p>x</p>');
+  expect(parse('---\n---\nx')[0]).toEqual({ megaType: 'frontMatter', format: 'yaml', data: {}, raw: '' });
+});
+
+test('Front matter keeps positions and keys like __proto__ as data', () => {
+  const [frontMatter, paragraph] = parse('---\n__proto__: 1\n---\nx', { sourcePositions: true });
+  expect(Object.getPrototypeOf(frontMatter.data)).toBe(Object.prototype);
+  expect(frontMatter.data.__proto__).toBe(1);
+  expect(frontMatter.position.end).toEqual({ line: 3, column: 4, offset: 20 });
+  expect(paragraph.position.start.line).toBe(4);
+});
+
+test('Reference definitions after front matter are resolved and not rendered', () => {
+  expect(returnHTML('---\ntitle: x\n---\nSee [docs][d].\n\n[d]: https://ex.com', options)).toBe(
+    '<p>See <a href="https://ex.com">docs</a>.</p>'
+  );
+});
+
+test('First lines named like Object.prototype members are regular markdown', () => {
+  expect(returnHTML('constructor\nhello', options)).toBe('<p>constructor\nhello</p>');
+  expect(returnHTML('toString\nhi', options)).toBe('<p>toString\nhi</p>');
+  expect(returnHTML('__proto__', options)).toBe('<p><strong>proto</strong></p>');
+  expect(parseDocument('constructor', options).data).toEqual({});
+});
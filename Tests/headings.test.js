@@ -0,0 +1,36 @@
+const { default: returnHTML, getHeadings } = require('../src/cattownMain');
+const { slugify } = require('../src/cattownHeadings');
+
+const options = { useCustomTheme: false, enableSanitization: false };
+
+test('Heading ids are GitHub-style slugs of the plain text', () => {
+  expect(slugify("What's new in `v2.0`? 🐱")).toBe('whats-new-in-v20-');
+  expect(slugify('Über  Café_x')).toBe('über--café_x');
+  expect(returnHTML('## Hello **World** & <you>!', options)).toBe(
+    '<h2 id="hello-world--you">Hello <strong>World</strong> &amp; &lt;you&gt;!</h2>'
+  );
+  expect(returnHTML('# !!!', options)).toBe('<h1>!!!</h1>');
+});
+
+test('Repeated headings get -1, -2 suffixes and explicit ids are kept once', () => {
+  expect(returnHTML('# Setup\n## Setup\n> ## Setup\n## Setup-1 {#setup-1}\n# Intro {#custom}', options)).toBe(
+    '<h1 id="setup">Setup</h1>\n<h2 id="setup-2">Setup</h2>\n' +
+    '<blockquote><h2 id="setup-3">Setup</h2></blockquote>\n' +
+    '<h2 id="setup-1">Setup-1</h2>\n<h1 id="custom">Intro</h1>'
+  );
+  // getHeadings and [[toc]] use the same ids as the rendered headings
+  expect(getHeadings('# A\n> # A\n# A', options).map((heading) => heading.id)).toEqual(['a', 'a-2']);
+  expect(returnHTML('[[toc]]\n# A\n# A', options)).toContain('<a href="#a-1">A</a>');
+});
+
+test('headingIdPrefix, slugify and headingAnchors', () => {
+  const slugifyHook = (text, token) => `h${token.level}-${text.length}`;
+  expect(returnHTML('# Cats\n# Dogs', { ...options, headingIdPrefix: 'doc-', slugify: slugifyHook })).toBe(
+    '<h1 id="doc-h1-4">Cats</h1>\n<h1 id="doc-h1-4-1">Dogs</h1>'
+  );
+  expect(returnHTML('## Cats', { ...options, useCustomTheme: true, headingAnchors: true })).toBe(
+    '<h2 id="cats" class="ct-parsed heading heading-2">Cats' +
+    '<a class="ct-parsed heading-anchor" href="#cats" aria-label="Link to this section">¶</a></h2>'
+  );
+  expect(returnHTML('## Cats', { ...options, autoHeadingID: false, headingAnchors: true })).toBe('<h2>Cats</h2>');
+});
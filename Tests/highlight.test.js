@@ -0,0 +1,34 @@
+const { default: returnHTML } = require('../src/cattownMain');
+
+const options = { useCustomTheme: false, LanguageNameInCode: false, IconInCode: false, enableSanitization: false };
+
+test('Code blocks in supported languages get token spans', () => {
+  expect(returnHTML("```js\nconst cat = \"meow\"; // hi\nlog(42);\n```", options)).toBe(
+    '<pre><code class="language-js"><span class="tok-keyword">const</span> cat = ' +
+    '<span class="tok-string">&quot;meow&quot;</span>; <span class="tok-comment">// hi</span>\n' +
+    '<span class="tok-function">log</span>(<span class="tok-number">42</span>);</code></pre>'
+  );
+  expect(returnHTML("```py\nif x: print('<b>')\n```", { ...options, useCustomTheme: true })).toContain(
+    '<span class="ct-parsed tok-keyword">if</span> x: <span class="ct-parsed tok-builtin">print</span>(' +
+    '<span class="ct-parsed tok-string">&#39;&lt;b&gt;&#39;</span>)'
+  );
+});
+
+test('Unknown languages and syntaxHighlight: false only escape the code', () => {
+  expect(returnHTML("```cobol\nif <x>\n```", options)).toBe(
+    '<pre><code class="language-cobol">if &lt;x&gt;</code></pre>'
+  );
+  expect(returnHTML("```js\nif (x) {}\n```", { ...options, syntaxHighlight: false })).toBe(
+    '<pre><code class="language-js">if (x) {}</code></pre>'
+  );
+});
+
+test('The highlight hook replaces the built-in highlighter', () => {
+  const highlight = (code, lang) => (lang === 'cobol' ? `<b>${code.length}</b>` : null);
+  expect(returnHTML("```cobol\nDISPLAY\n```", { ...options, highlight })).toBe(
+    '<pre><code class="language-cobol"><b>7</b></code></pre>'
+  );
+  expect(returnHTML("```sql\nSELECT 1\n```", { ...options, highlight })).toBe(
+    '<pre><code class="language-sql"><span class="tok-keyword">SELECT</span> <span class="tok-number">1</span></code></pre>'
+  );
+});
@@ -0,0 +1,62 @@
+const { default: returnHTML, createCattown } = require('../src/cattownMain');
+
+const options = { useCustomTheme: false, allowHtml: true };
+const markdown = "<details>\n<summary>More</summary>\n\nPress <kbd>Ctrl</kbd>+<kbd>C</kbd> x<sup>2</sup>\n\n</details>";
+
+test('HTML is escaped unless allowHtml is on', () => {
+  expect(returnHTML("Press <kbd>Ctrl</kbd>", { useCustomTheme: false })).toBe(
+    '<p>Press &lt;kbd&gt;Ctrl&lt;/kbd&gt;</p>'
+  );
+});
+
+test('HTML blocks and inline tags pass through without sanitization', () => {
+  expect(returnHTML(markdown, { ...options, enableSanitization: false })).toBe(
+    '<details>\n<summary>More</summary>\n' +
+    '<p>Press <kbd>Ctrl</kbd>+<kbd>C</kbd> x<sup>2</sup></p>\n' +
+    '</details>'
+  );
+  expect(returnHTML("<!-- note -->\nText", { ...options, enableSanitization: false })).toBe(
+    '<!-- note -->\n<p>Text</p>'
+  );
+});
+
+test('Without DOMPurify the built-in allowlist filters the HTML', () => {
+  expect(returnHTML(markdown, options)).toBe(
+    '<details>\n<summary>More</summary>\n' +
+    '<p>Press <kbd>Ctrl</kbd>+<kbd>C</kbd> x<sup>2</sup></p>\n' +
+    '</details>'
+  );
+  expect(returnHTML(
+    '<div onclick="steal()" style="color:red" align="center">Hi<script>steal()</script><iframe src="x"></iframe></div>',
+    options
+  )).toBe('<div align="center">Hi</div>');
+  expect(returnHTML(
+    'A <a href="javascript:steal()" title="t">link</a> and <img src="&#106;avascript:x" alt="pic"/> <a href="/docs?a=1&amp;b=2">ok</a>',
+    options
+  )).toBe('<p>A <a title="t">link</a> and <img alt="pic" /> <a href="/docs?a=1&amp;b=2">ok</a></p>');
+});
+
+test('DOMPurify replaces the built-in allowlist when set', () => {
+  const sanitized = [];
+  const cattown = createCattown({
+    ...options,
+    DOMPurify: { sanitize: (html) => { sanitized.push(html); return html; } },
+  });
+  expect(cattown.returnHTML('Hi <span style="color:red">there</span>')).toBe(
+    '<p>Hi <span style="color:red">there</span></p>'
+  );
+  expect(sanitized).toHaveLength(1);
+});
+
+test('When DOMPurify throws the built-in allowlist filters the HTML', () => {
+  const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+  const cattown = createCattown({
+    ...options,
+    DOMPurify: { sanitize: () => { throw new Error('broken'); } },
+  });
+  const html = '<img src=x onerror=alert(1)><script>alert(1)</script>';
+  expect(cattown.returnHTML(html)).toBe('<p><img src="x">alert(1)</p>');
+  expect(cattown.render(cattown.parse(html))).toBe('<p><img src="x">alert(1)</p>');
+  expect(warn).toHaveBeenCalledTimes(2);
+  warn.mockRestore();
+});
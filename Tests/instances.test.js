@@ -0,0 +1,26 @@
+const { default: returnHTML, createCattown } = require('../src/cattownMain');
+const { getSettings } = require('../src/cattownConfig');
+
+test('Per-call options do not change the global settings', () => {
+  expect(returnHTML("hi", { useCustomTheme: false })).toBe("<p>hi</p>");
+  expect(getSettings('useCustomTheme')).toBe(true);
+  expect(returnHTML("hi")).toBe("<p class=\"ct-parsed paragraph\">hi</p>");
+});
+
+test('Instances keep their own settings and plugins', () => {
+  const plain = createCattown({ useCustomTheme: false });
+  const shouting = createCattown({
+    plugins: [{
+      atomicRules: [{ type: 'shout', trigger: '!!', regex: /!!(\w+)/g, token: (match) => ({ type: 'shout', word: match[1] }) }],
+      renderers: { shout: (token) => `<b>${token.word.toUpperCase()}</b>` }
+    }]
+  });
+
+  expect(plain.returnHTML("!!hi")).toBe("<p>!!hi</p>");
+  expect(shouting.returnHTML("!!hi")).toBe("<p class=\"ct-parsed paragraph\"><b>HI</b></p>");
+  expect(returnHTML("!!hi")).toBe("<p class=\"ct-parsed paragraph\">!!hi</p>");
+
+  plain.setSettings('useCustomTheme', true);
+  expect(plain.getSettings('useCustomTheme')).toBe(true);
+  expect(getSettings('useCustomTheme')).toBe(true);
+});
@@ -0,0 +1,43 @@
+const { default: returnHTML } = require('../src/cattownMain');
+const { getLanguage } = require('../src/cattownLanguages');
+
+const options = { useCustomTheme: false, syntaxHighlight: false, enableSanitization: false };
+
+test('Aliases resolve to one language with a display name', () => {
+  expect(getLanguage('JS')).toBe(getLanguage('javascript'));
+  expect(getLanguage('sh').name).toBe('Shell');
+  expect(getLanguage('py').icon).toBe('python');
+  expect(getLanguage('brainfudge')).toBeNull();
+});
+
+test('Labels show display names and closed icon images from iconBaseUrl', () => {
+  expect(returnHTML('```sh\nls\n```', options)).toBe(
+    '<div><img src="https://cdn.jsdelivr.net/gh/devicons/devicon@latest/icons/bash/bash-original.svg" alt="" />Shell</div>' +
+    '<pre><code class="language-sh">ls</code></pre>'
+  );
+  expect(returnHTML('```nim\nx\n```', { ...options, iconBaseUrl: '/static/devicon' })).toBe(
+    '<div><img src="/static/devicon/nim/nim-original.svg" alt="" />nim</div>' +
+    '<pre><code class="language-nim">x</code></pre>'
+  );
+  expect(returnHTML('```sql\nx\n```', options)).toBe(
+    '<div>SQL</div><pre><code class="language-sql">x</code></pre>'
+  );
+});
+
+test('iconResolver picks icon URLs, undefined falls back to the default', () => {
+  const iconResolver = (lang, language) =>
+    language && language.id === 'python' ? `/icons/${language.id}.svg?v=1&x=2` : lang === 'txt' ? null : undefined;
+  expect(returnHTML('```py\nx\n```', { ...options, iconResolver })).toContain(
+    '<img src="/icons/python.svg?v=1&amp;x=2" alt="" />Python</div>'
+  );
+  expect(returnHTML('```txt\nx\n```', { ...options, iconResolver })).toContain('<div>txt</div>');
+  expect(returnHTML('```go\nx\n```', { ...options, iconResolver })).toContain('/icons/go/go-original.svg');
+});
+
+test('inlineIcons uses bundled SVGs and loads nothing', () => {
+  const html = returnHTML('```js\nx\n```\n\n```nim\ny\n```', { ...options, inlineIcons: true });
+  expect(html).toContain('<div><svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 32 32" aria-hidden="true">');
+  expect(html).toContain('>JS</text></svg>JavaScript</div>');
+  expect(html).toContain('<div>nim</div>');
+  expect(html).not.toContain('<img');
+});
@@ -0,0 +1,41 @@
+const { default: returnHTML } = require('../src/cattownMain');
+
+const options = { useCustomTheme: false, enableSanitization: false };
+
+test('Relative links and allowed schemes are kept as written', () => {
+  expect(returnHTML("[Setup](./docs/setup.md) [About](/about) [Intro](#intro) [Call](tel:+123)", options)).toBe(
+    '<p><a href="./docs/setup.md">Setup</a> <a href="/about">About</a> ' +
+    '<a href="#intro">Intro</a> <a href="tel:+123">Call</a></p>'
+  );
+});
+
+test('Disallowed schemes render as text, even with sanitization off', () => {
+  expect(returnHTML("[click **me**](javascript:alert(1)) ![pic](JavaScript:x) [x](data:text/html,hi)", options)).toBe(
+    '<p>click <strong>me</strong> pic x</p>'
+  );
+  expect(returnHTML("[app](myapp://open)", { ...options, linkPolicy: { allowedSchemes: ['myapp'] } })).toBe(
+    '<p><a href="myapp://open">app</a></p>'
+  );
+});
+
+test('Character references in URLs are escaped', () => {
+  expect(returnHTML("[x](&#106;avascript:alert(1)) [q](/s?a=1&b=2)", options)).toBe(
+    '<p><a href="&amp;#106;avascript:alert(1)">x</a> <a href="/s?a=1&amp;b=2">q</a></p>'
+  );
+});
+
+test('Relative URLs resolve against baseUrl, transformUrl sees every URL', () => {
+  const seen = [];
+  const linkPolicy = {
+    baseUrl: 'https://example.com/docs/',
+    transformUrl: (url, kind) => {
+      seen.push(kind);
+      return url.includes('secret') ? null : url.replace('.md', '.html');
+    },
+  };
+  expect(returnHTML("[Setup](setup.md) [Top](#top) ![Logo](/logo.png) [s](secret.md)", { ...options, linkPolicy })).toBe(
+    '<p><a href="https://example.com/docs/setup.html">Setup</a> <a href="#top">Top</a> ' +
+    '<img src="https://example.com/logo.png" alt="Logo" /> s</p>'
+  );
+  expect(seen).toEqual(['link', 'link', 'image', 'link']);
+});
@@ -0,0 +1,40 @@
+const { parse } = require('../src/cattownMain');
+
+const inline = (markdown) => parse(markdown)[0].content;
+
+test('Destinations can contain balanced parentheses', () => {
+  expect(inline("[Cat](https://en.wikipedia.org/wiki/Cat_(disambiguation))")).toEqual([
+    { type: 'link', href: 'https://en.wikipedia.org/wiki/Cat_(disambiguation)', content: [{ type: 'text', content: 'Cat' }] },
+  ]);
+});
+
+test('Angle-bracket destinations and titles', () => {
+  expect(inline('[Setup](<docs/my setup.md> "Setup guide") ![Logo](logo.png \'The logo\')')).toEqual([
+    { type: 'link', href: 'docs/my setup.md', title: 'Setup guide', content: [{ type: 'text', content: 'Setup' }] },
+    { type: 'text', content: ' ' },
+    { type: 'image', src: 'logo.png', alt: 'Logo', title: 'The logo' },
+  ]);
+});
+
+test('Link text can contain brackets and images', () => {
+  expect(inline("[see [1]](https://a.com) [![Badge](b.svg)](https://b.com)")).toEqual([
+    { type: 'link', href: 'https://a.com', content: [{ type: 'text', content: 'see [1]' }] },
+    { type: 'text', content: ' ' },
+    { type: 'link', href: 'https://b.com', content: [{ type: 'image', src: 'b.svg', alt: 'Badge' }] },
+  ]);
+});
+
+test('Unbalanced or spaced destinations are not links', () => {
+  expect(inline("[a](b c) [d](e(f)")).toEqual([{ type: 'text', content: '[a](b c) [d](e(f)' }]);
+});
+
+test('Links after many brackets are found in linear time', () => {
+  // Every footnote reference is a step through the paragraph, which used to
+  // match all the brackets after it again looking for a link
+  const markdown = "[^a]".repeat(4990) + " [end](e)";
+  const start = Date.now();
+  const tokens = inline(markdown);
+  expect(Date.now() - start).toBeLessThan(1500);
+  expect(tokens).toHaveLength(4992);
+  expect(tokens[tokens.length - 1]).toEqual({ type: 'link', href: 'e', content: [{ type: 'text', content: 'end' }] });
+});
@@ -0,0 +1,40 @@
+const { default: returnHTML, parse } = require('../src/cattownMain');
+
+const options = { useCustomTheme: false, enableSanitization: false };
+
+test('Inline math keeps its TeX source escaped', () => {
+  expect(returnHTML('Euler: $e^{i\\pi} + 1 = 0$ and $a_1 < b_2$.', options)).toBe(
+    '<p>Euler: <span class="math-inline">e^{i\\pi} + 1 = 0</span> and ' +
+    '<span class="math-inline">a_1 &lt; b_2</span>.</p>'
+  );
+  expect(returnHTML('**bold $a*b$**', { ...options, useCustomTheme: true })).toBe(
+    '<p class="ct-parsed paragraph"><strong class="ct-parsed bold">bold <span class="ct-parsed math-inline">a*b</span></strong></p>'
+  );
+});
+
+test('Prices, escaped dollars and code stay text', () => {
+  expect(returnHTML('It costs $5 or $10, or $5-$10.', options)).toBe('<p>It costs $5 or $10, or $5-$10.</p>');
+  expect(returnHTML('Escaped \\$x$ and `$y$`', options)).toBe('<p>Escaped $x$ and <code>$y$</code></p>');
+  expect(returnHTML('Off $x$', { ...options, math: false })).toBe('<p>Off $x$</p>');
+});
+
+test('Math blocks between $$ lines or on one line', () => {
+  expect(parse('$$\nx^2 < y\n\\\\ z $$')).toEqual([{ megaType: 'mathBlock', content: 'x^2 < y\n\\\\ z' }]);
+  expect(returnHTML('Text\n$$ \\sum_i x_i $$\nmore', options)).toBe(
+    '<p>Text</p>\n<div class="math-block">\\sum_i x_i</div>\n<p>more</p>'
+  );
+  expect(returnHTML('$$\nunclosed\n\npara', options)).toBe('<p>$$\nunclosed</p>\n<p>para</p>');
+});
+
+test('renderMath renders math with KaTeX-style hooks', () => {
+  const calls = [];
+  const renderMath = (tex, displayMode) => {
+    calls.push([tex, displayMode]);
+    return tex === 'skip' ? null : `<katex>${tex}</katex>`;
+  };
+  expect(returnHTML('$a$ $skip$\n\n$$\nb\n$$', { ...options, renderMath })).toBe(
+    '<p><span class="math-inline"><katex>a</katex></span> <span class="math-inline">skip</span></p>\n' +
+    '<div class="math-block"><katex>b</katex></div>'
+  );
+  expect(calls).toEqual([['a', false], ['skip', false], ['b', true]]);
+});
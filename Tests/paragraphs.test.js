@@ -0,0 +1,27 @@
+const { default: returnHTML } = require('../src/cattownMain');
+
+test('Consecutive lines form one paragraph', () => {
+  expect(returnHTML("one\ntwo **bold\nacross** lines\n- item", { useCustomTheme: false })).toBe(
+    "<p>one\ntwo <strong>bold\nacross</strong> lines</p>\n<ul>\n<li>item</li>\n</ul>"
+  );
+});
+
+test('Hard line breaks', () => {
+  expect(returnHTML("two spaces  \nbackslash\\\nend", { useCustomTheme: false })).toBe(
+    "<p>two spaces<br>\nbackslash<br>\nend</p>"
+  );
+});
+
+test('Breaks option turns every newline into <br>', () => {
+  expect(returnHTML("a\nb", { useCustomTheme: false, breaks: true })).toBe("<p>a<br>\nb</p>");
+});
+
+test('Long wrapped paragraphs keep all their lines', () => {
+  const lines = Array.from({ length: 300 }, (_, i) => `L${i} ${'word '.repeat(20)}`);
+  lines[200] += ' ';
+  const html = returnHTML(lines.join('\n'), { useCustomTheme: false });
+  expect(html.startsWith('<p>L0 word')).toBe(true);
+  expect(html.endsWith(`L299 ${'word '.repeat(19)}word</p>`)).toBe(true);
+  expect(html.match(/<br>/g)).toHaveLength(1);
+  expect(html.match(/\n/g)).toHaveLength(299);
+});
@@ -0,0 +1,14 @@
+const { parse, render } = require('../src/cattownMain');
+
+test('Parse returns the token tree', () => {
+  expect(parse("# Hi\n![cat](cat.png)")).toEqual([
+    { megaType: 'heading', level: 1, content: [{ type: 'text', content: 'Hi' }] },
+    { megaType: 'paragraph', content: [{ type: 'image', alt: 'cat', src: 'cat.png' }] }
+  ]);
+});
+
+test('Render accepts a modified tree', () => {
+  const tokens = parse("![cat](cat.png)");
+  tokens[0].content[0].src = "/assets/cat.png";
+  expect(render(tokens)).toBe("<p class=\"ct-parsed paragraph\"><img src=\"/assets/cat.png\" alt=\"cat\" class=\"ct-parsed image\" /></p>");
+});
@@ -0,0 +1,39 @@
+const { default: returnHTML } = require('../src/cattownMain');
+const { use } = require('../src/cattownPlugins');
+
+use({
+  name: 'mentions',
+  atomicRules: [{
+    type: 'mention',
+    trigger: '@',
+    regex: /@(\w+)/,
+    token: (match) => ({ type: 'mention', user: match[1] })
+  }],
+  styledRules: [{ type: 'inserted', markers: ['++'] }],
+  blockRules: [{
+    name: 'banner',
+    before: 'table',
+    tokenize(lines, index, { tokenizeInline }) {
+      const match = lines[index].trim().match(/^!!!\s*(.*)$/);
+      if (!match) return null;
+      return { token: { megaType: 'banner', content: tokenizeInline(match[1]) }, endIndex: index };
+    }
+  }],
+  renderers: {
+    mention: (token, renderChildren, { escapeHTML }) => `<span class="mention">@${escapeHTML(token.user)}</span>`,
+    inserted: (token, renderChildren) => `<ins>${renderChildren()}</ins>`,
+    banner: (token, renderChildren, { className }) => `<div${className('banner')}>${renderChildren()}</div>`
+  }
+});
+
+test('Plugin atomic rule', () => {
+  expect(returnHTML("hi @cat")).toBe("<p class=\"ct-parsed paragraph\">hi <span class=\"mention\">@cat</span></p>");
+});
+
+test('Plugin styled rule nests built-in formatting', () => {
+  expect(returnHTML("++new **bold**++")).toBe("<p class=\"ct-parsed paragraph\"><ins>new <strong class=\"ct-parsed bold\">bold</strong></ins></p>");
+});
+
+test('Plugin block rule takes precedence before table', () => {
+  expect(returnHTML("!!! a | b")).toBe("<div class=\"ct-parsed banner\">a | b</div>");
+});
@@ -0,0 +1,53 @@
+const { parse, returnHTML } = require('../src/cattownMain');
+const { setSettings } = require('../src/cattownConfig');
+
+afterEach(() => {
+  setSettings('sourcePositions', false);
+  setSettings('sourceLineAttributes', false);
+});
+
+test('Positions on block and inline tokens', () => {
+  setSettings('sourcePositions', true);
+  const [heading, paragraph] = parse("# Hi\n\n  a **b** \\*c");
+  expect(heading.position).toEqual({
+    start: { line: 1, column: 1, offset: 0 },
+    end: { line: 1, column: 5, offset: 4 }
+  });
+  expect(heading.content[0].position.start).toEqual({ line: 1, column: 3, offset: 2 });
+  const [text, bold, , escaped] = paragraph.content;
+  expect(text.position.start.column).toBe(3);
+  expect(bold.position).toEqual({
+    start: { line: 3, column: 5, offset: 10 },
+    end: { line: 3, column: 10, offset: 15 }
+  });
+  expect(bold.content[0].position.start.column).toBe(7);
+  expect(escaped).toEqual({
+    type: 'text',
+    content: '*',
+    position: { start: { line: 3, column: 11, offset: 16 }, end: { line: 3, column: 13, offset: 18 } }
+  });
+});
+
+test('Positions inside blockquotes, lists and tables', () => {
+  setSettings('sourcePositions', true);
+  const [quote, list, table] = parse("> # Q\n\n- a\n  - b\n\n| x | y |\n|---|---|\n| 1 | 2 |");
+  expect(quote.content[0].position.start).toEqual({ line: 1, column: 3, offset: 2 });
+  expect(quote.content[0].content[0].position.start.column).toBe(5);
+  expect(list.items[0].items[0].position.start).toEqual({ line: 4, column: 3, offset: 13 });
+  expect(list.items[0].items[0].content[0].position.start.column).toBe(5);
+  expect(table.headerPosition.start.line).toBe(6);
+  expect(table.rowPositions[0].start.line).toBe(8);
+  expect(table.rows[0][1][0].position.start.column).toBe(7);
+});
+
+test('No positions by default', () => {
+  expect(parse("hi")[0].position).toBeUndefined();
+});
+
+test('data-source-line attributes', () => {
+  setSettings('sourceLineAttributes', true);
+  expect(returnHTML("a\n\n- b")).toBe(
+    "<p class=\"ct-parsed paragraph\" data-source-line=\"1\">a</p>\n" +
+    "<ul class=\"ct-parsed list\" data-source-line=\"3\">\n<li class=\"ct-parsed list-item\" data-source-line=\"3\">b</li>\n</ul>"
+  );
+});
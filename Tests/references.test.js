@@ -0,0 +1,25 @@
+const { default: returnHTML, parse } = require('../src/cattownMain');
+
+const options = { useCustomTheme: false };
+
+test('Full, collapsed and shortcut references resolve case-insensitively', () => {
+  const markdown =
+    "[Read the docs][Docs], [docs][] or [DOCS].\n\n[docs]: https://docs.example.com \"The Docs\"";
+  const link = '<a href="https://docs.example.com" title="The Docs">';
+  expect(returnHTML(markdown, options)).toBe(
+    `<p>${link}Read the docs</a>, ${link}docs</a> or ${link}DOCS</a>.</p>`
+  );
+});
+
+test('Reference images and definitions are removed from output', () => {
+  const tokens = parse("![Logo][logo]\n\n[logo]: https://example.com/logo.png");
+  expect(tokens).toEqual([
+    { megaType: 'paragraph', content: [{ type: 'image', alt: 'Logo', src: 'https://example.com/logo.png' }] },
+  ]);
+});
+
+test('Unknown labels and definitions in code stay text', () => {
+  expect(returnHTML("[nope] [text][nope]\n\n```\n[nope]: https://example.com\n```", options)).toBe(
+    "<p>[nope] [text][nope]</p>\n<pre><code>[nope]: https://example.com</code></pre>"
+  );
+});
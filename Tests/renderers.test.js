@@ -0,0 +1,26 @@
+const { default: returnHTML } = require('../src/cattownMain');
+const { setSettings } = require('../src/cattownConfig');
+
+afterEach(() => {
+  setSettings('renderers', {});
+});
+
+test('Inline renderer override', () => {
+  setSettings('renderers', {
+    link: (token, renderChildren, { escapeAttribute }) =>
+      `<a href="${escapeAttribute(token.href)}" target="_blank" rel="noopener">${renderChildren()}</a>`
+  });
+  expect(returnHTML("[**hi**](https://example.com)")).toBe("<p class=\"ct-parsed paragraph\"><a href=\"https://example.com\" target=\"_blank\" rel=\"noopener\"><strong class=\"ct-parsed bold\">hi</strong></a></p>");
+});
+
+test('Block renderer override wrapping the default markup', () => {
+  setSettings('renderers', {
+    paragraph: (token, renderChildren, { renderDefault }) => `<section>${renderDefault()}</section>`
+  });
+  expect(returnHTML("hi")).toBe("<section><p class=\"ct-parsed paragraph\">hi</p></section>");
+});
+
+test('Renderer returning null falls back to default', () => {
+  setSettings('renderers', { paragraph: () => null });
+  expect(returnHTML("hi")).toBe("<p class=\"ct-parsed paragraph\">hi</p>");
+});
@@ -0,0 +1,28 @@
+const { default: returnHTML, parse } = require('../src/cattownMain');
+
+const options = { useCustomTheme: false };
+
+test('Separator row sets column alignment', () => {
+  expect(returnHTML("| a | b | c |\n|:--|:-:|--:|\n| 1 | 2 | 3 |", options)).toBe(
+    '<div><table><thead><tr><th style="text-align:left">a</th><th style="text-align:center">b</th>' +
+    '<th style="text-align:right">c</th></tr></thead><tbody><tr><td style="text-align:left">1</td>' +
+    '<td style="text-align:center">2</td><td style="text-align:right">3</td></tr></tbody></table></div>'
+  );
+});
+
+test('Empty cells are kept and rows fit the header', () => {
+  const [table] = parse("| a | b | c |\n|---|---|---|\n| | 2 |\n| 1 | 2 | 3 | 4 |");
+  expect(table.align).toEqual([null, null, null]);
+  expect(table.rows.map((row) => row.length)).toEqual([3, 3]);
+  expect(table.rows[0][0]).toEqual([]);
+  expect(table.rows[0][1]).toEqual([{ type: 'text', content: '2' }]);
+});
+
+test('Escaped pipes and pipes in code spans stay in the cell', () => {
+  const [table] = parse("| a \\| b | `x | y` | `\\|` |\n|---|---|---|");
+  expect(table.header).toEqual([
+    [{ type: 'text', content: 'a | b' }],
+    [{ type: 'code', content: 'x | y' }],
+    [{ type: 'code', content: '|' }],
+  ]);
+});
@@ -0,0 +1,45 @@
+const { default: returnHTML, parse, getHeadings, createCattown } = require('../src/cattownMain');
+
+const options = { useCustomTheme: false, enableSanitization: false };
+
+test('getHeadings nests headings and keeps explicit ids', () => {
+  expect(getHeadings('# Cats\n## Food *and* `water`\n#### Tuna\n## Naps {#sleep}\n# More', options)).toEqual([
+    {
+      level: 1, text: 'Cats', id: 'cats', children: [
+        { level: 2, text: 'Food and water', id: 'food-and-water', children: [
+          { level: 4, text: 'Tuna', id: 'tuna', children: [] },
+        ] },
+        { level: 2, text: 'Naps', id: 'sleep', children: [] },
+      ],
+    },
+    { level: 1, text: 'More', id: 'more', children: [] },
+  ]);
+  expect(getHeadings('> # Quoted\nNo headings', options)).toEqual([]);
+  expect(createCattown({ autoHeadingID: false }).getHeadings('# A\n## B {#b}')).toEqual([
+    { level: 1, text: 'A', id: null, children: [{ level: 2, text: 'B', id: 'b', children: [] }] },
+  ]);
+});
+
+test('[[toc]] and [TOC] render a nested list of links', () => {
+  expect(parse('[[TOC]]')).toEqual([{ megaType: 'toc' }]);
+  expect(returnHTML('# A\n[[toc]]\n## B\n### C\n## D', options)).toBe(
+    '<h1 id="a">A</h1>\n' +
+    '<nav><ul>\n<li><a href="#a">A</a>\n<ul>\n<li><a href="#b">B</a>\n<ul>\n<li><a href="#c">C</a></li>\n</ul>\n</li>\n' +
+    '<li><a href="#d">D</a></li>\n</ul>\n</li>\n</ul></nav>\n' +
+    '<h2 id="b">B</h2>\n<h3 id="c">C</h3>\n<h2 id="d">D</h2>'
+  );
+  expect(returnHTML('[TOC]\n\ntext', { ...options, autoHeadingID: false })).toBe('<nav></nav>\n<p>text</p>');
+  expect(returnHTML('[[toc]] here', options)).toBe('<p>[[toc]] here</p>');
+});
+
+test('tocMinLevel and tocMaxLevel pick the listed levels, also in nested blocks', () => {
+  const html = returnHTML('# Title\n> [!NOTE]\n> [[toc]]\n## One\n### Deep\n## Two', {
+    ...options,
+    useCustomTheme: true,
+    tocMinLevel: 2,
+    tocMaxLevel: 2,
+  });
+  expect(html).toContain(
+    '<nav class="ct-parsed toc"><ul>\n<li><a href="#one">One</a></li>\n<li><a href="#two">Two</a></li>\n</ul></nav>'
+  );
+});
@@ -10,7 +10,8 @@
  * - collectCoverage: Generates code coverage reports during test runs
  * - coverageDirectory: Stores coverage reports in ./coverage/ folder
  * - transform: Uses babel-jest to transform ES6+ code for Node.js compatibility
- * - testEnvironment: Uses Node.js environment (not browser/DOM simulation)
+ * - testEnvironment: Uses Node.js environment (not browser/DOM simulation);
+ *   DOM tests opt into jsdom with a @jest-environment jsdom docblock
  * - testMatch: Discovers test files in Tests/ directory with .test.js suffix
  * 
  * Coverage Reports:
@@ -0,0 +1,260 @@
+/**
+ * CATTOWN CODE BLOCK CONTROLS MODULE
+ *
+ * This module adds the interactive controls of code blocks after markdown was
+ * rendered into the DOM (insertIntoElement, appendIntoElement and
+ * replaceIntoElement). It is opt-in through the 'codeCopyButton' and
+ * 'codeCollapseLines' settings and does nothing in returnHTML().
+ *
+ * Controls:
+ * - A copy button in the codeblock-lang-label bar (or a codeblock-toolbar bar
+ *   when the block has no label) copying the raw code, without line numbers,
+ *   and showing "Copied!" for a moment
+ * - Blocks longer than 'codeCollapseLines' lines start collapsed, with a
+ *   codeblock-expand toggle below them
+ *
+ * Clicks are handled by one delegated listener on the target element, so the
+ * controls keep working when nodes are moved by replaceIntoElement() or
+ * reparsed by appendIntoElement().
+ */
+
+/**
+ * How long the copy button shows its feedback, in milliseconds.
+ */
+const feedbackDuration = 2000;
+
+/**
+ * Text of the copy button while it shows no feedback.
+ */
+const copyLabel = "Copy";
+
+/**
+ * Elements that already have the delegated click listener.
+ */
+const listeningElements = new WeakSet();
+
+/**
+ * Pending feedback resets by copy button.
+ */
+const feedbackTimers = new WeakMap();
+
+/**
+ * Returns the raw code of a code block: its text without line numbers.
+ *
+ * @param {Element} pre - <pre> of the code block
+ * @returns {string} Code as written in the markdown
+ */
+function rawCode(pre) {
+  const code = pre.querySelector("code").cloneNode(true);
+  code.querySelectorAll(".line-number").forEach((number) => number.remove());
+  return code.textContent;
+}
+
+/**
+ * Finds the <pre> a copy button belongs to: the first one after its bar,
+ * past the file name header if there is one.
+ *
+ * @param {Element} button - Copy button
+ * @returns {Element|null} The <pre>, or null if the markup was changed
+ */
+function codeBlockOf(button) {
+  let node = button.parentElement && button.parentElement.nextElementSibling;
+  while (node && node.tagName !== "PRE") node = node.nextElementSibling;
+  return node;
+}
+
+/**
+ * Writes text to the clipboard, with a hidden textarea and the copy command
+ * as fallback where the Clipboard API isn't available (plain http pages).
+ *
+ * @param {string} text - Text to copy
+ * @param {Document} doc - Document of the code block
+ * @returns {Promise} Resolves once the text was copied
+ */
+function writeClipboard(text, doc) {
+  const clipboard = typeof navigator !== "undefined" ? navigator.clipboard : null;
+  if (clipboard && typeof clipboard.writeText === "function") {
+    return clipboard.writeText(text);
+  }
+  return new Promise((resolve, reject) => {
+    const textarea = doc.createElement("textarea");
+    textarea.value = text;
+    textarea.setAttribute("readonly", "");
+    textarea.style.position = "fixed";
+    textarea.style.opacity = "0";
+    doc.body.appendChild(textarea);
+    textarea.select();
+    const copied = doc.execCommand("copy");
+    textarea.remove();
+    if (copied) resolve();
+    else reject(new Error("copy command was rejected"));
+  });
+}
+
+/**
+ * Copies the code of a copy button's block and shows the result on the
+ * button for a moment.
+ *
+ * @param {Element} button - Clicked copy button
+ */
+function copyCode(button) {
+  const pre = codeBlockOf(button);
+  if (!pre) return;
+
+  const showFeedback = (text, className) => {
+    clearTimeout(feedbackTimers.get(button));
+    button.textContent = text;
+    button.classList.add(className);
+    feedbackTimers.set(
+      button,
+      setTimeout(() => {
+        button.textContent = copyLabel;
+        button.classList.remove(className);
+      }, feedbackDuration)
+    );
+  };
+
+  writeClipboard(rawCode(pre), button.ownerDocument)
+    .then(() => showFeedback("Copied!", "copied"))
+    .catch((error) => {
+      console.warn("Cattown - failed to copy code block: ", error);
+      showFeedback("Copy failed", "copy-failed");
+    });
+}
+
+/**
+ * Expands or collapses the code block above an expand toggle.
+ *
+ * @param {Element} button - Clicked expand toggle
+ */
+function toggleCollapse(button) {
+  const pre = button.previousElementSibling;
+  if (!pre || pre.tagName !== "PRE") return;
+  const collapsed = pre.classList.toggle("codeblock-collapsed");
+  button.setAttribute("aria-expanded", String(!collapsed));
+  button.textContent = collapsed ? button.getAttribute("data-ct-label") : "Show less";
+}
+
+/**
+ * Adds the delegated click listener handling every control inside an
+ * element, once per element.
+ *
+ * @param {Element} element - Element the markdown was rendered into
+ */
+function listenForControls(element) {
+  if (listeningElements.has(element)) return;
+  listeningElements.add(element);
+  element.addEventListener("click", (event) => {
+    const button = event.target.closest ? event.target.closest("[data-ct-action]") : null;
+    if (!button || !element.contains(button)) return;
+    const action = button.getAttribute("data-ct-action");
+    if (action === "copy") copyCode(button);
+    if (action === "expand") toggleCollapse(button);
+  });
+}
+
+/**
+ * Adds copy buttons and collapse toggles to the code blocks rendered into an
+ * element, following the 'codeCopyButton' and 'codeCollapseLines' settings.
+ * Blocks that already have their controls are skipped, so calling it again
+ * after more markdown was added is safe.
+ *
+ * Control classes get the ct-parsed prefix when 'useCustomTheme' is on; the
+ * state classes (codeblock-collapsed, copied, copy-failed) are added on their
+ * own, so they combine with it in the stylesheet.
+ *
+ * @param {Element} element - Element holding the rendered markdown
+ * @param {Object} settings - Resolved settings of the current call
+ *
+ * @example
+ * enhanceCodeBlocks(preview, { ...getAllSettings(), codeCopyButton: true, codeCollapseLines: 20 });
+ */
+export function enhanceCodeBlocks(element, settings) {
+  const useCopyButton = settings.codeCopyButton;
+  const collapseLines = settings.codeCollapseLines;
+  if (!useCopyButton && !(collapseLines > 0)) return;
+
+  const doc = element.ownerDocument;
+  const className = (name) => (settings.useCustomTheme ? `ct-parsed ${name}` : name);
+  const button = (name, action, text) => {
+    const node = doc.createElement("button");
+    node.type = "button";
+    node.className = className(name);
+    node.setAttribute("data-ct-action", action);
+    node.textContent = text;
+    return node;
+  };
+
+  element.querySelectorAll("pre > code").forEach((code) => {
+    const pre = code.parentElement;
+    if (pre.hasAttribute("data-ct-controls")) return;
+    pre.setAttribute("data-ct-controls", "");
+
+    if (useCopyButton) {
+      // Into the language label bar when there is one, else into a new bar
+      let before = pre;
+      let bar = pre.previousElementSibling;
+      if (bar && bar.classList.contains("codeblock-filename")) {
+        before = bar;
+        bar = bar.previousElementSibling;
+      }
+      if (!bar || !bar.classList.contains("codeblock-lang-label")) {
+        bar = doc.createElement("div");
+        bar.className = className("codeblock-toolbar");
+        before.parentNode.insertBefore(bar, before);
+      }
+      bar.appendChild(button("codeblock-copy", "copy", copyLabel));
+    }
+
+    const lineCount = code.textContent.replace(/\n$/, "").split("\n").length;
+    if (collapseLines > 0 && lineCount > collapseLines) {
+      pre.classList.add("codeblock-collapsed");
+      pre.style.setProperty("--ct-collapse-lines", String(collapseLines));
+      const label = `Show all ${lineCount} lines`;
+      const toggle = button("codeblock-expand", "expand", label);
+      toggle.setAttribute("data-ct-label", label);
+      toggle.setAttribute("aria-expanded", "false");
+      pre.parentNode.insertBefore(toggle, pre.nextSibling);
+    }
+  });
+
+  listenForControls(element);
+}
+
+/**
+ * Returns a node the way enhanceCodeBlocks() left it, without what the user
+ * changed since: expanded blocks and copy button feedback. replaceIntoElement()
+ * diffs with it, so code blocks the user interacted with count as unchanged
+ * and keep their state instead of being replaced.
+ *
+ * @param {Node} node - Top-level node rendered into an element
+ * @returns {Node} The node itself when it holds no controls, else a clone of
+ *   it with the controls in their initial state
+ */
+export function withoutControlState(node) {
+  const selector = "[data-ct-action], pre[data-ct-controls]";
+  if (node.nodeType !== 1 || (!node.matches(selector) && !node.querySelector(selector))) {
+    return node;
+  }
+
+  const clone = node.cloneNode(true);
+  const controls = [clone, ...clone.querySelectorAll(selector)].filter((control) =>
+    control.matches(selector)
+  );
+  for (const control of controls) {
+    const action = control.getAttribute("data-ct-action");
+    if (action === "copy") {
+      control.textContent = copyLabel;
+      control.classList.remove("copied", "copy-failed");
+    } else if (action === "expand") {
+      control.textContent = control.getAttribute("data-ct-label");
+      control.setAttribute("aria-expanded", "false");
+    } else if ((control.getAttribute("style") || "").includes("--ct-collapse-lines")) {
+      // Blocks that can collapse start collapsed
+      control.classList.add("codeblock-collapsed");
+    }
+  }
+  return clone;
+}
+
+export default enhanceCodeBlocks;
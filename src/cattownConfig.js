@@ -11,6 +11,8 @@
  * - Code block presentation
  * 
  * All settings can be modified at runtime using setSettings() function.
+ * They act as global defaults: every conversion function also accepts an
+ * options object merged over them for that call only (see resolveSettings()).
  */
 
 /**
@@ -53,22 +55,299 @@ let config = {
 
   /**
    * IconInCode (boolean): Shows programming language icons in code blocks.
-   * - true: Displays language icon from DevIcons CDN alongside language name
+   * - true: Displays a language icon alongside the language name, see
+   *   'iconBaseUrl', 'iconResolver' and 'inlineIcons' for where it comes from
    * - false: No language icons shown
    * Note: Only works when language is specified in code fence
    * Default: true
    */
   IconInCode: true,
 
+  /**
+   * iconBaseUrl (string): Where code block language icons are loaded from.
+   * - String: Base URL of a Devicon-style icon folder, icons are loaded from
+   *   <iconBaseUrl><icon>/<icon>-original.svg (point it at a self-hosted
+   *   copy on intranets)
+   * - "": No icon images are loaded
+   * Note: Aliases like js, sh and py use the icon of their language
+   * Default: "https://cdn.jsdelivr.net/gh/devicons/devicon@latest/icons/"
+   */
+  iconBaseUrl: "https://cdn.jsdelivr.net/gh/devicons/devicon@latest/icons/",
+
+  /**
+   * iconResolver (Function|null): Picks the icon URL of each code block language.
+   * - Function: Called as iconResolver(lang, language) with the fence language
+   *   and its registry entry ({ id, name, aliases, icon }, null if unknown);
+   *   returns the icon URL, null or "" for no icon, or undefined to fall back
+   *   to 'inlineIcons'/'iconBaseUrl'
+   * - null: Icons come from 'inlineIcons' or 'iconBaseUrl'
+   * Default: null
+   */
+  iconResolver: null,
+
+  /**
+   * inlineIcons (boolean): Uses the bundled inline SVG icons for code blocks.
+   * - true: Known languages get a small inline <svg> badge, nothing is
+   *   downloaded and unknown languages get no icon
+   * - false: Icons are images from 'iconBaseUrl'
+   * Default: false
+   */
+  inlineIcons: false,
+
+  /**
+   * codeCopyButton (boolean): Adds copy buttons to code blocks rendered into the DOM.
+   * - true: insertIntoElement(), appendIntoElement() and replaceIntoElement()
+   *   put a "Copy" button in the language label bar of every code block (or
+   *   in a codeblock-toolbar bar), copying the raw code
+   * - false: No copy buttons
+   * Note: returnHTML() and render() output isn't changed
+   * Default: false
+   */
+  codeCopyButton: false,
+
+  /**
+   * codeCollapseLines (number): Collapses long code blocks rendered into the DOM.
+   * - Number above 0: Blocks with more lines start collapsed to that many
+   *   lines, with a "Show all N lines" toggle below them
+   * - 0: Code blocks are never collapsed
+   * Note: Like codeCopyButton, only for the functions rendering into elements
+   * Default: 0
+   */
+  codeCollapseLines: 0,
+
+  /**
+   * afterRender (Function|null): Runs after markdown was rendered into the DOM.
+   * - Function: Called as afterRender(element, nodes) by insertIntoElement(),
+   *   appendIntoElement() and replaceIntoElement() with the target element and
+   *   its new or changed top-level elements, e.g. to let Mermaid render the
+   *   diagram containers; may return a promise
+   * - null: Nothing runs
+   * Note: Elements it changes are compared by the markup they were inserted
+   *   with on later replaceIntoElement() calls, so a rendered diagram stays
+   *   as long as its source doesn't change
+   * Default: null
+   */
+  afterRender: null,
+
+  /**
+   * syntaxHighlight (boolean): Highlights fenced code blocks with the built-in highlighter.
+   * - true: Code in JS/TS, Python, JSON, HTML, CSS, shell, SQL, Go and Rust
+   *   gets <span class="ct-parsed tok-keyword">-style token spans
+   * - false: Code is only escaped (the 'highlight' hook still runs)
+   * Default: true
+   */
+  syntaxHighlight: true,
+
+  /**
+   * highlight (Function|null): Custom highlighter for fenced code blocks, like Prism or highlight.js.
+   * - Function: Called as highlight(code, lang) with the raw code and the fence
+   *   language ("" if none), returns the escaped, highlighted HTML for inside
+   *   <code>; returning null or undefined falls back to the built-in highlighter
+   * - null: Only the built-in highlighter is used
+   * Default: null
+   */
+  highlight: null,
+
+  /**
+   * math (boolean): Parses TeX math, $...$ inline and $$...$$ blocks.
+   * - true: Inline math needs no space just inside the dollars and no digit
+   *   right after the closing one, so prices like $5 stay text; blocks are
+   *   $$ lines around the TeX or $$ ... $$ on one line
+   * - false: Dollars are plain text
+   * Note: Only in the "cattown" flavor, escape a dollar with \$
+   * Default: true
+   */
+  math: true,
+
+  /**
+   * renderMath (Function|null): Renders math, e.g. with KaTeX or MathJax.
+   * - Function: Called as renderMath(tex, displayMode) with the TeX source and
+   *   true for blocks, returns the HTML put inside the math-inline <span> or
+   *   math-block <div>; returning null or undefined keeps the escaped TeX
+   * - null: The escaped TeX source is output for client-side rendering
+   * Default: null
+   */
+  renderMath: null,
+
+  /**
+   * fenceHandlers (Object): Renders code blocks of some fence languages differently.
+   * - Keys are fence languages (mermaid, plantuml, dot, ...), case-insensitive
+   * - "diagram": Built-in container for diagram libraries,
+   *   <div class="ct-parsed diagram" data-lang="mermaid"> with the escaped source
+   * - Function: Called as handler(token, helpers) with the codeBlock token and
+   *   the custom renderer helpers plus helpers.renderDiagram(); returns HTML,
+   *   or null/undefined for a regular code block
+   * Default: {} (every language is a code block)
+   */
+  fenceHandlers: {},
+
+  /**
+   * frontMatter (boolean): Reads front matter at the start of documents.
+   * - true: A YAML block between --- lines (closed by --- or ...) or a TOML
+   *   block between +++ lines on the first line isn't rendered; parse() returns
+   *   it as a frontMatter token and parseDocument() returns its data. Blocks
+   *   that don't parse, or whose YAML isn't a map, stay regular markdown
+   * - false: The lines are parsed as markdown (--- is a horizontal rule)
+   * Default: true
+   */
+  frontMatter: true,
+
   /**
    * autoHeadingID (boolean): Adds ID to headings automatically by using their name as ID.
-   * - true: Adds ID automatically
+   * - true: Adds a GitHub-style slug of the heading text ("Hello **World**!"
+   *   gets "hello-world"), repeats in a document get -1, -2, ...
    * - false: Doesnt add ID automatically
+   * Note: Explicit ids ({#custom-id}) are used either way
+   * Default: true
+   */
+  autoHeadingID: true,
+
+  /**
+   * headingIdPrefix (string): Prefix of automatic heading IDs.
+   * - E.g. "doc-" for "doc-hello-world", so heading ids can't clash with
+   *   other ids on the page; explicit ids are used as written
+   * Default: "" (no prefix)
+   */
+  headingIdPrefix: "",
+
+  /**
+   * footnoteIdPrefix (string): Prefix of footnote and footnote reference IDs.
+   * - E.g. "preview-" for "preview-fn-1" and "preview-fnref-1", so several
+   *   documents (or a preview and the published copy of one) rendered on one
+   *   page don't link to each other's footnotes
+   * Default: "" (fn-1, fnref-1, ...)
+   */
+  footnoteIdPrefix: "",
+
+  /**
+   * slugify (Function|null): Custom slug function for automatic heading IDs.
+   * - Function: Called as slugify(text, token) with the plain heading text and
+   *   the heading token, returns the slug; the prefix and -1, -2 suffixes for
+   *   repeats are still added, an empty result means no id
+   * - null: The built-in GitHub-style slugs are used
+   * Default: null
+   */
+  slugify: null,
+
+  /**
+   * headingAnchors (boolean): Adds ¶ links to headings with an ID.
+   * - true: Each heading ends with <a class="ct-parsed heading-anchor"
+   *   href="#id">¶</a>, for linking to sections
+   * - false: Headings have no anchor links
+   * Default: false
+   */
+  headingAnchors: false,
+
+  /**
+   * tocMinLevel (number): Highest heading level in tables of contents.
+   * - Headings above it (e.g. the h1 page title with 2) are left out of the
+   *   [[toc]] / [TOC] list and of getHeadings()
+   * Default: 1
+   */
+  tocMinLevel: 1,
+
+  /**
+   * tocMaxLevel (number): Lowest heading level in tables of contents.
+   * - Headings below it (e.g. h4 to h6 with 3) are left out of the
+   *   [[toc]] / [TOC] list and of getHeadings()
+   * Default: 6
+   */
+  tocMaxLevel: 6,
+
+  /**
+   * sourcePositions (boolean): Adds source positions to tokens returned by parse().
+   * - true: Block tokens, list items and inline tokens get a 'position' property
+   *   ({ start: { line, column, offset }, end: { line, column, offset } }),
+   *   tables also get 'headerPosition' and 'rowPositions'
+   * - false: Tokens carry no position data
+   * Default: false
+   */
+  sourcePositions: false,
+
+  /**
+   * sourceLineAttributes (boolean): Adds data-source-line attributes to rendered blocks.
+   * - true: Block elements, list items and table rows get data-source-line="N"
+   *   with the line they start on, for click-to-source and scroll sync
+   * - false: No source line attributes
+   * Default: false
+   */
+  sourceLineAttributes: false,
+
+  /**
+   * flavor (string): Markdown dialect the tokenizer follows.
+   * - "cattown": Cattown's own syntax, with highlight, sub/superscript,
+   *   task lists, tables and {#custom-id} headings
+   * - "commonmark": Follows the CommonMark spec (delimiter-run emphasis,
+   *   indented code, lazy continuation lines, list items containing blocks)
+   *   without Cattown's extensions
+   * Default: "cattown"
+   */
+  flavor: "cattown",
+
+  /**
+   * breaks (boolean): Turns every newline inside a paragraph into a line break.
+   * - true: GitHub-comment style, each line ends with <br>
+   * - false: Lines of a paragraph are joined, only lines ending with two spaces
+   *   or a backslash get a <br>
+   * Default: false
+   */
+  breaks: false,
+
+  /**
+   * autolinks (boolean): Turns URLs and email addresses in text into links.
+   * - true: Bare https://... and www.... links, email addresses and
+   *   <https://...> / <user@host> become links (trailing punctuation stays text)
+   * - false: Only [text](url) makes a link ('commonmark' flavor keeps
+   *   <https://...> links, which are part of the spec)
    * Default: true
    */
-  autoHeadingID: true
+  autolinks: true,
+
+  /**
+   * allowHtml (boolean): Passes HTML written in markdown through to the output.
+   * - true: HTML blocks (<details>, <div>, ...) and inline tags (<kbd>, <br>,
+   *   <sup>, ...) are kept. With enableSanitization on, DOMPurify cleans them,
+   *   or a built-in tag/attribute allowlist when no DOMPurify instance is set
+   * - false: HTML is escaped and shows up as text
+   * Default: false
+   */
+  allowHtml: false,
+
+  /**
+   * linkPolicy (Object): Decides which link and image URLs are rendered and how.
+   * - allowedSchemes: URL schemes kept as links/images, anything else (like
+   *   javascript:) renders as plain text, even without sanitization.
+   *   Relative URLs (/about, ./setup.md, #intro) are always allowed
+   * - baseUrl: Resolves relative URLs against this URL ("" keeps them relative,
+   *   #anchors always stay on the page)
+   * - transformUrl: Function (url, kind) => string called with every URL before
+   *   the checks above, kind is "link" or "image"; returning null or "" renders
+   *   the link or image as text
+   * Fields left out fall back to these defaults.
+   * Default: { allowedSchemes: ["http", "https", "mailto", "tel"], baseUrl: "", transformUrl: null }
+   */
+  linkPolicy: {
+    allowedSchemes: ["http", "https", "mailto", "tel"],
+    baseUrl: "",
+    transformUrl: null,
+  },
+
+  /**
+   * renderers (Object): Custom renderers that override how individual tokens become HTML.
+   * - Keys are block megaTypes (heading, paragraph, codeBlock, ...) or inline types (link, image, ...)
+   * - Values are functions called as renderer(token, renderChildren, helpers)
+   * - Returning null or undefined falls back to the built-in markup
+   * Default: {} (built-in markup for everything)
+   */
+  renderers: {}
 };
 
+/**
+ * Built-in default settings, captured before any setSettings() call.
+ * Used as the starting point for isolated instances from createCattown().
+ */
+const defaultConfig = { ...config };
+
 /**
  * Updates a configuration setting with a new value.
  * 
@@ -81,9 +360,39 @@ let config = {
  *   - 'enableSanitization': Enable/disable HTML sanitization
  *   - 'LanguageNameInCode': Show/hide language names in code blocks
  *   - 'IconInCode': Show/hide language icons in code blocks
+ *   - 'iconBaseUrl': Base URL of the code block language icons
+ *   - 'iconResolver': Custom iconResolver(lang, language) function for icon URLs
+ *   - 'inlineIcons': Enable/disable the bundled inline SVG icons
+ *   - 'codeCopyButton': Enable/disable copy buttons on code blocks in the DOM
+ *   - 'codeCollapseLines': Line count above which code blocks start collapsed
+ *   - 'afterRender': Custom afterRender(element, nodes) function for the DOM
+ *   - 'syntaxHighlight': Enable/disable the built-in syntax highlighter
+ *   - 'highlight': Custom highlight(code, lang) function for code blocks
+ *   - 'math': Enable/disable $...$ and $$...$$ math
+ *   - 'renderMath': Custom renderMath(tex, displayMode) function for math
+ *   - 'fenceHandlers': Map of code block handlers by fence language
+ *   - 'frontMatter': Enable/disable front matter at the start of documents
  *   - 'autoHeadingID': Enable/disable automatic heading IDs
+ *   - 'headingIdPrefix': Prefix of automatic heading IDs
+ *   - 'footnoteIdPrefix': Prefix of footnote IDs
+ *   - 'slugify': Custom slugify(text, token) function for heading IDs
+ *   - 'headingAnchors': Enable/disable ¶ anchor links on headings
+ *   - 'tocMinLevel': Highest heading level listed in tables of contents
+ *   - 'tocMaxLevel': Lowest heading level listed in tables of contents
+ *   - 'sourcePositions': Enable/disable source positions on tokens
+ *   - 'sourceLineAttributes': Enable/disable data-source-line attributes
+ *   - 'flavor': Markdown dialect, 'cattown' or 'commonmark'
+ *   - 'breaks': Enable/disable line breaks for every newline in paragraphs
+ *   - 'autolinks': Enable/disable links for bare URLs and email addresses
+ *   - 'allowHtml': Enable/disable HTML written in markdown
+ *   - 'linkPolicy': Allowed URL schemes, base URL and URL transform hook
+ *   - 'renderers': Map of custom renderers by token type
  * @param {*} value - The new value to assign. Type should match the setting:
- *   - Boolean for all current settings
+ *   - Object for 'renderers', 'fenceHandlers' and 'linkPolicy'
+ *   - Function or null for 'highlight', 'renderMath', 'iconResolver', 'slugify' and 'afterRender'
+ *   - String for 'flavor', 'iconBaseUrl', 'headingIdPrefix' and 'footnoteIdPrefix'
+ *   - Number for 'codeCollapseLines', 'tocMinLevel' and 'tocMaxLevel'
+ *   - Boolean for all other settings
  * 
  * @example
  * // Enable debug mode for troubleshooting
@@ -94,6 +403,12 @@ let config = {
  * 
  * // Turn off sanitization for trusted content (not recommended)
  * setSettings('enableSanitization', false);
+ *
+ * // Open links in a new tab, keep the default markup for everything else
+ * setSettings('renderers', {
+ *   link: (token, renderChildren, { escapeAttribute }) =>
+ *     `<a href="${escapeAttribute(token.href)}" target="_blank" rel="noopener">${renderChildren()}</a>`
+ * });
  */
 export function setSettings(setting, value) {
   if (setting in config) {
@@ -115,7 +430,33 @@ export function setSettings(setting, value) {
  *   - 'enableSanitization': Returns boolean for sanitization state
  *   - 'LanguageNameInCode': Returns boolean for language name display
  *   - 'IconInCode': Returns boolean for language icon display
+ *   - 'iconBaseUrl': Returns string with the icon base URL
+ *   - 'iconResolver': Returns the custom icon resolver function or null
+ *   - 'inlineIcons': Returns boolean for the bundled inline SVG icons
+ *   - 'codeCopyButton': Returns boolean for copy buttons on code blocks
+ *   - 'codeCollapseLines': Returns number of lines before code blocks collapse
+ *   - 'afterRender': Returns the DOM post-processing function or null
+ *   - 'syntaxHighlight': Returns boolean for the built-in syntax highlighter
+ *   - 'highlight': Returns the custom highlight function or null
+ *   - 'math': Returns boolean for math parsing
+ *   - 'renderMath': Returns the custom math renderer function or null
+ *   - 'fenceHandlers': Returns object of code block handlers by language
+ *   - 'frontMatter': Returns boolean for front matter detection
  *   - 'autoHeadingID': Returns boolean for automatic heading IDs
+ *   - 'headingIdPrefix': Returns string prefixed to automatic heading IDs
+ *   - 'footnoteIdPrefix': Returns string prefixed to footnote IDs
+ *   - 'slugify': Returns the custom heading slug function or null
+ *   - 'headingAnchors': Returns boolean for ¶ anchor links on headings
+ *   - 'tocMinLevel': Returns number of the highest heading level in tables of contents
+ *   - 'tocMaxLevel': Returns number of the lowest heading level in tables of contents
+ *   - 'sourcePositions': Returns boolean for source positions on tokens
+ *   - 'sourceLineAttributes': Returns boolean for data-source-line attributes
+ *   - 'flavor': Returns string naming the markdown dialect
+ *   - 'breaks': Returns boolean for line breaks on every newline
+ *   - 'autolinks': Returns boolean for links on bare URLs and emails
+ *   - 'allowHtml': Returns boolean for HTML written in markdown
+ *   - 'linkPolicy': Returns object with the URL policy
+ *   - 'renderers': Returns object of custom renderers
  * @returns {*} The current value of the setting, or undefined if setting doesn't exist.
  * 
  * @example
@@ -138,5 +479,51 @@ export function getSettings(setting) {
   }
 }
 
+/**
+ * Merges an options object over a set of settings without modifying either.
+ *
+ * This is how per-call options work: the options only apply to the settings
+ * object returned here, so concurrent widgets never race on the global config.
+ * Unknown option names are ignored with a warning, like in setSettings().
+ *
+ * @param {Object} base - Settings to start from (e.g. from getAllSettings())
+ * @param {Object} [options] - Settings to override, by setting name
+ * @returns {Object} New settings object with every setting
+ *
+ * @example
+ * const settings = resolveSettings(getAllSettings(), { useCustomTheme: false });
+ * settings.useCustomTheme; // false, global config untouched
+ */
+export function resolveSettings(base, options) {
+  const resolved = { ...base };
+  for (const [setting, value] of Object.entries(options || {})) {
+    if (setting in defaultConfig) {
+      resolved[setting] = value;
+    } else {
+      console.warn(`Setting "${setting}" does not exist in config.`);
+    }
+  }
+  return resolved;
+}
+
+/**
+ * Returns a copy of all current global settings.
+ *
+ * @returns {Object} Settings object with every setting
+ */
+export function getAllSettings() {
+  return { ...config };
+}
+
+/**
+ * Returns a copy of the built-in default settings, ignoring any changes made
+ * with setSettings().
+ *
+ * @returns {Object} Settings object with every setting
+ */
+export function getDefaultSettings() {
+  return { ...defaultConfig };
+}
+
 // Default export for convenient importing as single function
 export default getSettings;
@@ -0,0 +1,588 @@
+/**
+ * CATTOWN FRONT MATTER MODULE
+ *
+ * This module reads the front matter block at the start of a document:
+ * YAML between --- lines (closed by --- or ...) or TOML between +++ lines.
+ * The tokenizer turns it into a frontMatter token that isn't rendered, and
+ * parseDocument() returns its data.
+ *
+ * The parsers cover what front matter commonly holds, not the full specs:
+ * - YAML: maps, lists (block and [flow] / {flow}), nested by indentation,
+ *   plain and quoted scalars, numbers, booleans, null, | and > block scalars
+ *   and comments. Anchors, aliases and tags are read as plain text.
+ * - TOML: key = value pairs, dotted and quoted keys, [tables] and
+ *   [[arrays of tables]], strings (basic, literal and multi-line), numbers,
+ *   booleans, arrays and inline tables. Dates and times stay strings.
+ *
+ * A block that doesn't parse (or whose YAML isn't a map) isn't front matter,
+ * its lines are parsed as markdown like before.
+ */
+
+/**
+ * Opening lines of front matter and their format and closing line. A Map, as
+ * every document's first line is looked up in it (a plain object would find
+ * "constructor").
+ */
+const fences = new Map([
+  ["---", { format: "yaml", close: /^(?:---|\.\.\.)[ \t]*$/ }],
+  ["+++", { format: "toml", close: /^\+\+\+[ \t]*$/ }],
+]);
+
+/**
+ * Sets a key on a parsed object without running setters, so keys like
+ * __proto__ are plain data.
+ *
+ * @param {Object} target - Object to set the key on
+ * @param {string} key - Key from the front matter
+ * @param {*} value - Value to set
+ */
+function setKey(target, key, value) {
+  Object.defineProperty(target, key, {
+    value,
+    enumerable: true,
+    writable: true,
+    configurable: true,
+  });
+}
+
+/**
+ * Throws a parse error pointing at a line of the front matter.
+ *
+ * @param {string} message - What went wrong
+ * @param {number} line - 1-based line number within the front matter
+ */
+function fail(message, line) {
+  throw new Error(`Cattown - invalid front matter on line ${line}: ${message}`);
+}
+
+// ------------------------------- YAML -----------------------------------
+
+/**
+ * Unescapes the content of a double-quoted YAML scalar.
+ *
+ * @param {string} str - Content between the quotes
+ * @returns {string} Unescaped string
+ */
+function unescapeDoubleQuoted(str) {
+  const escapes = { n: "\n", t: "\t", r: "\r", 0: "\0", '"': '"', "\\": "\\", "/": "/", " ": " " };
+  return str.replace(/\\(u[0-9a-fA-F]{4}|x[0-9a-fA-F]{2}|.)/g, (escape, code) => {
+    if (code.length > 1) return String.fromCharCode(parseInt(code.slice(1), 16));
+    return Object.prototype.hasOwnProperty.call(escapes, code) ? escapes[code] : code;
+  });
+}
+
+/**
+ * Reads a plain YAML scalar: null, booleans and numbers by their YAML 1.2
+ * spelling, anything else as a string.
+ *
+ * @param {string} str - Trimmed scalar text
+ * @returns {*} The value
+ */
+function plainScalar(str) {
+  if (/^(?:~|null|Null|NULL)?$/.test(str)) return null;
+  if (/^(?:true|True|TRUE)$/.test(str)) return true;
+  if (/^(?:false|False|FALSE)$/.test(str)) return false;
+  if (/^[-+]?\d+$/.test(str)) return parseInt(str, 10);
+  if (/^0x[0-9a-fA-F]+$/.test(str)) return parseInt(str.slice(2), 16);
+  if (/^0o[0-7]+$/.test(str)) return parseInt(str.slice(2), 8);
+  if (/^[-+]?(?:\d+\.\d*|\.\d+|\d+)(?:[eE][-+]?\d+)?$/.test(str)) return parseFloat(str);
+  if (/^[-+]?\.(?:inf|Inf|INF)$/.test(str)) return str[0] === "-" ? -Infinity : Infinity;
+  if (/^\.(?:nan|NaN|NAN)$/.test(str)) return NaN;
+  return str;
+}
+
+/**
+ * Reads a flow collection ([a, b] or {a: 1}) or quoted/plain scalar from
+ * str at index pos, for flow content.
+ *
+ * @param {string} str - Flow text
+ * @param {Object} cursor - { pos } moved past the value
+ * @param {number} line - Line number for errors
+ * @returns {*} The value
+ */
+function flowValue(str, cursor, line) {
+  const skipSpace = () => {
+    while (/\s/.test(str[cursor.pos] || "")) cursor.pos++;
+  };
+  skipSpace();
+  const ch = str[cursor.pos];
+
+  if (ch === "[" || ch === "{") {
+    const close = ch === "[" ? "]" : "}";
+    const result = ch === "[" ? [] : {};
+    cursor.pos++;
+    skipSpace();
+    while (str[cursor.pos] !== close) {
+      if (cursor.pos >= str.length) fail(`missing "${close}"`, line);
+      if (ch === "[") {
+        result.push(flowValue(str, cursor, line));
+      } else {
+        const key = flowValue(str, cursor, line);
+        skipSpace();
+        let value = null;
+        if (str[cursor.pos] === ":") {
+          cursor.pos++;
+          value = flowValue(str, cursor, line);
+        }
+        setKey(result, String(key), value);
+      }
+      skipSpace();
+      if (str[cursor.pos] === ",") {
+        cursor.pos++;
+        skipSpace();
+      } else if (str[cursor.pos] !== close) {
+        fail(`expected "," or "${close}"`, line);
+      }
+    }
+    cursor.pos++;
+    return result;
+  }
+
+  if (ch === '"' || ch === "'") {
+    const pattern = ch === '"' ? /"((?:[^"\\]|\\.)*)"/y : /'((?:[^']|'')*)'/y;
+    pattern.lastIndex = cursor.pos;
+    const match = pattern.exec(str);
+    if (!match) fail("unclosed quote", line);
+    cursor.pos = pattern.lastIndex;
+    return ch === '"' ? unescapeDoubleQuoted(match[1]) : match[1].replace(/''/g, "'");
+  }
+
+  // Plain scalar up to the next flow indicator, or ': ' for map keys
+  const plain = /(?:[^,\[\]{}:]|:(?![\s,\[\]{}]))*/y;
+  plain.lastIndex = cursor.pos;
+  const text = plain.exec(str)[0];
+  cursor.pos += text.length;
+  return plainScalar(text.trim());
+}
+
+/**
+ * Reads a YAML scalar written after a key or dash: a flow collection, a
+ * quoted string or a plain scalar, with any trailing comment removed.
+ *
+ * @param {string} text - Trimmed value text
+ * @param {number} line - Line number for errors
+ * @returns {*} The value
+ */
+function yamlScalar(text, line) {
+  if (/^["'\[{]/.test(text)) {
+    const cursor = { pos: 0 };
+    const value = flowValue(text, cursor, line);
+    const rest = text.slice(cursor.pos).trim();
+    if (rest && !rest.startsWith("#")) fail(`unexpected "${rest}"`, line);
+    return value;
+  }
+  // A comment needs whitespace before its '#'
+  return plainScalar(text.replace(/(?:^|\s+)#.*$/, "").trim());
+}
+
+/**
+ * Splits "key: value" (value may be empty) into its parts.
+ *
+ * @param {string} text - Trimmed line text
+ * @returns {Object|null} { key, rest }, or null when it isn't a map entry
+ */
+function matchMapEntry(text) {
+  const match = text.match(
+    /^(?:"((?:[^"\\]|\\.)*)"|'((?:[^']|'')*)'|([^\s"'#\[\]{},:-][^#]*?|-[^\s#][^#]*?))[ \t]*:(?:[ \t]+(.*)|$)/
+  );
+  if (!match) return null;
+  const key =
+    match[1] !== undefined
+      ? unescapeDoubleQuoted(match[1])
+      : match[2] !== undefined
+      ? match[2].replace(/''/g, "'")
+      : match[3];
+  return { key, rest: (match[4] || "").trim() };
+}
+
+/**
+ * Parses the YAML subset described at the top of this module.
+ *
+ * @param {string} text - YAML text
+ * @returns {*} Parsed value, null for an empty document
+ * @throws {Error} When the text isn't valid in the supported subset
+ *
+ * @example
+ * parseYaml('title: Cats\ntags:\n  - fluffy\n  - "loud"');
+ * // Returns: { title: 'Cats', tags: ['fluffy', 'loud'] }
+ */
+export function parseYaml(text) {
+  const lines = text.split(/\r?\n/).map((raw) => ({
+    raw,
+    indent: raw.length - raw.replace(/^ +/, "").length,
+    text: raw.trim(),
+  }));
+  let index = 0;
+
+  const isListItem = (str) => str === "-" || str.startsWith("- ");
+  const skipBlank = () => {
+    while (index < lines.length && (lines[index].text === "" || lines[index].text.startsWith("#"))) {
+      index++;
+    }
+  };
+
+  // Node made of the lines starting at the current one, all at its indent
+  function parseNode() {
+    skipBlank();
+    const line = lines[index];
+    if (line.raw.startsWith("\t") || /^ *\t/.test(line.raw)) fail("tabs can't indent", index + 1);
+    return isListItem(line.text) ? parseList(line.indent) : parseMap(line.indent);
+  }
+
+  function parseMap(indent) {
+    const map = {};
+    for (skipBlank(); index < lines.length && lines[index].indent >= indent; skipBlank()) {
+      const line = lines[index];
+      if (line.indent > indent) fail("unexpected indentation", index + 1);
+      const entry = matchMapEntry(line.text);
+      if (!entry) fail(`expected "key: value", got "${line.text}"`, index + 1);
+      index++;
+      setKey(map, entry.key, parseValue(entry.rest, indent, true));
+    }
+    return map;
+  }
+
+  function parseList(indent) {
+    const list = [];
+    for (skipBlank(); index < lines.length && lines[index].indent >= indent; skipBlank()) {
+      const line = lines[index];
+      if (line.indent > indent) fail("unexpected indentation", index + 1);
+      if (!isListItem(line.text)) break;
+      const rest = line.text.slice(1).trim();
+      if (rest && (isListItem(rest) || (matchMapEntry(rest) && !/^["'\[{]/.test(rest)))) {
+        // "- key: value" or "- - item": the item is a node starting at the
+        // column after the dash, continued by the lines indented like it
+        lines[index] = {
+          raw: line.raw,
+          indent: line.indent + line.text.length - rest.length,
+          text: rest,
+        };
+        list.push(parseNode());
+      } else {
+        index++;
+        list.push(parseValue(rest, indent, false));
+      }
+    }
+    return list;
+  }
+
+  // Value after "key:" or "-": inline, a block scalar, or a nested node
+  function parseValue(rest, indent, inMap) {
+    const line = index; // 1-based number of the line holding the value
+    if (/^[|>][-+]?(?:\s+#.*)?$/.test(rest)) return blockScalar(rest, indent);
+    if (rest !== "" && !rest.startsWith("#")) return yamlScalar(rest, line);
+
+    skipBlank();
+    const next = lines[index];
+    // Lists under a map key may start at the key's own indentation
+    if (next && (next.indent > indent || (inMap && next.indent === indent && isListItem(next.text)))) {
+      return parseNode();
+    }
+    return null;
+  }
+
+  // Literal (|) or folded (>) block scalar, with - and + chomping
+  function blockScalar(header, indent) {
+    const folded = header[0] === ">";
+    const chomp = header[1] === "-" || header[1] === "+" ? header[1] : "";
+    const body = [];
+    let contentIndent = null;
+    while (index < lines.length) {
+      const line = lines[index];
+      if (line.text !== "") {
+        if (line.indent <= indent) break;
+        if (contentIndent === null) contentIndent = line.indent;
+        if (line.indent < contentIndent) break;
+      }
+      body.push(line.text === "" ? "" : line.raw.slice(contentIndent));
+      index++;
+    }
+
+    // Trailing blank lines only stay with keep chomping
+    let trailing = 0;
+    while (body.length > 0 && body[body.length - 1] === "") {
+      body.pop();
+      trailing++;
+    }
+    let value = folded
+      ? body
+          .join("\n")
+          .replace(/([^\n])\n(?=[^\n ])/g, "$1 ")
+          .replace(/\n\n/g, "\n")
+      : body.join("\n");
+    if (body.length === 0) return "";
+    if (chomp === "+") value += "\n".repeat(trailing + 1);
+    else if (chomp === "") value += "\n";
+    return value;
+  }
+
+  skipBlank();
+  if (index >= lines.length) return null;
+  const value = lines[index].indent === 0 && !isListItem(lines[index].text) && !matchMapEntry(lines[index].text)
+    ? yamlScalar(lines[index++].text, index)
+    : parseNode();
+  skipBlank();
+  if (index < lines.length) fail(`unexpected "${lines[index].text}"`, index + 1);
+  return value;
+}
+
+// ------------------------------- TOML -----------------------------------
+
+/**
+ * Parses the TOML subset described at the top of this module.
+ *
+ * @param {string} text - TOML text
+ * @returns {Object} Parsed table
+ * @throws {Error} When the text isn't valid in the supported subset
+ *
+ * @example
+ * parseToml('title = "Cats"\n[author]\nname = "Tom"');
+ * // Returns: { title: 'Cats', author: { name: 'Tom' } }
+ */
+export function parseToml(text) {
+  const root = {};
+  let table = root;
+  let pos = 0;
+  // Tables defined with a [header] or as a value, which can't be redefined
+  const defined = new WeakSet([root]);
+
+  const line = () => text.slice(0, pos).split("\n").length;
+  const peek = (str) => text.startsWith(str, pos);
+  const skipSpace = () => {
+    while (pos < text.length && (text[pos] === " " || text[pos] === "\t")) pos++;
+  };
+  // Spaces, newlines and comments, inside arrays and between statements
+  const skipAll = () => {
+    for (;;) {
+      skipSpace();
+      if (text[pos] === "#") {
+        while (pos < text.length && text[pos] !== "\n") pos++;
+      } else if (text[pos] === "\n" || text[pos] === "\r") {
+        pos++;
+      } else {
+        return;
+      }
+    }
+  };
+  const expect = (str) => {
+    if (!peek(str)) fail(`expected "${str}"`, line());
+    pos += str.length;
+  };
+
+  function basicString() {
+    const match = /"((?:[^"\\\n]|\\.)*)"/y;
+    match.lastIndex = pos;
+    const found = match.exec(text);
+    if (!found) fail("unclosed string", line());
+    pos = match.lastIndex;
+    return unescapeTomlString(found[1]);
+  }
+
+  function unescapeTomlString(str) {
+    const escapes = { b: "\b", t: "\t", n: "\n", f: "\f", r: "\r", '"': '"', "\\": "\\" };
+    return str.replace(/\\(u[0-9a-fA-F]{4}|U[0-9a-fA-F]{8}|[btnfr"\\])/g, (escape, code) =>
+      code.length > 1 ? String.fromCodePoint(parseInt(code.slice(1), 16)) : escapes[code]
+    );
+  }
+
+  function key() {
+    const parts = [];
+    do {
+      skipSpace();
+      if (text[pos] === '"') {
+        parts.push(basicString());
+      } else if (text[pos] === "'") {
+        const end = text.indexOf("'", pos + 1);
+        if (end === -1 || text.slice(pos, end).includes("\n")) fail("unclosed string", line());
+        parts.push(text.slice(pos + 1, end));
+        pos = end + 1;
+      } else {
+        const match = /[A-Za-z0-9_-]+/y;
+        match.lastIndex = pos;
+        const found = match.exec(text);
+        if (!found) fail("expected a key", line());
+        parts.push(found[0]);
+        pos = match.lastIndex;
+      }
+      skipSpace();
+    } while (text[pos] === "." && ++pos);
+    return parts;
+  }
+
+  // Walks a key path from a table, creating tables on the way. The last
+  // element of an array of tables stands for the array.
+  function descend(from, parts) {
+    let current = from;
+    for (const part of parts) {
+      if (!Object.prototype.hasOwnProperty.call(current, part)) {
+        setKey(current, part, {});
+      }
+      let next = current[part];
+      if (Array.isArray(next) && next.length > 0 && typeof next[next.length - 1] === "object") {
+        next = next[next.length - 1];
+      }
+      if (typeof next !== "object" || next === null || Array.isArray(next)) {
+        fail(`"${part}" is already a value`, line());
+      }
+      current = next;
+    }
+    return current;
+  }
+
+  function value() {
+    skipSpace();
+    if (peek('"""') || peek("'''")) {
+      const quote = text.slice(pos, pos + 3);
+      const end = text.indexOf(quote, pos + 3);
+      if (end === -1) fail("unclosed multi-line string", line());
+      // A newline right after the opening quotes isn't part of the string
+      let str = text.slice(pos + 3, end).replace(/^\r?\n/, "");
+      pos = end + 3;
+      if (quote === '"""') {
+        // A backslash at the end of a line trims the line break and indentation
+        str = unescapeTomlString(str.replace(/\\[ \t]*\r?\n\s*/g, ""));
+      }
+      return str;
+    }
+    if (text[pos] === '"') return basicString();
+    if (text[pos] === "'") {
+      const end = text.indexOf("'", pos + 1);
+      if (end === -1 || text.slice(pos, end).includes("\n")) fail("unclosed string", line());
+      const str = text.slice(pos + 1, end);
+      pos = end + 1;
+      return str;
+    }
+    if (text[pos] === "[") {
+      pos++;
+      const array = [];
+      for (skipAll(); text[pos] !== "]"; skipAll()) {
+        if (pos >= text.length) fail('missing "]"', line());
+        array.push(value());
+        skipAll();
+        if (text[pos] === ",") pos++;
+        else if (text[pos] !== "]") fail('expected "," or "]"', line());
+      }
+      pos++;
+      return array;
+    }
+    if (text[pos] === "{") {
+      pos++;
+      const inline = {};
+      defined.add(inline);
+      skipSpace();
+      while (text[pos] !== "}") {
+        const parts = key();
+        expect("=");
+        const target = descend(inline, parts.slice(0, -1));
+        setKey(target, parts[parts.length - 1], value());
+        skipSpace();
+        if (text[pos] === ",") {
+          pos++;
+          skipSpace();
+        } else if (text[pos] !== "}") {
+          fail('expected "," or "}"', line());
+        }
+      }
+      pos++;
+      return inline;
+    }
+
+    const match = /[^\s,\]}#]+(?: \d{2}:\d{2}:\d{2}(?:\.\d+)?(?:Z|[+-]\d{2}:\d{2})?)?/y;
+    match.lastIndex = pos;
+    const found = match.exec(text);
+    if (!found) fail("expected a value", line());
+    pos = match.lastIndex;
+    const word = found[0];
+    if (word === "true") return true;
+    if (word === "false") return false;
+    if (/^[+-]?(?:inf|nan)$/.test(word)) {
+      return word.endsWith("nan") ? NaN : word[0] === "-" ? -Infinity : Infinity;
+    }
+    if (/^0x[0-9a-fA-F_]+$/.test(word)) return parseInt(word.slice(2).replace(/_/g, ""), 16);
+    if (/^0o[0-7_]+$/.test(word)) return parseInt(word.slice(2).replace(/_/g, ""), 8);
+    if (/^0b[01_]+$/.test(word)) return parseInt(word.slice(2).replace(/_/g, ""), 2);
+    if (/^[+-]?\d[\d_]*(?:\.\d[\d_]*)?(?:[eE][+-]?\d[\d_]*)?$/.test(word)) {
+      return Number(word.replace(/_/g, ""));
+    }
+    // Dates and times are kept as written
+    if (/^\d{4}-\d{2}-\d{2}|^\d{2}:\d{2}:\d{2}/.test(word)) return word;
+    fail(`unknown value "${word}"`, line());
+  }
+
+  for (skipAll(); pos < text.length; skipAll()) {
+    if (peek("[[")) {
+      pos += 2;
+      const parts = key();
+      expect("]]");
+      const parent = descend(root, parts.slice(0, -1));
+      const last = parts[parts.length - 1];
+      if (!Object.prototype.hasOwnProperty.call(parent, last)) setKey(parent, last, []);
+      if (!Array.isArray(parent[last])) fail(`"${last}" isn't an array of tables`, line());
+      table = {};
+      defined.add(table);
+      parent[last].push(table);
+    } else if (peek("[")) {
+      pos++;
+      const parts = key();
+      expect("]");
+      table = descend(root, parts);
+      if (defined.has(table)) fail(`table "${parts.join(".")}" is defined twice`, line());
+      defined.add(table);
+    } else {
+      const parts = key();
+      expect("=");
+      const target = descend(table, parts.slice(0, -1));
+      const last = parts[parts.length - 1];
+      if (Object.prototype.hasOwnProperty.call(target, last)) fail(`"${last}" is defined twice`, line());
+      setKey(target, last, value());
+    }
+    // Statements end with the line
+    skipSpace();
+    if (text[pos] === "#") continue;
+    if (pos < text.length && text[pos] !== "\n" && text[pos] !== "\r") {
+      fail(`unexpected "${text.slice(pos).split("\n")[0]}"`, line());
+    }
+  }
+  return root;
+}
+
+// ----------------------------- EXTRACTION --------------------------------
+
+/**
+ * Finds the front matter at the start of a document's lines and parses it.
+ *
+ * @param {string[]} lines - Lines of the document
+ * @returns {Object|null} { token, endIndex } with the frontMatter token
+ *   ({ megaType: "frontMatter", format, data, raw }) and the index of the
+ *   closing line, or null without (valid) front matter
+ *
+ * @example
+ * extractFrontMatter(['---', 'title: Cats', '---', '# Hello']);
+ * // Returns: { token: { megaType: 'frontMatter', format: 'yaml', data: { title: 'Cats' }, raw: 'title: Cats' }, endIndex: 2 }
+ */
+export function extractFrontMatter(lines) {
+  const fence = lines.length > 0 && fences.get(lines[0].replace(/^\uFEFF/, "").trimEnd());
+  if (!fence) return null;
+
+  let end = 1;
+  while (end < lines.length && !fence.close.test(lines[end])) end++;
+  if (end >= lines.length) return null;
+
+  const raw = lines.slice(1, end).join("\n");
+  let data;
+  try {
+    data = fence.format === "yaml" ? parseYaml(raw) : parseToml(raw);
+  } catch (error) {
+    return null;
+  }
+  // YAML front matter is a map (or empty), anything else is regular markdown
+  if (data === null) data = {};
+  if (typeof data !== "object" || Array.isArray(data)) return null;
+
+  return {
+    token: { megaType: "frontMatter", format: fence.format, data, raw },
+    endIndex: end,
+  };
+}
+
+export default extractFrontMatter;
@@ -0,0 +1,191 @@
+/**
+ * CATTOWN HEADINGS MODULE
+ *
+ * This module reads the headings of a parsed document: it assigns the unique
+ * ids headings are rendered with, and builds the heading tree getHeadings()
+ * returns and the [[toc]] / [TOC] marker renders as a <nav> list of links.
+ *
+ * Ids cover every heading of the document; tables of contents only list the
+ * document's own headings, not the ones inside blockquotes, callouts, lists
+ * or footnotes.
+ */
+
+/**
+ * Returns the plain text of inline tokens, without any formatting: link text,
+ * image alt text, code and math source. Raw HTML and footnote references
+ * are left out.
+ *
+ * @param {import("./cattownTokens.js").InlineToken[]} content - Inline tokens
+ * @returns {string} Plain text
+ *
+ * @example
+ * headingText([{ type: 'text', content: 'Hello ' }, { type: 'bold', content: [{ type: 'text', content: 'World' }] }]);
+ * // Returns: "Hello World"
+ */
+export function headingText(content) {
+  if (typeof content === "string") return content;
+  if (!Array.isArray(content)) return "";
+  return content
+    .map((token) => {
+      if (!token || typeof token !== "object") return "";
+      switch (token.type) {
+        case "image":
+          return token.alt || "";
+        case "softBreak":
+        case "hardBreak":
+          return " ";
+        case "html":
+        case "footnoteRef":
+          return "";
+        default:
+          // Text, code and math hold a string, styled tokens and links nest
+          return headingText(token.content);
+      }
+    })
+    .join("");
+}
+
+/**
+ * Turns heading text into a GitHub-style slug: lowercased, with punctuation
+ * and symbols (emoji too) removed and spaces turned into hyphens. Letters and
+ * digits of every script are kept.
+ *
+ * @param {string} text - Plain heading text
+ * @returns {string} Slug, "" when nothing is left
+ *
+ * @example
+ * slugify("What's new in v2.0?"); // "whats-new-in-v20"
+ * slugify("Über Café"); // "über-café"
+ */
+export function slugify(text) {
+  return String(text)
+    .trim()
+    .toLowerCase()
+    .replace(/[^\p{L}\p{M}\p{N}\p{Pc} -]/gu, "")
+    .replace(/ /g, "-");
+}
+
+/**
+ * Assigns the ids of every heading in a document, nested ones included, so
+ * they are unique in it. Explicit {#id}s are kept as written and reserved
+ * first; the others are slugs of their text (the 'slugify' setting, else
+ * slugify()) after the 'headingIdPrefix' setting, with -1, -2, ... added to
+ * repeats. Without the 'autoHeadingID' setting only explicit ids are used.
+ *
+ * @param {import("./cattownTokens.js").BlockToken[]} tokens - Block tokens of the document
+ * @param {Object} settings - Resolved settings
+ * @returns {Function} idOf(token) returning a heading's id or null; headings
+ *   that weren't in the document (e.g. made by a custom renderer) get the
+ *   next unique id
+ *
+ * @example
+ * const idOf = createHeadingIds(parse("# Intro\n## Intro"), settings);
+ * // idOf(tokens[0]) === "intro", idOf(tokens[1]) === "intro-1"
+ */
+export function createHeadingIds(tokens, settings) {
+  const ids = new Map();
+  const taken = new Set();
+  // Last suffix used for each base id
+  const suffixes = new Map();
+
+  const generate = (token) => {
+    if (token.id) return String(token.id);
+    if (!settings.autoHeadingID) return null;
+    const text = headingText(token.content);
+    const slug =
+      typeof settings.slugify === "function" ? settings.slugify(text, token) : slugify(text);
+    if (slug == null || slug === "") return null;
+
+    const base = `${settings.headingIdPrefix || ""}${slug}`;
+    let id = base;
+    let suffix = suffixes.get(base) || 0;
+    while (taken.has(id)) id = `${base}-${++suffix}`;
+    suffixes.set(base, suffix);
+    taken.add(id);
+    return id;
+  };
+
+  // Headings in document order, walked with an explicit stack as nesting
+  // can be very deep
+  const headings = [];
+  const stack = [tokens];
+  while (stack.length > 0) {
+    const value = stack.pop();
+    if (!value || typeof value !== "object") continue;
+    if (value.megaType === "heading") headings.push(value);
+    const children = Array.isArray(value)
+      ? value
+      : Object.keys(value)
+          .filter((key) => key !== "position")
+          .map((key) => value[key]);
+    for (let i = children.length - 1; i >= 0; i--) stack.push(children[i]);
+  }
+
+  for (const token of headings) {
+    if (token.id) taken.add(String(token.id));
+  }
+  for (const token of headings) {
+    if (!ids.has(token)) ids.set(token, generate(token));
+  }
+
+  return (token) => {
+    if (!ids.has(token)) ids.set(token, generate(token));
+    return ids.get(token);
+  };
+}
+
+/**
+ * Collects the document-level headings of a token tree as a nested tree.
+ * Each heading holds the following deeper ones as children until a heading
+ * of its level or higher; skipped levels (an h4 right after an h2) don't add
+ * empty entries.
+ *
+ * @param {import("./cattownTokens.js").BlockToken[]} tokens - Block tokens of the document
+ * @param {Object} settings - Resolved settings, for ids
+ * @param {number} [minLevel=1] - Highest heading level listed (1 for h1)
+ * @param {number} [maxLevel=6] - Lowest heading level listed
+ * @param {Function} [idOf] - Heading ids from createHeadingIds(), to share
+ *   them with the rendered headings
+ * @returns {Array<{level: number, text: string, id: (string|null), children: Array}>}
+ *   Top-level headings with their nested headings
+ *
+ * @example
+ * buildHeadingTree(parse("# A\n## B\n## C\n# D"), settings);
+ * // Returns: [
+ * //   { level: 1, text: 'A', id: 'a', children: [
+ * //     { level: 2, text: 'B', id: 'b', children: [] },
+ * //     { level: 2, text: 'C', id: 'c', children: [] }
+ * //   ] },
+ * //   { level: 1, text: 'D', id: 'd', children: [] }
+ * // ]
+ */
+export function buildHeadingTree(
+  tokens,
+  settings,
+  minLevel = 1,
+  maxLevel = 6,
+  idOf = createHeadingIds(tokens, settings)
+) {
+  const tree = [];
+  // Open headings, each one's children receive the deeper headings after it
+  const open = [];
+
+  for (const token of tokens || []) {
+    if (!token || token.megaType !== "heading") continue;
+    const level = Math.min(Math.max(token.level, 1), 6);
+    if (level < minLevel || level > maxLevel) continue;
+
+    const node = {
+      level,
+      text: headingText(token.content).trim(),
+      id: idOf(token),
+      children: [],
+    };
+    while (open.length > 0 && open[open.length - 1].level >= level) open.pop();
+    (open.length > 0 ? open[open.length - 1].children : tree).push(node);
+    open.push(node);
+  }
+  return tree;
+}
+
+export default buildHeadingTree;
@@ -0,0 +1,343 @@
+/**
+ * CATTOWN SYNTAX HIGHLIGHTING MODULE
+ *
+ * This module implements the lightweight built-in highlighter for fenced code
+ * blocks. It is not a full parser: every language is a list of regex rules
+ * tried at each position of the code, the first rule matching wins and the
+ * text it matched becomes a <span> with a token class.
+ *
+ * Supported languages (aliases like js, py or sh come from the language
+ * registry in cattownLanguages.js):
+ * - JavaScript and TypeScript
+ * - Python, JSON, HTML, XML and CSS
+ * - Shell, SQL, Go and Rust
+ *
+ * Token classes are tok-comment, tok-string, tok-number, tok-keyword,
+ * tok-literal, tok-builtin, tok-function, tok-type, tok-property, tok-tag,
+ * tok-attr and tok-variable, styled in markdownStyles.css.
+ *
+ * Teams wanting more languages or exact parsing can plug in Prism or
+ * highlight.js through the 'highlight' setting instead.
+ */
+
+import { getLanguage } from "./cattownLanguages.js";
+
+/**
+ * Builds a sticky regex matching any of the given words as a whole word.
+ *
+ * @param {string} list - Words separated by spaces
+ * @param {string} [flags] - Extra regex flags
+ * @returns {RegExp} Sticky regex
+ */
+function words(list, flags = "") {
+  return new RegExp(`\\b(?:${list.trim().split(/\s+/).join("|")})\\b`, "y" + flags);
+}
+
+/**
+ * Builds a sticky regex from a regex literal, so rules can be written as
+ * literals and still match only at the current position.
+ *
+ * @param {RegExp} regex - Pattern of the rule
+ * @returns {RegExp} Sticky copy
+ */
+function sticky(regex) {
+  return new RegExp(regex.source, regex.flags.replace("g", "") + "y");
+}
+
+// Rules shared by several languages
+const slashComment = ["comment", sticky(/\/\/.*|\/\*[\s\S]*?(?:\*\/|$)/)];
+const hashComment = ["comment", sticky(/#.*/)];
+const doubleString = ["string", sticky(/"(?:[^"\\\n]|\\.)*"?/)];
+const singleString = ["string", sticky(/'(?:[^'\\\n]|\\.)*'?/)];
+// Numbers with type suffixes (10n, 1u8, 2.5f32) included
+const number = [
+  "number",
+  sticky(/\b(?:0[xX][\da-fA-F_]+|0[bB][01_]+|0[oO][0-7_]+|\d[\d_]*(?:\.\d[\d_]*)?(?:[eE][+-]?\d+)?)(?:[a-zA-Z]\w*)?\b|\.\d+\b/),
+];
+const functionCall = ["function", sticky(/[A-Za-z_$][\w$]*(?=\s*\()/)];
+const typeName = ["type", sticky(/\b[A-Z][\w$]*/)];
+// Plain identifiers are skipped whole, so keywords never match inside a word
+const identifier = [null, sticky(/[A-Za-z_$][\w$]*/)];
+
+const jsKeywords =
+  "async await break case catch class const continue debugger default delete do else export " +
+  "extends finally for from function get if import in instanceof let new of return set static " +
+  "super switch throw try typeof var void while with yield";
+const jsLiterals = "true false null undefined NaN Infinity this";
+
+const javascript = [
+  slashComment,
+  doubleString,
+  singleString,
+  ["string", sticky(/`(?:[^`\\]|\\[\s\S])*`?/)],
+  number,
+  ["keyword", words(jsKeywords)],
+  ["literal", words(jsLiterals)],
+  ["builtin", words("console window document globalThis Math JSON Object Array Promise")],
+  functionCall,
+  typeName,
+  identifier,
+];
+
+const typescript = [
+  ...javascript.slice(0, 5),
+  [
+    "keyword",
+    words(`${jsKeywords} abstract as declare enum implements interface keyof namespace private protected public readonly satisfies type`),
+  ],
+  ["type", words("any boolean never number object string symbol unknown bigint")],
+  ...javascript.slice(6),
+];
+
+const python = [
+  hashComment,
+  ["string", sticky(/[rRbBfFuU]{0,2}(?:"""[\s\S]*?(?:"""|$)|'''[\s\S]*?(?:'''|$)|"(?:[^"\\\n]|\\.)*"?|'(?:[^'\\\n]|\\.)*'?)/)],
+  ["attr", sticky(/@[\w.]+/)],
+  number,
+  [
+    "keyword",
+    words(
+      "and as assert async await break class continue def del elif else except finally for from " +
+        "global if import in is lambda nonlocal not or pass raise return try while with yield match case"
+    ),
+  ],
+  ["literal", words("True False None self cls")],
+  ["builtin", words("print len range enumerate zip open int str float list dict set tuple bool type isinstance super")],
+  functionCall,
+  typeName,
+  identifier,
+];
+
+const json = [
+  ["property", sticky(/"(?:[^"\\\n]|\\.)*"(?=\s*:)/)],
+  doubleString,
+  ["number", sticky(/-?\d+(?:\.\d+)?(?:[eE][+-]?\d+)?/)],
+  ["literal", words("true false null")],
+  slashComment, // JSON with comments
+];
+
+/**
+ * Highlights a whole HTML tag: name, attribute names and values.
+ *
+ * @param {Array} match - Match of the tag rule
+ * @param {Function} span - span(type, text) helper
+ * @returns {string} HTML for the tag
+ */
+function htmlTag(match, span) {
+  const [, open, name, attributes, close] = match;
+  const attributeHTML = attributes.replace(
+    /([^\s=]+)(\s*=\s*)?("[^"]*"|'[^']*'|[^\s"']+)?/g,
+    (all, attr, equals, value) =>
+      span("attr", attr) + (equals ? escapeCode(equals) : "") + (value ? span("string", value) : "")
+  );
+  return span("tag", open + name) + attributeHTML + span("tag", close);
+}
+
+const html = [
+  ["comment", sticky(/<!--[\s\S]*?(?:-->|$)/)],
+  ["keyword", sticky(/<![A-Za-z][^>]*>/)],
+  [htmlTag, sticky(/(<\/?)([A-Za-z][\w:-]*)((?:\s+[^\s=>\/]+(?:\s*=\s*(?:"[^"]*"|'[^']*'|[^\s>]+))?)*\s*)(\/?>)/)],
+  ["literal", sticky(/&#?\w+;/)],
+];
+
+const css = [
+  ["comment", sticky(/\/\*[\s\S]*?(?:\*\/|$)/)],
+  doubleString,
+  singleString,
+  ["keyword", sticky(/@[\w-]+|!important\b/)],
+  ["number", sticky(/#[\da-fA-F]{3,8}\b/)],
+  ["property", sticky(/(?<![\w-])-{0,2}[a-zA-Z][\w-]*(?=\s*:[^:{};]*[;}])/)],
+  ["function", sticky(/[\w-]+(?=\()/)],
+  ["type", sticky(/[.#][A-Za-z_-][\w-]*/)],
+  ["number", sticky(/-?(?:\d+\.?\d*|\.\d+)(?:%|[a-zA-Z]+\b)?/)],
+  [null, sticky(/[\w-]+/)],
+];
+
+const shell = [
+  ["comment", sticky(/(?<![^\s;|&])#.*/)],
+  ["string", sticky(/"(?:[^"\\]|\\[\s\S])*"?|'[^']*'?/)],
+  ["variable", sticky(/\$(?:\{[^}\n]*\}?|\w+|[@#?$!*0-9-])/)],
+  [
+    "keyword",
+    words("if then else elif fi for while until do done case esac in function select return export local readonly"),
+  ],
+  ["builtin", words("echo printf cd pwd source alias unset read test exit set shift eval exec sudo")],
+  ["attr", sticky(/(?<![\w-])--?[\w-]+/)],
+  [null, sticky(/[\w.\/-]+/)],
+];
+
+const sql = [
+  ["comment", sticky(/--.*|\/\*[\s\S]*?(?:\*\/|$)/)],
+  ["string", sticky(/'(?:[^']|'')*'?/)],
+  ["property", sticky(/"(?:[^"]|"")*"?|`[^`]*`?/)],
+  number,
+  [
+    "keyword",
+    words(
+      "select from where insert into values update set delete create table alter drop add column " +
+        "join inner left right full outer cross on as and or not is in like ilike between exists " +
+        "order by group having limit offset distinct union all primary key foreign references index " +
+        "view default begin commit rollback transaction case when then else end with returning " +
+        "asc desc unique check constraint if",
+      "i"
+    ),
+  ],
+  ["literal", words("null true false", "i")],
+  ["type", words("int integer bigint smallint serial decimal numeric real float double varchar char text boolean date time timestamp json jsonb uuid", "i")],
+  functionCall,
+  identifier,
+];
+
+const go = [
+  slashComment,
+  doubleString,
+  ["string", sticky(/`[^`]*`?|'(?:[^'\\\n]|\\.)*'?/)],
+  number,
+  [
+    "keyword",
+    words(
+      "break case chan const continue default defer else fallthrough for func go goto if import " +
+        "interface map package range return select struct switch type var"
+    ),
+  ],
+  ["literal", words("true false nil iota")],
+  [
+    "type",
+    words(
+      "bool byte complex64 complex128 error float32 float64 int int8 int16 int32 int64 rune string " +
+        "uint uint8 uint16 uint32 uint64 uintptr any"
+    ),
+  ],
+  ["builtin", words("append cap clear close copy delete len make max min new panic print println recover")],
+  functionCall,
+  identifier,
+];
+
+const rust = [
+  slashComment,
+  ["string", sticky(/b?r(#*)"[\s\S]*?(?:"\1|$)/)],
+  ["string", sticky(/b?"(?:[^"\\]|\\[\s\S])*"?/)],
+  ["string", sticky(/b?'(?:[^'\\\n]|\\.)'/)],
+  ["variable", sticky(/'[A-Za-z_]\w*/)], // Lifetimes
+  ["attr", sticky(/#!?\[[^\]\n]*\]?/)],
+  number,
+  [
+    "keyword",
+    words(
+      "as async await break const continue crate dyn else enum extern fn for if impl in let loop " +
+        "match mod move mut pub ref return self Self static struct super trait type unsafe use where while"
+    ),
+  ],
+  ["literal", words("true false None Some Ok Err")],
+  ["type", words("i8 i16 i32 i64 i128 isize u8 u16 u32 u64 u128 usize f32 f64 bool char str")],
+  ["function", sticky(/[A-Za-z_]\w*!/)], // Macros
+  functionCall,
+  typeName,
+  identifier,
+];
+
+/**
+ * Rules of every supported language, by registry id.
+ */
+const languages = {
+  javascript,
+  typescript,
+  python,
+  json,
+  html,
+  xml: html,
+  css,
+  shell,
+  sql,
+  go,
+  rust,
+};
+
+/**
+ * Finds the rules of a language through the language registry.
+ *
+ * @param {string} lang - Language name or alias, case-insensitive
+ * @returns {Array|null} Rules of the language, or null when unsupported
+ */
+function rulesFor(lang) {
+  const language = getLanguage(lang);
+  return language && Object.prototype.hasOwnProperty.call(languages, language.id)
+    ? languages[language.id]
+    : null;
+}
+
+/**
+ * Escapes the HTML special characters of code, like escapeHTML() of the
+ * renderer does for code blocks that aren't highlighted.
+ *
+ * @param {string} str - Code to escape
+ * @returns {string} Escaped code
+ */
+function escapeCode(str) {
+  return str
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+}
+
+/**
+ * Checks whether the built-in highlighter supports a language.
+ *
+ * @param {string} lang - Language name or alias, case-insensitive
+ * @returns {boolean} true when highlightCode() can highlight it
+ */
+export function isLanguageSupported(lang) {
+  return rulesFor(lang) !== null;
+}
+
+/**
+ * Highlights code with the built-in rules of its language.
+ *
+ * @param {string} code - Raw code of the code block
+ * @param {string} lang - Language name or alias, case-insensitive
+ * @param {Function} className - Returns the class attribute for a token type,
+ *   e.g. (type) => ` class="ct-parsed tok-${type}"`
+ * @returns {string|null} Escaped code with token spans, or null when the
+ *   language isn't supported
+ *
+ * @example
+ * highlightCode('let cat = "meow";', 'js', (type) => ` class="tok-${type}"`);
+ * // Returns: '<span class="tok-keyword">let</span> cat = <span class="tok-string">&quot;meow&quot;</span>;'
+ */
+export function highlightCode(code, lang, className) {
+  const rules = rulesFor(lang);
+  if (!rules) return null;
+  const span = (type, text) => `<span${className(type)}>${escapeCode(text)}</span>`;
+
+  let result = "";
+  let plainStart = 0;
+  let i = 0;
+  while (i < code.length) {
+    let matched = null;
+    for (const [type, regex] of rules) {
+      regex.lastIndex = i;
+      const match = regex.exec(code);
+      if (match && match[0].length > 0) {
+        matched = { type, match };
+        break;
+      }
+    }
+    if (!matched) {
+      i++;
+      continue;
+    }
+
+    const { type, match } = matched;
+    if (type !== null) {
+      result += escapeCode(code.slice(plainStart, i));
+      result += typeof type === "function" ? type(match, span) : span(type, match[0]);
+      plainStart = i + match[0].length;
+    }
+    i += match[0].length;
+  }
+  return result + escapeCode(code.slice(plainStart));
+}
+
+export default highlightCode;
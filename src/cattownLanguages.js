@@ -0,0 +1,99 @@
+/**
+ * CATTOWN LANGUAGE REGISTRY MODULE
+ *
+ * This module knows the languages code blocks are commonly written in: their
+ * display name, the aliases used in fences (```js, ```sh, ```py), the Devicon
+ * icon name and a small badge used for the bundled inline icons.
+ *
+ * It is used by the code block renderer for the language label and icon,
+ * and by the built-in syntax highlighter to resolve aliases.
+ */
+
+/**
+ * Known languages. icon is the Devicon folder name (null when Devicon has no
+ * icon for it), badge/color/textColor draw the bundled inline icon.
+ */
+const languageList = [
+  { id: "javascript", name: "JavaScript", aliases: ["js", "jsx", "mjs", "cjs"], icon: "javascript", badge: "JS", color: "#f7df1e", textColor: "#000000" },
+  { id: "typescript", name: "TypeScript", aliases: ["ts", "tsx", "mts", "cts"], icon: "typescript", badge: "TS", color: "#3178c6", textColor: "#ffffff" },
+  { id: "python", name: "Python", aliases: ["py", "python3"], icon: "python", badge: "PY", color: "#3776ab", textColor: "#ffd43b" },
+  { id: "json", name: "JSON", aliases: ["jsonc", "json5"], icon: "json", badge: "{}", color: "#5b5b5b", textColor: "#ffffff" },
+  { id: "html", name: "HTML", aliases: ["htm", "xhtml"], icon: "html5", badge: "<>", color: "#e34f26", textColor: "#ffffff" },
+  { id: "xml", name: "XML", aliases: ["svg", "plist"], icon: null, badge: "<>", color: "#0060ac", textColor: "#ffffff" },
+  { id: "css", name: "CSS", aliases: [], icon: "css3", badge: "CSS", color: "#1572b6", textColor: "#ffffff" },
+  { id: "scss", name: "SCSS", aliases: ["sass"], icon: "sass", badge: "S", color: "#cc6699", textColor: "#ffffff" },
+  { id: "shell", name: "Shell", aliases: ["sh", "bash", "zsh", "console", "shellscript"], icon: "bash", badge: "$_", color: "#2b2b2b", textColor: "#4eaa25" },
+  { id: "powershell", name: "PowerShell", aliases: ["ps1", "pwsh"], icon: "powershell", badge: ">_", color: "#012456", textColor: "#ffffff" },
+  { id: "sql", name: "SQL", aliases: ["mysql", "postgres", "postgresql", "sqlite"], icon: null, badge: "SQL", color: "#336791", textColor: "#ffffff" },
+  { id: "go", name: "Go", aliases: ["golang"], icon: "go", badge: "GO", color: "#00add8", textColor: "#ffffff" },
+  { id: "rust", name: "Rust", aliases: ["rs"], icon: "rust", badge: "RS", color: "#000000", textColor: "#ffffff" },
+  { id: "java", name: "Java", aliases: [], icon: "java", badge: "JV", color: "#e76f00", textColor: "#ffffff" },
+  { id: "kotlin", name: "Kotlin", aliases: ["kt", "kts"], icon: "kotlin", badge: "KT", color: "#7f52ff", textColor: "#ffffff" },
+  { id: "c", name: "C", aliases: ["h"], icon: "c", badge: "C", color: "#a8b9cc", textColor: "#000000" },
+  { id: "cpp", name: "C++", aliases: ["c++", "cc", "cxx", "hpp"], icon: "cplusplus", badge: "C++", color: "#00599c", textColor: "#ffffff" },
+  { id: "csharp", name: "C#", aliases: ["cs", "c#"], icon: "csharp", badge: "C#", color: "#68217a", textColor: "#ffffff" },
+  { id: "php", name: "PHP", aliases: [], icon: "php", badge: "PHP", color: "#777bb4", textColor: "#ffffff" },
+  { id: "ruby", name: "Ruby", aliases: ["rb"], icon: "ruby", badge: "RB", color: "#cc342d", textColor: "#ffffff" },
+  { id: "swift", name: "Swift", aliases: [], icon: "swift", badge: "SW", color: "#f05138", textColor: "#ffffff" },
+  { id: "dart", name: "Dart", aliases: [], icon: "dart", badge: "DT", color: "#0175c2", textColor: "#ffffff" },
+  { id: "lua", name: "Lua", aliases: [], icon: "lua", badge: "LUA", color: "#000080", textColor: "#ffffff" },
+  { id: "r", name: "R", aliases: [], icon: "r", badge: "R", color: "#276dc3", textColor: "#ffffff" },
+  { id: "scala", name: "Scala", aliases: ["sc"], icon: "scala", badge: "SC", color: "#dc322f", textColor: "#ffffff" },
+  { id: "haskell", name: "Haskell", aliases: ["hs"], icon: "haskell", badge: "HS", color: "#5e5086", textColor: "#ffffff" },
+  { id: "elixir", name: "Elixir", aliases: ["ex", "exs"], icon: "elixir", badge: "EX", color: "#4b275f", textColor: "#ffffff" },
+  { id: "markdown", name: "Markdown", aliases: ["md", "mdx"], icon: "markdown", badge: "MD", color: "#083fa1", textColor: "#ffffff" },
+  { id: "yaml", name: "YAML", aliases: ["yml"], icon: "yaml", badge: "YML", color: "#cb171e", textColor: "#ffffff" },
+  { id: "toml", name: "TOML", aliases: [], icon: null, badge: "TML", color: "#9c4121", textColor: "#ffffff" },
+  { id: "dockerfile", name: "Dockerfile", aliases: ["docker"], icon: "docker", badge: "DKR", color: "#2496ed", textColor: "#ffffff" },
+  { id: "graphql", name: "GraphQL", aliases: ["gql"], icon: "graphql", badge: "GQL", color: "#e10098", textColor: "#ffffff" },
+  { id: "diff", name: "Diff", aliases: ["patch"], icon: null, badge: "+-", color: "#4d4d4d", textColor: "#ffffff" },
+];
+
+/**
+ * Languages by id and alias, lowercased.
+ */
+const languagesByName = new Map();
+for (const language of languageList) {
+  for (const name of [language.id, ...language.aliases]) {
+    languagesByName.set(name, language);
+  }
+}
+
+/**
+ * Finds a language by its id or one of its aliases.
+ *
+ * @param {string} lang - Language from a code fence, case-insensitive
+ * @returns {Object|null} { id, name, aliases, icon, badge, color, textColor },
+ *   or null for unknown languages
+ *
+ * @example
+ * getLanguage('sh').name; // "Shell"
+ */
+export function getLanguage(lang) {
+  return languagesByName.get(String(lang).toLowerCase()) || null;
+}
+
+/**
+ * Builds the bundled inline SVG icon of a language: a rounded badge in the
+ * language's color with a short label, so no icon has to be downloaded.
+ *
+ * @param {Object} language - Language from getLanguage()
+ * @param {string} attributes - Extra attributes for the <svg>, like a class
+ * @returns {string|null} SVG markup, or null without a badge
+ */
+export function languageBadgeSVG(language, attributes = "") {
+  if (!language || !language.badge) return null;
+  const escape = (str) =>
+    str.replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;");
+  // Longer labels get a smaller font to fit the badge
+  const fontSize = language.badge.length > 2 ? 10 : 13;
+  return (
+    `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 32 32" aria-hidden="true"${attributes}>` +
+    `<rect width="32" height="32" rx="6" fill="${language.color}"/>` +
+    `<text x="16" y="20.5" font-family="Arial, Helvetica, sans-serif" font-size="${fontSize}" ` +
+    `font-weight="700" text-anchor="middle" fill="${language.textColor}">${escape(language.badge)}</text>` +
+    `</svg>`
+  );
+}
+
+export default getLanguage;
@@ -9,6 +9,19 @@
  * 3. appendIntoElement() - Append to element content
  * 4. replaceIntoElement() - Smart DOM diffing for efficient updates
  *
+ * The two pipeline stages are also available separately, so the token tree
+ * can be transformed between them:
+ *
+ * - parse() - Convert markdown to tokens
+ * - render() - Convert tokens to HTML string
+ *
+ * parseDocument() runs both and also returns the document's front matter,
+ * getHeadings() returns the heading tree for a table of contents.
+ *
+ * Every function accepts an options object overriding the global settings for
+ * that call, and createCattown() builds isolated instances with their own
+ * settings, DOMPurify instance and plugins.
+ *
  * The module handles:
  * - Markdown tokenization and parsing
  * - HTML generation from tokens
@@ -19,7 +32,18 @@
 
 import tokenizer from "./tokenizer.js";
 import convertTokensToHTML from "./tokensToHTML.js";
-import getSettings from "./cattownConfig.js";
+import { enhanceCodeBlocks, withoutControlState } from "./cattownCodeControls.js";
+import { buildHeadingTree } from "./cattownHeadings.js";
+import {
+  getAllSettings,
+  getDefaultSettings,
+  resolveSettings,
+} from "./cattownConfig.js";
+import {
+  createPluginRegistry,
+  getPlugins,
+  registerPlugin,
+} from "./cattownPlugins.js";
 
 /**
  * DOMPurify instance for HTML sanitization.
@@ -45,10 +69,19 @@ let DOMPurify = null;
  * setDOMPurify(DOMPurify);
  */
 export function setDOMPurify(instance) {
+  validateDOMPurify(instance);
+  DOMPurify = instance;
+}
+
+/**
+ * Throws if the given object can't be used as a DOMPurify instance.
+ *
+ * @param {Object} instance - Object expected to have a sanitize method
+ */
+function validateDOMPurify(instance) {
   if (!instance || typeof instance.sanitize !== "function") {
     throw new Error("Type of instance is not function");
   }
-  DOMPurify = instance;
 }
 
 // Checks if DOMPurify if set up, if no then throws an warning.
@@ -65,17 +98,19 @@ setDOMPurify(DOMpurify)`);
  * Cached debug mode status for performance.
  * Updated by checkDebug() before each conversion operation.
  */
-let isInDebug = getSettings("debugMode");
+let isInDebug = getAllSettings().debugMode;
 
 /**
- * Updates the cached debug mode status from current configuration.
+ * Updates the cached debug mode status from the settings of the current call.
  *
  * This function is called at the start of each conversion operation to ensure
  * debug logging reflects the current configuration state. Using a cached value
  * improves performance by avoiding repeated configuration lookups.
+ *
+ * @param {Object} settings - Resolved settings of the current call
  */
-function checkDebug() {
-  isInDebug = getSettings("debugMode");
+function checkDebug(settings) {
+  isInDebug = settings.debugMode;
 }
 
 /**
@@ -97,6 +132,377 @@ function debugLog(...args) {
   console.log(...args);
 }
 
+/**
+ * Returns the settings to render HTML with. When DOMPurify sanitizes the
+ * output, raw HTML from the allowHtml setting is left to it instead of also
+ * going through the built-in allowlist of the renderer.
+ *
+ * @param {Object} settings - Resolved settings of the current call
+ * @param {Object|null} DOMPurify - DOMPurify instance used for this call
+ * @returns {Object} Settings for convertTokensToHTML()
+ */
+function renderSettings(settings, DOMPurify) {
+  if (settings.enableSanitization && DOMPurify) {
+    return { ...settings, enableSanitization: false };
+  }
+  return settings;
+}
+
+/**
+ * Renders tokens to HTML and sanitizes it with DOMPurify when the
+ * enableSanitization setting is on. If DOMPurify throws, the tokens are
+ * rendered again with the built-in allowlist of the renderer, so raw HTML
+ * from the allowHtml setting never comes out unchecked.
+ *
+ * @param {Array} tokens - Block tokens to render
+ * @param {Object} settings - Resolved settings of the current call
+ * @param {Object|null} DOMPurify - DOMPurify instance used for this call
+ * @param {Object} plugins - Plugin registry of the converter
+ * @returns {string} HTML to return or insert
+ */
+function renderHTML(tokens, settings, DOMPurify, plugins) {
+  const dirtyHTML = convertTokensToHTML(tokens, renderSettings(settings, DOMPurify), plugins);
+  debugLog("Cattown - generated HTML code: \n", dirtyHTML);
+  if (!settings.enableSanitization) return dirtyHTML;
+
+  if (!DOMPurify) {
+    debugLog("Cattown - sanitization requested but DOMPurify not available, using unsanitized HTML");
+    return dirtyHTML;
+  }
+  try {
+    const cleanHTML = DOMPurify.sanitize(dirtyHTML);
+    debugLog("Cattown - sanitized HTML code: \n", cleanHTML);
+    return cleanHTML;
+  } catch (sanitizeError) {
+    console.warn("Cattown - DOMPurify sanitization failed, using the built-in HTML allowlist: ", sanitizeError);
+    return convertTokensToHTML(tokens, settings, plugins);
+  }
+}
+
+/**
+ * Markup of the elements handed to the 'afterRender' hook, as they were
+ * inserted. replaceIntoElement() compares them by it, since the hook may have
+ * changed them (a Mermaid diagram replaces its source with an SVG).
+ */
+const insertedMarkup = new WeakMap();
+
+/**
+ * Runs the 'afterRender' hook with the new or changed top-level elements of
+ * the target element, if the hook is set.
+ *
+ * @param {Element} element - Element the markdown was rendered into
+ * @param {Array<Node>} nodes - New or changed top-level nodes
+ * @param {Object} settings - Resolved settings of the current call
+ */
+function runAfterRender(element, nodes, settings) {
+  if (typeof settings.afterRender !== "function") return;
+  const elements = nodes.filter((node) => node.nodeType === Node.ELEMENT_NODE);
+  elements.forEach((node) => insertedMarkup.set(node, node.outerHTML));
+  debugLog("Cattown - running afterRender on", elements.length, "elements.");
+  const result = settings.afterRender(element, elements);
+  if (result && typeof result.catch === "function") {
+    result.catch((error) => console.error("Cattown - afterRender failed! Error: \n", error));
+  }
+}
+
+/**
+ * Builds the conversion functions around a source of settings, a DOMPurify
+ * instance and a plugin registry.
+ *
+ * The module-level functions use the global configuration, while every
+ * instance from createCattown() gets converters bound to its own state. All
+ * functions accept an options object merged over the settings for that call.
+ *
+ * @param {Object} context - State the converters work with
+ * @param {Function} context.getConfig - Returns the current settings object
+ * @param {Function} context.getDOMPurify - Returns the DOMPurify instance or null
+ * @param {Object} context.plugins - Plugin registry with custom rules and renderers
+ * @returns {Object} Object with returnHTML, parse, render, insertIntoElement,
+ *   appendIntoElement and replaceIntoElement
+ */
+function createConverter(context) {
+  // Implementation of returnHTML(), documented on the exported function below
+  function returnHTML(markdown, options) {
+    try {
+      // Update debug status and start performance timing
+      const settings = resolveSettings(context.getConfig(), options);
+      checkDebug(settings);
+      let startTime = Date.now();
+      debugLog("Cattown - start of returnHTML function.");
+      debugLog("Cattown - got markdown: \n", markdown);
+
+      // Step 1: Parse markdown into structured tokens
+      const tokens = tokenizer(markdown, settings, context.plugins);
+      debugLog("Cattown - tokenizer token output: \n", tokens);
+
+      // Step 2: Convert tokens to HTML, sanitized if enabled and DOMPurify is available
+      const html = renderHTML(tokens, settings, context.getDOMPurify(), context.plugins);
+
+      let endTime = Date.now();
+      let elapsedTime = endTime - startTime;
+      debugLog("Cattown - done! Time took: " + elapsedTime + "ms");
+      return html;
+    } catch (error) {
+      console.error("Cattown - failed to render markdown! Error: \n", error);
+      return ""; // Return empty string for graceful error handling
+    }
+  }
+
+  // Implementation of parse(), documented on the exported function below
+  function parse(markdown, options) {
+    try {
+      const settings = resolveSettings(context.getConfig(), options);
+      checkDebug(settings);
+      debugLog("Cattown - start of parse function.");
+      debugLog("Cattown - got markdown: \n", markdown);
+
+      const tokens = tokenizer(markdown, settings, context.plugins);
+      debugLog("Cattown - tokenizer token output: \n", tokens);
+      return tokens;
+    } catch (error) {
+      console.error("Cattown - failed to parse markdown! Error: \n", error);
+      return []; // Return empty tree for graceful error handling
+    }
+  }
+
+  // Implementation of render(), documented on the exported function below
+  function render(tokens, options) {
+    try {
+      const settings = resolveSettings(context.getConfig(), options);
+      checkDebug(settings);
+      debugLog("Cattown - start of render function.");
+
+      return renderHTML(tokens, settings, context.getDOMPurify(), context.plugins);
+    } catch (error) {
+      console.error("Cattown - failed to render tokens! Error: \n", error);
+      return "";
+    }
+  }
+
+  // Implementation of parseDocument(), documented on the exported function below
+  function parseDocument(markdown, options) {
+    const tokens = parse(markdown, options);
+    const frontMatter = tokens.find((token) => token && token.megaType === "frontMatter");
+    return {
+      data: frontMatter ? frontMatter.data : {},
+      html: render(tokens, options),
+      tokens,
+    };
+  }
+
+  // Implementation of getHeadings(), documented on the exported function below
+  function getHeadings(markdown, options) {
+    const settings = resolveSettings(context.getConfig(), options);
+    return buildHeadingTree(parse(markdown, options), settings, settings.tocMinLevel, settings.tocMaxLevel);
+  }
+
+  // Implementation of insertIntoElement(), documented on the exported function below
+  function insertIntoElement(markdown, element, options) {
+    // Validate element parameter
+    if (!element || typeof element.innerHTML === 'undefined') {
+      throw new Error('Invalid element provided to insertIntoElement');
+    }
+
+    try {
+      // Update debug status and start performance timing
+      const settings = resolveSettings(context.getConfig(), options);
+      checkDebug(settings);
+      let startTime = Date.now();
+      debugLog("Cattown - start of insertIntoElement function.");
+      debugLog("Cattown - got markdown: \n", markdown);
+
+      // Step 1: Parse markdown into structured tokens
+      const tokens = tokenizer(markdown, settings, context.plugins);
+      debugLog("Cattown - tokenizer token output: \n", tokens);
+
+      // Step 2: Convert tokens to HTML (sanitized if enabled) and insert it
+      element.innerHTML = renderHTML(tokens, settings, context.getDOMPurify(), context.plugins);
+
+      // Step 3: Add code block controls when enabled
+      enhanceCodeBlocks(element, settings);
+
+      // Step 4: Let diagram libraries and the like process the new content
+      runAfterRender(element, Array.from(element.childNodes), settings);
+
+      let endTime = Date.now();
+      let elapsedTime = endTime - startTime;
+      debugLog("Cattown - done! Time took: " + elapsedTime + "ms");
+    } catch (error) {
+      console.error("Cattown - failed to render markdown! Error: \n", error);
+    }
+  }
+
+  // Implementation of appendIntoElement(), documented on the exported function below
+  function appendIntoElement(markdown, element, options) {
+    try {
+      // Update debug status and start performance timing
+      const settings = resolveSettings(context.getConfig(), options);
+      checkDebug(settings);
+      let startTime = Date.now();
+      debugLog("Cattown - start of appendIntoElement function.");
+      debugLog("Cattown - got markdown: \n", markdown);
+
+      // Step 1: Parse markdown into structured tokens
+      const tokens = tokenizer(markdown, settings, context.plugins);
+      debugLog("Cattown - tokenizer token output: \n", tokens);
+
+      // Step 2: Convert tokens to HTML (sanitized if enabled) and append it
+      const existingCount = element.childNodes.length;
+      element.innerHTML += renderHTML(tokens, settings, context.getDOMPurify(), context.plugins);
+
+      // Step 3: Add code block controls to the new code blocks when enabled
+      enhanceCodeBlocks(element, settings);
+
+      // Step 4: Let diagram libraries and the like process the appended nodes
+      runAfterRender(element, Array.from(element.childNodes).slice(existingCount), settings);
+
+      let endTime = Date.now();
+      let elapsedTime = endTime - startTime;
+      debugLog("Cattown - done! Time took: " + elapsedTime + "ms");
+    } catch (error) {
+      console.error("Cattown - failed to render markdown! Error: \n", error);
+    }
+  }
+
+  // Implementation of replaceIntoElement(), documented on the exported function below
+  function replaceIntoElement(markdown, element, options) {
+    try {
+      // Initialize debug logging and performance tracking
+      const settings = resolveSettings(context.getConfig(), options);
+      checkDebug(settings);
+      const startTime = Date.now();
+
+      // Step 1: Parse markdown into structured tokens
+      const tokens = tokenizer(markdown, settings, context.plugins);
+
+      // Step 2: Convert tokens to HTML, sanitized if configured
+      const html = renderHTML(tokens, settings, context.getDOMPurify(), context.plugins);
+
+      // Step 3: Create temporary DOM container for new content
+      const tempDiv = document.createElement("div");
+      tempDiv.innerHTML = html;
+      // Controls are added before diffing, so unchanged code blocks compare
+      // equal to the enhanced ones already in the element
+      enhanceCodeBlocks(tempDiv, settings);
+
+      /**
+       * Deep comparison function to determine if two DOM nodes are equivalent.
+       *
+       * This function recursively compares all aspects of DOM nodes:
+       * - Node type (element, text, etc.)
+       * - Tag name for elements
+       * - All attributes and their values
+       * - Text content for text nodes
+       * - All child nodes recursively
+       *
+       * @param {Node} n1 - First node to compare
+       * @param {Node} n2 - Second node to compare
+       * @returns {boolean} True if nodes are structurally identical
+       */
+      function nodesAreEqual(n1, n2) {
+        // Different node types means definitely not equal
+        if (n1.nodeType !== n2.nodeType) return false;
+
+        // For text nodes, compare content directly
+        if (n1.nodeType === Node.TEXT_NODE) {
+          return n1.textContent === n2.textContent;
+        }
+
+        // For elements, compare tag names
+        if (n1.nodeName !== n2.nodeName) return false;
+
+        // Compare all attributes
+        const a1 = n1.attributes,
+          a2 = n2.attributes;
+        if (a1.length !== a2.length) return false;
+
+        for (let i = 0; i < a1.length; i++) {
+          const attrName = a1[i].name;
+          if (n2.getAttribute(attrName) !== a1[i].value) {
+            return false;
+          }
+        }
+
+        // Compare child node count
+        if (n1.childNodes.length !== n2.childNodes.length) return false;
+
+        // Recursively compare all child nodes
+        for (let i = 0; i < n1.childNodes.length; i++) {
+          if (!nodesAreEqual(n1.childNodes[i], n2.childNodes[i])) return false;
+        }
+
+        return true;
+      }
+
+      // Step 4: Get node arrays for comparison
+      const existingNodes = Array.from(element.childNodes);
+      const newNodes = Array.from(tempDiv.childNodes);
+
+      // Step 5: Remove any extra existing nodes (if new content has fewer elements)
+      for (let i = newNodes.length; i < existingNodes.length; i++) {
+        element.removeChild(existingNodes[i]);
+      }
+
+      // Step 6: Update, replace, or add nodes as needed
+      const changedNodes = [];
+      for (let i = 0; i < newNodes.length; i++) {
+        const newNode = newNodes[i];
+        const existingNode = existingNodes[i];
+
+        if (!existingNode) {
+          // No existing node at this position - append the new one
+          element.appendChild(newNode);
+          changedNodes.push(newNode);
+        } else if (
+          insertedMarkup.has(existingNode)
+            ? insertedMarkup.get(existingNode) !== newNode.outerHTML
+            : !nodesAreEqual(withoutControlState(existingNode), newNode)
+        ) {
+          // Nodes are different - replace the existing one. Nodes processed
+          // by afterRender are compared by the markup they were inserted with,
+          // code blocks without what the user changed (expanded, "Copied!")
+          element.replaceChild(newNode, existingNode);
+          changedNodes.push(newNode);
+        } else {
+          // Nodes are identical - no change needed, just clean up temp container
+          tempDiv.removeChild(newNode);
+        }
+      }
+
+      // Step 7: Listen for clicks on the code block controls
+      enhanceCodeBlocks(element, settings);
+
+      // Step 8: Let diagram libraries and the like process the changed nodes
+      runAfterRender(element, changedNodes, settings);
+
+      const endTime = Date.now();
+      debugLog(`Cattown - done! Time took: ${endTime - startTime}ms`);
+    } catch (error) {
+      console.error("Cattown - failed to render markdown! Error: \n", error);
+    }
+  }
+
+  return {
+    returnHTML,
+    parse,
+    render,
+    parseDocument,
+    getHeadings,
+    insertIntoElement,
+    appendIntoElement,
+    replaceIntoElement,
+  };
+}
+
+/**
+ * Converters bound to the global settings, DOMPurify instance and plugins.
+ */
+const globalConverter = createConverter({
+  getConfig: getAllSettings,
+  getDOMPurify: () => DOMPurify,
+  plugins: getPlugins(),
+});
+
 /**
  * Converts markdown text to HTML string with optional sanitization.
  *
@@ -113,6 +519,8 @@ function debugLog(...args) {
  * @param {string} markdown - The markdown text to convert. Supports all
  *   standard markdown syntax including headers, lists, links, images,
  *   code blocks, tables, and inline formatting.
+ * @param {Object} [options] - Settings overriding the global ones for this call only,
+ *   e.g. { enableSanitization: false, IconInCode: false }
  *
  * @returns {string} The converted HTML string. Returns:
  *   - Sanitized HTML if enableSanitization=true and DOMPurify is available
@@ -136,55 +544,108 @@ function debugLog(...args) {
  * `;
  * const html = returnHTML(markdown);
  */
-export function returnHTML(markdown) {
-  try {
-    // Update debug status and start performance timing
-    checkDebug();
-    const useSanitization = getSettings("enableSanitization");
-    let startTime = Date.now();
-    debugLog("Cattown - start of returnHTML function.");
-    debugLog("Cattown - got markdown: \n", markdown);
-
-    // Step 1: Parse markdown into structured tokens
-    const tokens = tokenizer(markdown);
-    debugLog("Cattown - tokenizer token output: \n", tokens);
-
-    // Step 2: Convert tokens to HTML string
-    const dirtyHTML = convertTokensToHTML(tokens);
-    debugLog("Cattown - generated HTML code: \n", dirtyHTML);
-
-    // Step 3: Sanitize HTML if enabled and DOMPurify is available
-    if (useSanitization && DOMPurify) {
-      try {
-        const cleanHTML = DOMPurify.sanitize(dirtyHTML);
-        debugLog("Cattown - sanitized HTML code: \n", cleanHTML);
-        let endTime = Date.now();
-        let elapsedTime = endTime - startTime;
-        debugLog("Cattown - done! Time took: " + elapsedTime + "ms");
-        return cleanHTML;
-      } catch (sanitizeError) {
-        debugLog("Cattown - DOMPurify sanitization failed, returning unsanitized HTML: ", sanitizeError);
-        let endTime = Date.now();
-        let elapsedTime = endTime - startTime;
-        debugLog("Cattown - done! Time took: " + elapsedTime + "ms");
-        return dirtyHTML;
-      }
-    } else {
-      // Log warning if sanitization was requested but DOMPurify not available
-      if (useSanitization && !DOMPurify) {
-        debugLog(
-          "Cattown - sanitization requested but DOMPurify not available, returning unsanitized HTML"
-        );
-      }
-      let endTime = Date.now();
-      let elapsedTime = endTime - startTime;
-      debugLog("Cattown - done! Time took: " + elapsedTime + "ms");
-      return dirtyHTML;
-    }
-  } catch (error) {
-    console.error("Cattown - failed to render markdown! Error: \n", error);
-    return ""; // Return empty string for graceful error handling
-  }
+export function returnHTML(markdown, options) {
+  return globalConverter.returnHTML(markdown, options);
+}
+
+/**
+ * Parses markdown into the token tree without rendering it.
+ *
+ * This exposes the first stage of the conversion pipeline. The returned tree
+ * follows the schema documented in cattownTokens.js (see tokenSchemaVersion)
+ * and can be modified before passing it to render().
+ *
+ * @param {string} markdown - The markdown text to parse
+ * @param {Object} [options] - Settings overriding the global ones for this call only,
+ *   e.g. { enableSanitization: false, IconInCode: false }
+ *
+ * @returns {import("./cattownTokens.js").BlockToken[]} Array of block tokens.
+ *   Returns an empty array if an error occurs during parsing.
+ *
+ * @example
+ * // Collect all image sources
+ * const tokens = parse("![cat](cat.png)");
+ * // Returns: [{ megaType: 'paragraph', content: [{ type: 'image', alt: 'cat', src: 'cat.png' }] }]
+ */
+export function parse(markdown, options) {
+  return globalConverter.parse(markdown, options);
+}
+
+/**
+ * Renders a token tree into an HTML string with optional sanitization.
+ *
+ * This is the second stage of the conversion pipeline. It accepts the tree
+ * returned by parse(), including trees that were modified in between, and
+ * produces the same output returnHTML() would.
+ *
+ * @param {import("./cattownTokens.js").BlockToken[]} tokens - Block tokens to render
+ * @param {Object} [options] - Settings overriding the global ones for this call only,
+ *   e.g. { enableSanitization: false, IconInCode: false }
+ *
+ * @returns {string} The rendered HTML string, sanitized when enableSanitization=true
+ *   and DOMPurify is available. Returns empty string if an error occurs.
+ *
+ * @example
+ * // Rewrite relative image URLs before rendering
+ * const tokens = parse(markdown);
+ * // ... walk tokens and update image.src ...
+ * const html = render(tokens);
+ */
+export function render(tokens, options) {
+  return globalConverter.render(tokens, options);
+}
+
+/**
+ * Parses a whole document: its front matter data, rendered HTML and tokens.
+ *
+ * Front matter is a YAML block between --- lines (or TOML between +++ lines)
+ * at the very start of the document. It is never rendered; its parsed data is
+ * returned instead, e.g. for a page title or tags. Documents without front
+ * matter (or with the 'frontMatter' setting off) get empty data.
+ *
+ * @param {string} markdown - The markdown document to parse
+ * @param {Object} [options] - Settings overriding the global ones for this call only,
+ *   e.g. { enableSanitization: false, IconInCode: false }
+ *
+ * @returns {{data: Object, html: string, tokens: import("./cattownTokens.js").BlockToken[]}}
+ *   The front matter data, the HTML render() returns for the tokens, and the
+ *   tokens as returned by parse() (including the frontMatter token)
+ *
+ * @example
+ * const { data, html } = parseDocument("---\ntitle: Cats\ntags: [fluffy, loud]\n---\n# Hello");
+ * // data: { title: 'Cats', tags: ['fluffy', 'loud'] }
+ * // html: "<h1>Hello</h1>"
+ */
+export function parseDocument(markdown, options) {
+  return globalConverter.parseDocument(markdown, options);
+}
+
+/**
+ * Returns the headings of a document as a nested tree, e.g. for a table of
+ * contents next to the rendered markdown.
+ *
+ * Each heading holds the deeper headings after it as children. Ids are the
+ * ones the rendered headings get: the explicit {#id}, else one made from the
+ * heading text with the 'autoHeadingID' setting (null without an id). Only
+ * levels from 'tocMinLevel' to 'tocMaxLevel' are listed, and headings inside
+ * blockquotes, lists and the like are left out.
+ *
+ * @param {string} markdown - The markdown document
+ * @param {Object} [options] - Settings overriding the global ones for this call only,
+ *   e.g. { tocMinLevel: 2, tocMaxLevel: 3 }
+ *
+ * @returns {Array<{level: number, text: string, id: (string|null), children: Array}>}
+ *   Top-level headings with their nested headings, an empty array without headings
+ *
+ * @example
+ * getHeadings("# Cats\n## Food\n## Naps {#sleep}");
+ * // Returns: [{ level: 1, text: 'Cats', id: 'cats', children: [
+ * //   { level: 2, text: 'Food', id: 'food', children: [] },
+ * //   { level: 2, text: 'Naps', id: 'sleep', children: [] }
+ * // ] }]
+ */
+export function getHeadings(markdown, options) {
+  return globalConverter.getHeadings(markdown, options);
 }
 
 /**
@@ -198,6 +659,8 @@ export function returnHTML(markdown) {
  * @param {string} markdown - The markdown text to convert and insert
  * @param {HTMLElement} element - DOM element to replace content in.
  *   Must be a valid HTML element with innerHTML property.
+ * @param {Object} [options] - Settings overriding the global ones for this call only,
+ *   e.g. { enableSanitization: false, IconInCode: false }
  *
  * @example
  * // Replace entire content of an element
@@ -208,53 +671,8 @@ export function returnHTML(markdown) {
  * const section = document.querySelector('.markdown-section');
  * insertIntoElement(markdownFromAPI, section);
  */
-export function insertIntoElement(markdown, element) {
-  // Validate element parameter
-  if (!element || typeof element.innerHTML === 'undefined') {
-    throw new Error('Invalid element provided to insertIntoElement');
-  }
-
-  try {
-    // Update debug status and start performance timing
-    checkDebug();
-    const useSanitization = getSettings("enableSanitization");
-    let startTime = Date.now();
-    debugLog("Cattown - start of insertIntoElement function.");
-    debugLog("Cattown - got markdown: \n", markdown);
-
-    // Step 1: Parse markdown into structured tokens
-    const tokens = tokenizer(markdown);
-    debugLog("Cattown - tokenizer token output: \n", tokens);
-
-    // Step 2: Convert tokens to HTML string
-    const dirtyHTML = convertTokensToHTML(tokens);
-    debugLog("Cattown - generated HTML code: \n", dirtyHTML);
-
-    // Step 3: Sanitize and insert HTML into the target element
-    if (useSanitization && DOMPurify) {
-      try {
-        const cleanHTML = DOMPurify.sanitize(dirtyHTML);
-        debugLog("Cattown - sanitized HTML code: \n", cleanHTML);
-        element.innerHTML = cleanHTML;
-      } catch (sanitizeError) {
-        debugLog("Cattown - DOMPurify sanitization failed, using unsanitized HTML: ", sanitizeError);
-        element.innerHTML = dirtyHTML;
-      }
-    } else {
-      if (useSanitization && !DOMPurify) {
-        debugLog(
-          "Cattown - sanitization requested but DOMPurify not available, using unsanitized HTML"
-        );
-      }
-      element.innerHTML = dirtyHTML;
-    }
-
-    let endTime = Date.now();
-    let elapsedTime = endTime - startTime;
-    debugLog("Cattown - done! Time took: " + elapsedTime + "ms");
-  } catch (error) {
-    console.error("Cattown - failed to render markdown! Error: \n", error);
-  }
+export function insertIntoElement(markdown, element, options) {
+  globalConverter.insertIntoElement(markdown, element, options);
 }
 
 /**
@@ -267,6 +685,8 @@ export function insertIntoElement(markdown, element) {
  * @param {string} markdown - The markdown text to convert and append
  * @param {HTMLElement} element - DOM element to append content to.
  *   Must be a valid HTML element with innerHTML property.
+ * @param {Object} [options] - Settings overriding the global ones for this call only,
+ *   e.g. { enableSanitization: false, IconInCode: false }
  *
  * @example
  * // Add content to existing element
@@ -278,43 +698,8 @@ export function insertIntoElement(markdown, element) {
  * appendIntoElement("## Introduction\nFirst section...", article);
  * appendIntoElement("\n\n## Details\nSecond section...", article);
  */
-export function appendIntoElement(markdown, element) {
-  try {
-    // Update debug status and start performance timing
-    checkDebug();
-    const useSanitization = getSettings("enableSanitization");
-    let startTime = Date.now();
-    debugLog("Cattown - start of appendIntoElement function.");
-    debugLog("Cattown - got markdown: \n", markdown);
-
-    // Step 1: Parse markdown into structured tokens
-    const tokens = tokenizer(markdown);
-    debugLog("Cattown - tokenizer token output: \n", tokens);
-
-    // Step 2: Convert tokens to HTML string
-    const dirtyHTML = convertTokensToHTML(tokens);
-    debugLog("Cattown - generated HTML code: \n", dirtyHTML);
-
-    // Step 3: Sanitize and append HTML to the target element
-    if (useSanitization && DOMPurify) {
-      const cleanHTML = DOMPurify.sanitize(dirtyHTML);
-      debugLog("Cattown - sanitized HTML code: \n", cleanHTML);
-      element.innerHTML += cleanHTML;
-    } else {
-      if (useSanitization && !DOMPurify) {
-        debugLog(
-          "Cattown - sanitization requested but DOMPurify not available, using unsanitized HTML"
-        );
-      }
-      element.innerHTML += dirtyHTML;
-    }
-
-    let endTime = Date.now();
-    let elapsedTime = endTime - startTime;
-    debugLog("Cattown - done! Time took: " + elapsedTime + "ms");
-  } catch (error) {
-    console.error("Cattown - failed to render markdown! Error: \n", error);
-  }
+export function appendIntoElement(markdown, element, options) {
+  globalConverter.appendIntoElement(markdown, element, options);
 }
 
 /**
@@ -340,6 +725,8 @@ export function appendIntoElement(markdown, element) {
  * @param {string} markdown - The markdown text to convert and update with
  * @param {HTMLElement} element - DOM element to update efficiently.
  *   Content will be compared and only changed parts updated.
+ * @param {Object} [options] - Settings overriding the global ones for this call only,
+ *   e.g. { enableSanitization: false, IconInCode: false }
  *
  * @example
  * // Efficient live preview updates
@@ -353,106 +740,79 @@ export function appendIntoElement(markdown, element) {
  * replaceIntoElement(updatedMarkdown, contentElement);
  * // Scroll position, selected text, etc. preserved where possible
  */
-export function replaceIntoElement(markdown, element) {
-  try {
-    // Initialize debug logging and performance tracking
-    checkDebug();
-    const useSanitization = getSettings("enableSanitization");
-    const startTime = Date.now();
-
-    // Step 1: Convert markdown to HTML tokens and render
-    const tokens = tokenizer(markdown);
-    let dirtyHTML = convertTokensToHTML(tokens);
-
-    // Step 2: Apply sanitization if configured
-    if (useSanitization && DOMPurify) {
-      dirtyHTML = DOMPurify.sanitize(dirtyHTML);
-    }
-
-    // Step 3: Create temporary DOM container for new content
-    const tempDiv = document.createElement("div");
-    tempDiv.innerHTML = dirtyHTML;
-
-    /**
-     * Deep comparison function to determine if two DOM nodes are equivalent.
-     *
-     * This function recursively compares all aspects of DOM nodes:
-     * - Node type (element, text, etc.)
-     * - Tag name for elements
-     * - All attributes and their values
-     * - Text content for text nodes
-     * - All child nodes recursively
-     *
-     * @param {Node} n1 - First node to compare
-     * @param {Node} n2 - Second node to compare
-     * @returns {boolean} True if nodes are structurally identical
-     */
-    function nodesAreEqual(n1, n2) {
-      // Different node types means definitely not equal
-      if (n1.nodeType !== n2.nodeType) return false;
-
-      // For text nodes, compare content directly
-      if (n1.nodeType === Node.TEXT_NODE) {
-        return n1.textContent === n2.textContent;
-      }
-
-      // For elements, compare tag names
-      if (n1.nodeName !== n2.nodeName) return false;
-
-      // Compare all attributes
-      const a1 = n1.attributes,
-        a2 = n2.attributes;
-      if (a1.length !== a2.length) return false;
-
-      for (let i = 0; i < a1.length; i++) {
-        const attrName = a1[i].name;
-        if (n2.getAttribute(attrName) !== a1[i].value) {
-          return false;
-        }
-      }
-
-      // Compare child node count
-      if (n1.childNodes.length !== n2.childNodes.length) return false;
-
-      // Recursively compare all child nodes
-      for (let i = 0; i < n1.childNodes.length; i++) {
-        if (!nodesAreEqual(n1.childNodes[i], n2.childNodes[i])) return false;
-      }
-
-      return true;
-    }
-
-    // Step 4: Get node arrays for comparison
-    const existingNodes = Array.from(element.childNodes);
-    const newNodes = Array.from(tempDiv.childNodes);
-
-    // Step 5: Remove any extra existing nodes (if new content has fewer elements)
-    for (let i = newNodes.length; i < existingNodes.length; i++) {
-      element.removeChild(existingNodes[i]);
-    }
+export function replaceIntoElement(markdown, element, options) {
+  globalConverter.replaceIntoElement(markdown, element, options);
+}
 
-    // Step 6: Update, replace, or add nodes as needed
-    for (let i = 0; i < newNodes.length; i++) {
-      const newNode = newNodes[i];
-      const existingNode = existingNodes[i];
-
-      if (!existingNode) {
-        // No existing node at this position - append the new one
-        element.appendChild(newNode);
-      } else if (!nodesAreEqual(existingNode, newNode)) {
-        // Nodes are different - replace the existing one
-        element.replaceChild(newNode, existingNode);
-      } else {
-        // Nodes are identical - no change needed, just clean up temp container
-        tempDiv.removeChild(newNode);
+/**
+ * Creates an isolated Cattown instance with its own settings, DOMPurify
+ * instance and plugins.
+ *
+ * Instances start from the built-in default settings (not the current global
+ * ones) and never touch global state, so several differently configured
+ * renderers can live on the same page, e.g. a sanitized one for user comments
+ * and a trusted one for documentation.
+ *
+ * @param {Object} [options] - Initial settings by name, plus:
+ * @param {Object} [options.DOMPurify] - DOMPurify instance used by this instance
+ * @param {Array<Object>} [options.plugins] - Plugins registered on this instance
+ * @returns {Object} Instance with returnHTML, parse, render, parseDocument,
+ *   getHeadings, insertIntoElement, appendIntoElement, replaceIntoElement, setSettings, getSettings,
+ *   setDOMPurify and use
+ *
+ * @example
+ * import DOMPurify from 'dompurify';
+ * import { createCattown } from 'cattown';
+ *
+ * const comments = createCattown({ DOMPurify, IconInCode: false });
+ * const docs = createCattown({ enableSanitization: false });
+ *
+ * comments.returnHTML(userComment);
+ * docs.insertIntoElement(readme, document.getElementById('docs'));
+ */
+export function createCattown(options = {}) {
+  const { DOMPurify: purifier, plugins: pluginList, ...settingOverrides } = options;
+  let config = resolveSettings(getDefaultSettings(), settingOverrides);
+  let instancePurifier = null;
+  const registry = createPluginRegistry();
+
+  const cattown = {
+    ...createConverter({
+      getConfig: () => config,
+      getDOMPurify: () => instancePurifier,
+      plugins: registry,
+    }),
+
+    // Same as the global setSettings(), for this instance only
+    setSettings(setting, value) {
+      config = resolveSettings(config, { [setting]: value });
+    },
+
+    // Same as the global getSettings(), for this instance only
+    getSettings(setting) {
+      if (setting in config) {
+        return config[setting];
       }
-    }
-
-    const endTime = Date.now();
-    debugLog(`Cattown - done! Time took: ${endTime - startTime}ms`);
-  } catch (error) {
-    console.error("Cattown - failed to render markdown! Error: \n", error);
-  }
+      console.warn(`Setting "${setting}" does not exist in config.`);
+      return undefined;
+    },
+
+    // Same as the global setDOMPurify(), for this instance only
+    setDOMPurify(instance) {
+      validateDOMPurify(instance);
+      instancePurifier = instance;
+    },
+
+    // Same as the global use(), for this instance only
+    use(plugin) {
+      registerPlugin(registry, plugin);
+    },
+  };
+
+  if (purifier) cattown.setDOMPurify(purifier);
+  for (const plugin of pluginList || []) cattown.use(plugin);
+
+  return cattown;
 }
 
 export default returnHTML;
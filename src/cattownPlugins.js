@@ -0,0 +1,162 @@
+/**
+ * CATTOWN PLUGIN MODULE
+ *
+ * This module manages plugins that extend Cattown with custom markdown syntax.
+ * A plugin can teach the tokenizer new block and inline constructs and tell
+ * the HTML converter how to render the tokens it produces.
+ *
+ * A plugin is a plain object with any of these properties:
+ * - name: Unique plugin name, used to ignore double registration
+ * - blockRules: Block rules slotted into the block precedence order
+ * - atomicRules: Inline rules that cannot contain other formatting (like links)
+ * - styledRules: Inline marker pairs that can be nested (like bold)
+ * - renderers: Functions rendering the new megaType/type tokens to HTML
+ *
+ * Plugins registered with use() apply to every subsequent conversion.
+ * Instances from createCattown() keep their own registry instead.
+ */
+
+/**
+ * Creates an empty plugin registry.
+ * The tokenizer and HTML converter read from a registry on every run.
+ *
+ * @returns {Object} Registry with plugins, blockRules, atomicRules, styledRules and renderers
+ */
+export function createPluginRegistry() {
+  return {
+    plugins: [],
+    blockRules: [],
+    atomicRules: [],
+    styledRules: [],
+    renderers: {},
+  };
+}
+
+/**
+ * Global registry holding everything registered through use().
+ */
+const registry = createPluginRegistry();
+
+/**
+ * Makes sure a regex has the global flag, which the inline tokenizer needs
+ * to resume searching from a given position via lastIndex.
+ *
+ * @param {RegExp} regex - Regex supplied by a plugin
+ * @returns {RegExp} The same regex, or a global copy of it
+ */
+function toGlobalRegex(regex) {
+  if (regex.flags.includes("g")) return regex;
+  return new RegExp(regex.source, regex.flags + "g");
+}
+
+/**
+ * Registers a plugin that adds custom markdown syntax.
+ *
+ * Block rules receive all lines of the document, the index of the current
+ * line and helpers ({ tokenizeInline, offsetAt }), and return null when they
+ * don't match or { token, endIndex } where endIndex is the index of the last
+ * line they consumed. Container rules can also return
+ * nested: { lines, sources? } to have those lines parsed as blocks into
+ * token.content (sources are the helpers.sources entries of the lines,
+ * shifted by any stripped prefix, and only matter for positions), or an array
+ * of { lines, sources?, into } runs parsed into the given arrays.
+ * helpers.interrupting is true when the rule is only asked whether the line
+ * would end the paragraph above it. Use `before` or `after`
+ * with the name of an existing rule to choose precedence; rules without either
+ * are checked right before paragraphs. Built-in rule names are: codeBlock,
+ * mathBlock, callout, html, horizontalRule, blockquote, taskList, orderedList, list, heading, table,
+ * footnoteDefinition and paragraph (the 'commonmark' flavor has indentedCode, codeBlock,
+ * html, horizontalRule, heading, blockquote, list and paragraph).
+ *
+ * Atomic rules are found by their `trigger` string and matched with `regex`;
+ * `token(match, source)` builds the token, where source.raw(from, to) and
+ * source.unescape(from, to) give the original or unescaped text of a range
+ * of the match. Set `nested: true` to have a string
+ * `content` of the returned token parsed as inline markdown.
+ *
+ * Renderers are keyed by the megaType (block) or type (inline) they handle and
+ * are called as renderer(token, renderChildren, helpers).
+ *
+ * @param {Object} plugin - Plugin definition
+ * @param {string} [plugin.name] - Unique name of the plugin
+ * @param {Array<Object>} [plugin.blockRules] - Block rules:
+ *   { name, before?, after?, tokenize(lines, index, helpers) }
+ * @param {Array<Object>} [plugin.atomicRules] - Atomic inline rules:
+ *   { type, trigger, regex, token(match), nested? }
+ * @param {Array<Object>} [plugin.styledRules] - Styled inline rules:
+ *   { type, markers: string[] }
+ * @param {Object<string, Function>} [plugin.renderers] - Renderers by token type
+ *
+ * @example
+ * use({
+ *   name: 'mentions',
+ *   atomicRules: [{
+ *     type: 'mention',
+ *     trigger: '@',
+ *     regex: /@(\w+)/g,
+ *     token: (match) => ({ type: 'mention', user: match[1] })
+ *   }],
+ *   renderers: {
+ *     mention: (token, renderChildren, { escapeHTML }) =>
+ *       `<span class="mention">@${escapeHTML(token.user)}</span>`
+ *   }
+ * });
+ */
+export function use(plugin) {
+  registerPlugin(registry, plugin);
+}
+
+/**
+ * Registers a plugin into the given registry. See use() for the plugin format.
+ *
+ * @param {Object} target - Registry from createPluginRegistry()
+ * @param {Object} plugin - Plugin definition
+ */
+export function registerPlugin(target, plugin) {
+  if (!plugin || typeof plugin !== "object") {
+    throw new Error("Invalid plugin provided to use()");
+  }
+
+  if (plugin.name && target.plugins.some((p) => p.name === plugin.name)) {
+    console.warn(`Cattown - plugin "${plugin.name}" is already registered.`);
+    return;
+  }
+
+  for (const rule of plugin.blockRules || []) {
+    if (!rule || !rule.name || typeof rule.tokenize !== "function") {
+      throw new Error("Block rules need a name and a tokenize function");
+    }
+  }
+  for (const rule of plugin.atomicRules || []) {
+    if (!rule || !rule.type || !rule.trigger || !(rule.regex instanceof RegExp)) {
+      throw new Error("Atomic rules need a type, trigger and regex");
+    }
+  }
+  for (const rule of plugin.styledRules || []) {
+    if (!rule || !rule.type || !Array.isArray(rule.markers)) {
+      throw new Error("Styled rules need a type and an array of markers");
+    }
+  }
+
+  target.plugins.push(plugin);
+  target.blockRules.push(...(plugin.blockRules || []));
+  target.atomicRules.push(
+    ...(plugin.atomicRules || []).map((rule) => ({
+      ...rule,
+      regex: toGlobalRegex(rule.regex),
+    }))
+  );
+  target.styledRules.push(...(plugin.styledRules || []));
+  Object.assign(target.renderers, plugin.renderers || {});
+}
+
+/**
+ * Returns the global plugin registry filled by use().
+ *
+ * @returns {Object} Registry with blockRules, atomicRules, styledRules and renderers
+ */
+export function getPlugins() {
+  return registry;
+}
+
+export default use;
@@ -0,0 +1,211 @@
+/**
+ * CATTOWN HTML ALLOWLIST MODULE
+ *
+ * This module filters raw HTML written in markdown (see the 'allowHtml'
+ * setting) when sanitization is on but no DOMPurify instance is set.
+ * DOMPurify is the better choice, this built-in allowlist only keeps the
+ * formatting tags authors commonly type and drops everything else.
+ *
+ * The filter:
+ * - Keeps allowed tags with their allowed attributes only (no event handlers,
+ *   no style), rewritten in a normalized form
+ * - Runs href, src and cite through a URL check (the link policy), dropping
+ *   the attribute when the URL is rejected
+ * - Removes other tags, and the content of script/style-like elements
+ * - Removes comments, processing instructions, declarations and CDATA
+ * - Escapes stray '<' in text so it can't start a tag
+ */
+
+/**
+ * Attributes allowed on every allowed tag.
+ */
+const globalAttributes = ["title", "lang", "dir"];
+
+/**
+ * Allowed tags and the attributes they can keep, on top of globalAttributes.
+ */
+const allowedTags = {
+  a: ["href", "name"],
+  abbr: [],
+  b: [],
+  blockquote: ["cite"],
+  br: [],
+  caption: [],
+  cite: [],
+  code: [],
+  col: ["span"],
+  colgroup: ["span"],
+  dd: [],
+  del: ["cite", "datetime"],
+  details: ["open"],
+  dfn: [],
+  div: ["align"],
+  dl: [],
+  dt: [],
+  em: [],
+  figcaption: [],
+  figure: [],
+  h1: ["align"],
+  h2: ["align"],
+  h3: ["align"],
+  h4: ["align"],
+  h5: ["align"],
+  h6: ["align"],
+  hr: [],
+  i: [],
+  img: ["src", "alt", "width", "height", "align"],
+  ins: ["cite", "datetime"],
+  kbd: [],
+  li: ["value"],
+  mark: [],
+  ol: ["start", "reversed", "type"],
+  p: ["align"],
+  pre: [],
+  q: ["cite"],
+  rp: [],
+  rt: [],
+  ruby: [],
+  s: [],
+  samp: [],
+  small: [],
+  span: [],
+  strong: [],
+  sub: [],
+  summary: [],
+  sup: [],
+  table: ["align"],
+  tbody: [],
+  td: ["colspan", "rowspan", "align"],
+  tfoot: [],
+  th: ["colspan", "rowspan", "align", "scope"],
+  thead: [],
+  time: ["datetime"],
+  tr: ["align"],
+  u: [],
+  ul: [],
+  var: [],
+  wbr: [],
+};
+
+/**
+ * Attributes holding URLs, checked with the resolveUrl callback.
+ */
+const urlAttributes = ["href", "src", "cite"];
+
+/**
+ * Removed tags whose content is removed with them, as it isn't text.
+ */
+const dropContentTags = [
+  "script", "style", "template", "iframe", "object", "noscript",
+  "noembed", "noframes", "textarea", "title", "xmp", "svg", "math",
+];
+
+/**
+ * Matches comments, declarations/CDATA, processing instructions and tags.
+ * Group 1 is the '/' of closing tags, 2 the tag name, 3 the attributes.
+ */
+const tagPattern =
+  /<!--[\s\S]*?-->|<![\s\S]*?>|<\?[\s\S]*?\?>|<(\/?)([A-Za-z][A-Za-z0-9-]*)((?:\s+[^\s"'>\/=]+(?:\s*=\s*(?:"[^"]*"|'[^']*'|[^\s"'=<>`]+))?)*)\s*\/?>/g;
+
+/**
+ * Matches one attribute, with its value in group 2, 3 or 4 by quoting.
+ */
+const attributePattern =
+  /([^\s"'>\/=]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'=<>`]+)))?/g;
+
+/**
+ * Decodes the character references browsers resolve in URL attributes
+ * before reading the scheme: numeric ones (semicolon optional) and the
+ * named ones that spell URL syntax. Other named references stay encoded.
+ *
+ * @param {string} value - Attribute value as written
+ * @returns {string} Value with those references decoded
+ */
+function decodeUrlReferences(value) {
+  const named = { amp: "&", lt: "<", gt: ">", quot: '"', apos: "'", colon: ":", tab: "\t", newline: "\n" };
+  return value.replace(/&(?:#[xX]([0-9a-fA-F]+);?|#(\d+);?|([a-zA-Z]+);)/g, (ref, hex, dec, name) => {
+    if (name) {
+      return Object.prototype.hasOwnProperty.call(named, name.toLowerCase())
+        ? named[name.toLowerCase()]
+        : ref;
+    }
+    const code = hex ? parseInt(hex, 16) : parseInt(dec, 10);
+    return code > 0 && code <= 0x10ffff ? String.fromCodePoint(code) : "�";
+  });
+}
+
+/**
+ * Rebuilds an allowed opening tag with only its allowed attributes.
+ *
+ * @param {string} name - Lowercased tag name
+ * @param {string} attributes - Attribute source of the tag
+ * @param {boolean} selfClosing - Whether the tag ended with '/>'
+ * @param {Function} resolveUrl - URL check, see filterHtml()
+ * @returns {string} The normalized tag
+ */
+function rebuildTag(name, attributes, selfClosing, resolveUrl) {
+  const allowed = [...globalAttributes, ...allowedTags[name]];
+  let result = `<${name}`;
+  attributePattern.lastIndex = 0;
+  let match;
+  while ((match = attributePattern.exec(attributes))) {
+    const attribute = match[1].toLowerCase();
+    if (!allowed.includes(attribute)) continue;
+    let value = match[2] ?? match[3] ?? match[4];
+    if (value === undefined) {
+      result += ` ${attribute}`;
+      continue;
+    }
+    if (urlAttributes.includes(attribute)) {
+      const url = resolveUrl(decodeUrlReferences(value), name === "img" ? "image" : "link");
+      if (url === null) continue;
+      value = url.replace(/&/g, "&amp;");
+    }
+    result += ` ${attribute}="${value.replace(/"/g, "&quot;").replace(/</g, "&lt;")}"`;
+  }
+  return result + (selfClosing ? " />" : ">");
+}
+
+/**
+ * Filters a piece of raw HTML through the built-in allowlist.
+ *
+ * Works on fragments: inline HTML comes one tag at a time, so an opening tag
+ * and its closing tag are filtered separately.
+ *
+ * @param {string} html - Raw HTML from the markdown source
+ * @param {Function} resolveUrl - Called as resolveUrl(url, kind) with kind
+ *   "link" or "image", returns the URL to use or null to drop the attribute
+ * @returns {string} Filtered HTML
+ *
+ * @example
+ * filterHtml('<kbd onclick="steal()">Ctrl</kbd><script>steal()</script>', (url) => url);
+ * // Returns: '<kbd>Ctrl</kbd>'
+ */
+export function filterHtml(html, resolveUrl) {
+  let result = "";
+  let last = 0;
+  let match;
+  tagPattern.lastIndex = 0;
+  while ((match = tagPattern.exec(html))) {
+    result += html.slice(last, match.index).replace(/</g, "&lt;");
+    last = tagPattern.lastIndex;
+
+    const [source, closing, tagName, attributes] = match;
+    if (!tagName) continue; // Comment, declaration or instruction
+    const name = tagName.toLowerCase();
+
+    if (Object.prototype.hasOwnProperty.call(allowedTags, name)) {
+      result += closing
+        ? `</${name}>`
+        : rebuildTag(name, attributes, /\/>$/.test(source), resolveUrl);
+    } else if (!closing && dropContentTags.includes(name)) {
+      // Skip to the matching closing tag, or the end of this piece of HTML
+      const end = new RegExp(`</${name}\\s*>`, "i").exec(html.slice(last));
+      last = end ? last + end.index + end[0].length : html.length;
+      tagPattern.lastIndex = last;
+    }
+  }
+  return result + html.slice(last).replace(/</g, "&lt;");
+}
+
+export default filterHtml;
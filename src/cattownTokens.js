@@ -0,0 +1,284 @@
+/**
+ * CATTOWN TOKEN SCHEMA
+ *
+ * This module documents the token tree produced by parse() and accepted by
+ * render(). The shapes below are the public, versioned contract between the
+ * tokenizer and the HTML converter, so transforms can safely run in between
+ * (rewriting image URLs, collecting headings, stripping links, etc.).
+ *
+ * The tree has two levels:
+ * - Block tokens have a 'megaType' property (heading, paragraph, list, etc.)
+ * - Inline tokens have a 'type' property (text, bold, link, etc.)
+ *
+ * Breaking changes to these shapes bump tokenSchemaVersion. Adding new
+ * optional properties or new token types does not.
+ */
+
+/**
+ * Version of the token schema described in this module.
+ * Check it before running transforms that depend on specific token shapes.
+ */
+export const tokenSchemaVersion = 1;
+
+/**
+ * A point in the markdown source.
+ * @typedef {Object} Point
+ * @property {number} line - 1-based line
+ * @property {number} column - 1-based column
+ * @property {number} offset - 0-based offset in the source string
+ */
+
+/**
+ * Source range of a token, end is exclusive. Only present when the
+ * sourcePositions (or sourceLineAttributes) setting is enabled.
+ * @typedef {Object} Position
+ * @property {Point} start
+ * @property {Point} end
+ */
+
+/**
+ * Plain text.
+ * @typedef {Object} TextToken
+ * @property {"text"} type
+ * @property {string} content - Unescaped text
+ * @property {Position} [position] - Source position
+ */
+
+/**
+ * Formatting that wraps other inline tokens.
+ * @typedef {Object} StyledToken
+ * @property {"bold"|"italic"|"boldItalic"|"strikethrough"|"highlight"|"subscript"|"superscript"} type
+ * @property {InlineToken[]} content - Formatted inline content
+ * @property {Position} [position] - Source position
+ */
+
+/**
+ * Hyperlink, [text](href "title"), or an autolink (https://..., <https://...>, user@host).
+ * @typedef {Object} LinkToken
+ * @property {"link"} type
+ * @property {string} href - Link destination as written in the markdown
+ * @property {InlineToken[]} content - Link text
+ * @property {boolean} [autolink] - True for links made from a URL or email
+ *   address in the text, content is then a single text token
+ * @property {string} [title] - Link title
+ * @property {Position} [position] - Source position
+ */
+
+/**
+ * Image, ![alt](src "title").
+ * @typedef {Object} ImageToken
+ * @property {"image"} type
+ * @property {string} src - Image source as written in the markdown
+ * @property {string} alt - Alternative text
+ * @property {string} [title] - Image title
+ * @property {Position} [position] - Source position
+ */
+
+/**
+ * Inline code span, `code`.
+ * @typedef {Object} CodeToken
+ * @property {"code"} type
+ * @property {string} content - Raw code
+ * @property {Position} [position] - Source position
+ */
+
+/**
+ * Line break inside a paragraph. Soft breaks are plain newlines in the source
+ * (rendered as <br> only with the 'breaks' setting), hard breaks follow two
+ * trailing spaces or a trailing backslash.
+ * @typedef {Object} BreakToken
+ * @property {"softBreak"|"hardBreak"} type
+ * @property {Position} [position] - Source position
+ */
+
+/**
+ * Footnote reference, [^id]. Rendered as a numbered link to the footnote, or
+ * as text when the document has no definition for the id.
+ * @typedef {Object} FootnoteRefToken
+ * @property {"footnoteRef"} type
+ * @property {string} id - Footnote id, matched case-insensitively
+ * @property {Position} [position] - Source position
+ */
+
+/**
+ * Raw inline HTML (a tag, comment, ...) written in markdown, only produced
+ * with the 'allowHtml' setting.
+ * @typedef {Object} HtmlToken
+ * @property {"html"} type
+ * @property {string} content - HTML as written
+ * @property {Position} [position] - Source position
+ */
+
+/**
+ * Inline math, $E = mc^2$, with the 'math' setting.
+ * @typedef {Object} MathToken
+ * @property {"math"} type
+ * @property {string} content - TeX source
+ * @property {Position} [position] - Source position
+ */
+
+/**
+ * Inline token added by a plugin, rendered by the plugin's renderer.
+ * @typedef {Object} CustomInlineToken
+ * @property {string} type
+ * @property {Position} [position] - Source position
+ */
+
+/**
+ * @typedef {TextToken|StyledToken|LinkToken|ImageToken|CodeToken|BreakToken|FootnoteRefToken|HtmlToken|MathToken|CustomInlineToken} InlineToken
+ */
+
+/**
+ * Heading, # to ######.
+ * @typedef {Object} HeadingToken
+ * @property {"heading"} megaType
+ * @property {number} level - Heading level from 1 to 6
+ * @property {InlineToken[]} content - Heading text
+ * @property {string} [id] - Explicit id from {#custom-id}
+ * @property {Position} [position] - Source position
+ */
+
+/**
+ * Paragraph of inline content.
+ * @typedef {Object} ParagraphToken
+ * @property {"paragraph"} megaType
+ * @property {InlineToken[]} content
+ * @property {Position} [position] - Source position
+ */
+
+/**
+ * Blockquote, > text.
+ * @typedef {Object} BlockquoteToken
+ * @property {"blockquote"} megaType
+ * @property {BlockToken[]} content - Blocks inside the quote
+ * @property {Position} [position] - Source position
+ */
+
+/**
+ * Item of a list or task list.
+ * @typedef {Object} ListItem
+ * @property {InlineToken[]} content - Item text
+ * @property {BlockToken[]} [blocks] - Block content, replaces content in
+ *   lists from the 'commonmark' flavor
+ * @property {ListItem[]} [items] - Nested items
+ * @property {boolean} [checked] - Checkbox state, only present in task lists
+ * @property {Position} [position] - Source position
+ */
+
+/**
+ * Ordered, unordered or task list.
+ * @typedef {Object} ListToken
+ * @property {"list"} megaType
+ * @property {boolean} [ordered] - True for numbered lists
+ * @property {number} [start] - Number of the first item of an ordered list
+ * @property {boolean} [tight] - False when items are separated by blank
+ *   lines, their paragraphs are then wrapped in <p>
+ * @property {ListItem[]} items
+ * @property {Position} [position] - Source position
+ */
+
+/**
+ * Horizontal rule, --- *** ___.
+ * @typedef {Object} HorizontalRuleToken
+ * @property {"horizontalRule"} megaType
+ * @property {Position} [position] - Source position
+ */
+
+/**
+ * Fenced code block. The optional properties come from the info string,
+ * e.g. ```js title="app.js" {3-5} showLineNumbers
+ * @typedef {Object} CodeBlockToken
+ * @property {"codeBlock"} megaType
+ * @property {string} content - Raw code
+ * @property {string} language - Language from the fence, "" if none
+ * @property {string} [info] - Whole info string, when it has more than the language
+ * @property {string} [filename] - File name shown above the code (title="...")
+ * @property {number[]} [highlightLines] - 1-based numbers of highlighted lines ({3-5,8})
+ * @property {boolean} [showLineNumbers] - Whether lines are numbered
+ * @property {number} [startLine] - Number of the first line (showLineNumbers=10)
+ * @property {boolean} [diff] - Whether lines starting with + or - are marked
+ *   as added/removed (the diff attribute or language)
+ * @property {Position} [position] - Source position
+ */
+
+/**
+ * Table. Each cell is an array of inline tokens.
+ * @typedef {Object} TableToken
+ * @property {"table"} megaType
+ * @property {InlineToken[][]} header - Header cells, empty when the table has no header
+ * @property {InlineToken[][][]} rows - Body rows, each with as many cells as the header
+ * @property {Array<"left"|"center"|"right"|null>} align - Alignment of every
+ *   column from the separator row, null when not set
+ * @property {Position} [position] - Source position
+ * @property {Position} [headerPosition] - Source position of the header row
+ * @property {Position[]} [rowPositions] - Source positions of the body rows
+ */
+
+/**
+ * Footnote definition, [^id]: text. Can appear anywhere in the document,
+ * referenced definitions are rendered in a footnotes section at the end.
+ * @typedef {Object} FootnoteDefinitionToken
+ * @property {"footnoteDefinition"} megaType
+ * @property {string} id - Footnote id
+ * @property {BlockToken[]} content - Blocks of the footnote text
+ * @property {Position} [position] - Source position
+ */
+
+/**
+ * HTML block written in markdown, only produced with the 'allowHtml' setting.
+ * @typedef {Object} HtmlBlockToken
+ * @property {"html"} megaType
+ * @property {string} content - HTML lines as written
+ * @property {Position} [position] - Source position
+ */
+
+/**
+ * Callout, from a GitHub-style > [!WARNING] blockquote or a :::warning
+ * container. Rendered with an icon and a title bar.
+ * @typedef {Object} CalloutToken
+ * @property {"callout"} megaType
+ * @property {string} kind - Lowercased kind: note, tip, important, warning,
+ *   caution, or any word after ::: (rendered like a note)
+ * @property {InlineToken[]} [title] - Title after the marker, the kind's
+ *   default title (e.g. "Warning") is used without it
+ * @property {BlockToken[]} content - Blocks inside the callout
+ * @property {Position} [position] - Source position
+ */
+
+/**
+ * Display math between $$ lines, with the 'math' setting.
+ * @typedef {Object} MathBlockToken
+ * @property {"mathBlock"} megaType
+ * @property {string} content - TeX source
+ * @property {Position} [position] - Source position
+ */
+
+/**
+ * Table of contents marker, [[toc]] or [TOC] on its own line. Rendered as a
+ * <nav> with nested lists of links to the document's headings.
+ * @typedef {Object} TocToken
+ * @property {"toc"} megaType
+ * @property {Position} [position] - Source position
+ */
+
+/**
+ * Front matter at the start of the document, with the 'frontMatter' setting.
+ * Always the first token; it isn't rendered.
+ * @typedef {Object} FrontMatterToken
+ * @property {"frontMatter"} megaType
+ * @property {"yaml"|"toml"} format - yaml between --- lines, toml between +++ lines
+ * @property {Object} data - Parsed front matter
+ * @property {string} raw - Text between the fence lines
+ * @property {Position} [position] - Source position
+ */
+
+/**
+ * Block token added by a plugin, rendered by the plugin's renderer.
+ * @typedef {Object} CustomBlockToken
+ * @property {string} megaType
+ * @property {Position} [position] - Source position
+ */
+
+/**
+ * @typedef {HeadingToken|ParagraphToken|BlockquoteToken|ListToken|HorizontalRuleToken|CodeBlockToken|TableToken|FootnoteDefinitionToken|HtmlBlockToken|MathBlockToken|CalloutToken|TocToken|FrontMatterToken|CustomBlockToken} BlockToken
+ */
@@ -11,6 +11,8 @@
  * - Multiple output methods (string, DOM insertion, smart updating)
  * - Comprehensive markdown support (headers, lists, tables, code blocks, etc.)
  * - Customizable styling with CSS variables and dark mode support
+ * - Plugin API for custom block and inline syntax
+ * - Per-call options and isolated instances via createCattown()
  * 
  * @author ieaturanium238
  * @version 1.0.0
@@ -26,7 +28,12 @@ export {
   insertIntoElement,    // Replace element content with rendered markdown
   replaceIntoElement,   // Smart DOM diffing for efficient updates
   appendIntoElement,    // Append rendered markdown to element
-  setDOMPurify         // Set DOMPurify instance for sanitization
+  parse,                // Convert markdown to token tree
+  render,               // Convert token tree to HTML string
+  parseDocument,        // Get front matter data, HTML and tokens of a document
+  getHeadings,          // Get the nested heading tree of a document
+  setDOMPurify,        // Set DOMPurify instance for sanitization
+  createCattown        // Create an isolated instance with its own settings
 } from './cattownMain.js';
 
 // Export configuration management functions for customizing behavior
@@ -35,6 +42,12 @@ export {
   setSettings              // Update configuration settings
 } from './cattownConfig.js';
 
+// Export token schema version and token type definitions
+export * from './cattownTokens.js';
+
+// Export plugin registration for custom markdown syntax
+export { use } from './cattownPlugins.js';
+
 // Library metadata for version checking and debugging
 export const version = '1.0.0';
 export const name = 'cattown';
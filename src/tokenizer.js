@@ -11,7 +11,7 @@
  * - Comprehensive markdown syntax support
  * - Proper nesting of inline elements within block elements
  * - Special handling for atomic elements (links, images, code)
- * - Blockquote support with nested content
+ * - Blockquotes nested to any depth, containing any block element
  * - Table parsing with header detection
  * - Task list support with checkbox states
  *
@@ -25,8 +25,280 @@
  * - Block tokens have 'megaType' property (heading, paragraph, list, etc.)
  * - Inline tokens have 'type' property (text, bold, italic, link, etc.)
  * - Content can be either strings or arrays of nested tokens
+ *
+ * Custom syntax can be added through plugins (see cattownPlugins.js), which
+ * register extra block rules and inline atomic/styled rules.
+ */
+
+import { getPlugins } from "./cattownPlugins.js";
+import { getAllSettings } from "./cattownConfig.js";
+import { extractFrontMatter } from "./cattownFrontMatter.js";
+
+/**
+ * Named character references decoded by the 'commonmark' flavor.
+ * Covers the commonly used ones, the full HTML5 list is too large to bundle;
+ * numeric references (&#35; &#x22;) work for every character.
+ */
+const namedEntities = {
+  amp: "&", lt: "<", gt: ">", quot: '"', apos: "'", nbsp: "\u00a0",
+  copy: "\u00a9", reg: "\u00ae", trade: "\u2122", hellip: "\u2026",
+  mdash: "\u2014", ndash: "\u2013", lsquo: "\u2018", rsquo: "\u2019",
+  ldquo: "\u201c", rdquo: "\u201d", laquo: "\u00ab", raquo: "\u00bb",
+  bull: "\u2022", middot: "\u00b7", deg: "\u00b0", plusmn: "\u00b1",
+  times: "\u00d7", divide: "\u00f7", frac12: "\u00bd", frac14: "\u00bc",
+  frac34: "\u00be", sect: "\u00a7", para: "\u00b6", euro: "\u20ac",
+  pound: "\u00a3", yen: "\u00a5", cent: "\u00a2", larr: "\u2190",
+  rarr: "\u2192", uarr: "\u2191", darr: "\u2193", harr: "\u2194",
+  lArr: "\u21d0", rArr: "\u21d2", hArr: "\u21d4", ne: "\u2260",
+  le: "\u2264", ge: "\u2265", infin: "\u221e", minus: "\u2212",
+  shy: "\u00ad", ensp: "\u2002", emsp: "\u2003", thinsp: "\u2009",
+  zwj: "\u200d", zwnj: "\u200c", iexcl: "\u00a1", iquest: "\u00bf",
+  AElig: "\u00c6", aelig: "\u00e6", szlig: "\u00df", Auml: "\u00c4",
+  auml: "\u00e4", Ouml: "\u00d6", ouml: "\u00f6", Uuml: "\u00dc",
+  uuml: "\u00fc", eacute: "\u00e9", egrave: "\u00e8", agrave: "\u00e0",
+  ccedil: "\u00e7", ntilde: "\u00f1", alpha: "\u03b1", beta: "\u03b2",
+  gamma: "\u03b3", delta: "\u03b4", pi: "\u03c0", sigma: "\u03c3",
+  mu: "\u03bc", lambda: "\u03bb", omega: "\u03c9", Omega: "\u03a9",
+};
+
+/**
+ * Decodes the entity or numeric character reference starting at the given
+ * index of str, e.g. &amp; &#35; or &#x22;.
+ *
+ * @param {string} str - Text containing the reference
+ * @param {number} index - Index of the '&'
+ * @returns {Object|null} { value, length } with the decoded text and the
+ *   length of the reference, or null when there's no valid reference
+ */
+function decodeEntity(str, index) {
+  const match = str
+    .slice(index, index + 40)
+    .match(/^&(?:#[xX]([0-9a-fA-F]{1,6})|#([0-9]{1,7})|([a-zA-Z][a-zA-Z0-9]{1,31}));/);
+  if (!match) return null;
+
+  if (match[3]) {
+    if (!Object.prototype.hasOwnProperty.call(namedEntities, match[3])) return null;
+    return { value: namedEntities[match[3]], length: match[0].length };
+  }
+
+  // Invalid code points are replaced by U+FFFD as the spec asks
+  const code = match[1] ? parseInt(match[1], 16) : parseInt(match[2], 10);
+  const valid = code > 0 && code <= 0x10ffff && (code < 0xd800 || code > 0xdfff);
+  return {
+    value: String.fromCodePoint(valid ? code : 0xfffd),
+    length: match[0].length,
+  };
+}
+
+/**
+ * Resolves backslash escapes and entity references in text that isn't parsed
+ * as inline markdown, like the info string of a code fence.
+ *
+ * @param {string} str - Raw text
+ * @returns {string} Text with escapes and references replaced
+ */
+function unescapeString(str) {
+  let result = "";
+  for (let i = 0; i < str.length; i++) {
+    let entity;
+    if (str[i] === "\\" && /[!-\/:-@\[-`{-~]/.test(str[i + 1] || "")) {
+      result += str[++i];
+    } else if (str[i] === "&" && (entity = decodeEntity(str, i))) {
+      result += entity.value;
+      i += entity.length - 1;
+    } else {
+      result += str[i];
+    }
+  }
+  return result;
+}
+
+/**
+ * Normalizes the content of a CommonMark code span: line endings become
+ * spaces and one space is stripped from both ends when both are spaces
+ * (so `` `code` `` can start or end with a backtick).
+ *
+ * @param {string} content - Raw text between the backtick strings
+ * @returns {string} Code span content
+ */
+function normalizeCodeSpan(content) {
+  const code = content.replace(/\n/g, " ");
+  if (code.length > 2 && code[0] === " " && code[code.length - 1] === " " && /[^ ]/.test(code)) {
+    return code.slice(1, -1);
+  }
+  return code;
+}
+
+/**
+ * Normalizes a link reference label for matching: labels are matched
+ * case-insensitively, with runs of whitespace treated as one space.
+ *
+ * @param {string} label - Label as written between the brackets
+ * @returns {string} Normalized label
+ */
+function normalizeLabel(label) {
+  return label.trim().replace(/\s+/g, " ").toLowerCase();
+}
+
+/**
+ * Finds how much of a bare URL (https://... or www....) belongs to the link,
+ * following GFM's extended autolink rules. The domain needs at least one
+ * period for www links and no underscores in its last two segments, and
+ * trailing punctuation, a ')' without a matching '(' in the link and a
+ * trailing entity-like &name; are left out of the link.
+ *
+ * @param {string} url - Text matched as a URL, up to the next space or '<'
+ * @returns {number} Length of the link, or 0 when it isn't a valid autolink
+ */
+function autolinkLength(url) {
+  const domain = url.replace(/^https?:\/\//, "").match(/^[\w-]+(?:\.[\w-]+)*/);
+  if (!domain) return 0;
+  const segments = domain[0].split(".");
+  if (url.startsWith("www.") && segments.length < 2) return 0;
+  if (segments.slice(-2).some((segment) => segment.includes("_"))) return 0;
+
+  let end = url.length;
+  let opened = url.split("(").length - 1;
+  let closed = url.split(")").length - 1;
+  while (end > 0) {
+    const last = url[end - 1];
+    if ("?!.,:*_~'\"".includes(last)) {
+      end--;
+    } else if (last === ")" && closed > opened) {
+      end--;
+      closed--;
+    } else if (last === ";") {
+      const entity = url.slice(0, end).match(/&[a-zA-Z0-9]+;$/);
+      end -= entity ? entity[0].length : 1;
+    } else {
+      break;
+    }
+  }
+  return end;
+}
+
+/**
+ * Parses the info string of a fenced code block, like
+ * js title="app.js" {3-5,8} showLineNumbers, into the language and the
+ * attributes the renderer understands. Unknown attributes are ignored.
+ *
+ * - title="..." (or filename="...") names the file shown above the code
+ * - {3-5,8} highlights lines, by 1-based number
+ * - showLineNumbers numbers the lines, showLineNumbers=10 starts at 10
+ * - diff marks lines starting with + or - as added/removed (also the
+ *   default for the diff language)
+ *
+ * @param {string} info - Info string after the opening fence
+ * @returns {Object} { language } plus filename, highlightLines,
+ *   showLineNumbers, startLine and diff when they are set
+ */
+function parseInfoString(info) {
+  info = info.trim();
+  const result = { language: "" };
+  const first = info.match(/^[^\s{]+/);
+  if (first && !first[0].includes("=")) {
+    result.language = first[0];
+    info = info.slice(first[0].length);
+  }
+
+  const attributePattern = /\{([^}]*)\}|([A-Za-z][\w-]*)(?:=(?:"([^"]*)"|'([^']*)'|(\S+)))?/g;
+  let match;
+  while ((match = attributePattern.exec(info))) {
+    const [, ranges, name, ...values] = match;
+    const value = values.find((v) => v !== undefined);
+    if (ranges !== undefined) {
+      const lines = new Set(result.highlightLines);
+      for (const range of ranges.split(",")) {
+        const bounds = range.trim().match(/^(\d+)(?:-(\d+))?$/);
+        if (!bounds) continue;
+        const from = Number(bounds[1]);
+        // Ranges are capped, a typo like {1-1000000} shouldn't stall rendering
+        const to = Math.min(Number(bounds[2] || from), from + 10000);
+        for (let line = from; line <= to; line++) lines.add(line);
+      }
+      result.highlightLines = [...lines].sort((a, b) => a - b);
+    } else if ((name === "title" || name === "filename") && value) {
+      result.filename = value;
+    } else if (name === "showLineNumbers") {
+      result.showLineNumbers = true;
+      if (value && /^\d+$/.test(value)) result.startLine = Number(value);
+    } else if (name === "diff") {
+      result.diff = true;
+    }
+  }
+  if (result.language === "diff") result.diff = true;
+  return result;
+}
+
+// Pieces of HTML syntax shared by HTML blocks and inline raw HTML
+const htmlAttribute =
+  "(?:\\s+[a-zA-Z_:][a-zA-Z0-9_.:-]*(?:\\s*=\\s*(?:[^\\s\"'=<>`]+|'[^']*'|\"[^\"]*\"))?)";
+const htmlOpenTag = `<[A-Za-z][A-Za-z0-9-]*${htmlAttribute}*\\s*\\/?>`;
+const htmlCloseTag = "<\\/[A-Za-z][A-Za-z0-9-]*\\s*>";
+
+/**
+ * Inline raw HTML: an open or closing tag, comment, processing instruction,
+ * declaration or CDATA section.
+ */
+const rawHtmlPattern = new RegExp(
+  `${htmlOpenTag}|${htmlCloseTag}|<!-->|<!--->|<!--[\\s\\S]*?-->|<\\?[\\s\\S]*?\\?>|<![A-Za-z][^>]*>|<!\\[CDATA\\[[\\s\\S]*?\\]\\]>`,
+  "g"
+);
+
+/**
+ * A complete open or closing tag alone on its line (CommonMark's condition 7).
+ */
+const htmlTagLinePattern = new RegExp(`^(?:${htmlOpenTag}|${htmlCloseTag})\\s*$`);
+
+/**
+ * Tag names starting an HTML block that ends at a blank line (CommonMark's
+ * condition 6), also when it interrupts a paragraph.
+ */
+const htmlBlockTags = new Set(
+  ("address article aside base basefont blockquote body caption center col colgroup dd details " +
+    "dialog dir div dl dt fieldset figcaption figure footer form frame frameset h1 h2 h3 h4 h5 h6 " +
+    "head header hr html iframe legend li link main menu menuitem nav noframes ol optgroup option " +
+    "p param search section summary table tbody td tfoot th thead title tr track ul").split(" ")
+);
+
+/**
+ * Finds which kind of HTML block a line starts, following CommonMark's
+ * seven start conditions, and what ends it.
+ *
+ * @param {string} line - Line to check
+ * @returns {Object|null} { end, interrupts } where end is a regex for the
+ *   line closing the block (null: a blank line) and interrupts tells
+ *   whether it can interrupt a paragraph, or null when it starts no block
  */
+function matchHtmlBlockStart(line) {
+  const text = line.match(/^ {0,3}(<.*)$/);
+  if (!text) return null;
+  const start = text[1];
+
+  if (/^<(?:pre|script|style|textarea)(?:[\s>]|$)/i.test(start)) {
+    return { end: /<\/(?:pre|script|style|textarea)>/i, interrupts: true };
+  }
+  if (start.startsWith("<!--")) return { end: /-->/, interrupts: true };
+  if (start.startsWith("<?")) return { end: /\?>/, interrupts: true };
+  if (/^<![A-Za-z]/.test(start)) return { end: />/, interrupts: true };
+  if (start.startsWith("<![CDATA[")) return { end: /\]\]>/, interrupts: true };
+
+  const tag = start.match(/^<\/?([A-Za-z][A-Za-z0-9-]*)(?:[\s>]|\/>|$)/);
+  if (tag && htmlBlockTags.has(tag[1].toLowerCase())) {
+    return { end: null, interrupts: true };
+  }
+  // Any other complete tag alone on its line
+  if (htmlTagLinePattern.test(start) && !/^<\/?(?:pre|script|style|textarea)\b/i.test(start)) {
+    return { end: null, interrupts: false };
+  }
+  return null;
+}
 
+/**
+ * Longest text tokenizeInline() parses at once, to reduce the risk of
+ * catastrophic backtracking in regexes.
+ */
+const MAX_INLINE_LENGTH = 20000;
 
 /**
  * Converts raw markdown text into structured token objects.
@@ -50,6 +322,10 @@
  *
  * @param {string} input - Raw markdown text to parse. Can contain any
  *   valid markdown syntax including multi-line content.
+ * @param {Object} [settings] - Resolved settings to parse with, defaults to
+ *   the global settings
+ * @param {Object} [plugins] - Plugin registry providing custom rules, defaults
+ *   to the global registry filled by use()
  *
  * @returns {Array} Array of token objects representing the parsed structure.
  *   Each token has either:
@@ -64,10 +340,98 @@
  * //   { megaType: 'paragraph', content: [...] }
  * // ]
  */
-function tokenizeUserInput(input) {
+function tokenizeUserInput(input, settings = getAllSettings(), plugins = getPlugins()) {
   const lines = input.split("\n"); // Split input by lines for block-level parsing
   const tokens = [];
 
+  // The 'commonmark' flavor swaps in CommonMark block rules and emphasis
+  const commonMark = settings.flavor === "commonmark";
+
+  // Source positions are only computed when something consumes them
+  const trackPositions =
+    settings.sourcePositions || settings.sourceLineAttributes;
+
+  // Offset of the first char of every line, used to turn offsets into points
+  const lineOffsets = [];
+  let nextLineOffset = 0;
+  for (const line of lines) {
+    lineOffsets.push(nextLineOffset);
+    nextLineOffset += line.length + 1; // +1 for the removed "\n"
+  }
+
+  // Where every top-level line starts in the document: { line, column }.
+  // Lines inside blockquotes get their own sources shifted past the '>' marker.
+  const lineSources = lines.map((_, index) => ({ line: index, column: 0 }));
+
+  // Front matter at the very start of the document (--- YAML or +++ TOML)
+  // becomes a frontMatter token, and parsing resumes after its closing line
+  const frontMatter = settings.frontMatter ? extractFrontMatter(lines) : null;
+  const firstLine = frontMatter ? frontMatter.endIndex + 1 : 0;
+
+  // Link reference definitions by normalized label, collected up front so
+  // references can come before their definition (front matter is skipped)
+  const linkDefinitions = collectLinkDefinitions(lines, firstLine);
+
+  /**
+   * Converts a document offset into a { line, column, offset } point.
+   * Lines and columns are 1-based, offset is 0-based.
+   *
+   * @param {number} offset - Offset of a char in the input
+   * @returns {Object} Point with line, column and offset
+   */
+  function pointAt(offset) {
+    // Binary search for the last line starting at or before offset
+    let low = 0;
+    let high = lineOffsets.length - 1;
+    while (low < high) {
+      const mid = (low + high + 1) >> 1;
+      if (lineOffsets[mid] <= offset) low = mid;
+      else high = mid - 1;
+    }
+    return { line: low + 1, column: offset - lineOffsets[low] + 1, offset };
+  }
+
+  /**
+   * Returns a function mapping an index in text that starts at the given
+   * column of a line to its document offset, for tokenizeInline().
+   * Returns undefined when positions aren't tracked.
+   *
+   * @param {Object[]} sources - Sources of the lines being parsed
+   * @param {number} index - Index of the line
+   * @param {number} column - 0-based column where the text starts in the line
+   * @returns {Function|undefined} Index-to-offset mapper
+   */
+  function offsetMapper(sources, index, column) {
+    if (!trackPositions) return undefined;
+    const source = sources[index];
+    const start = lineOffsets[source.line] + source.column + column;
+    return (textIndex) => start + textIndex;
+  }
+
+  /**
+   * Builds the position of a block spanning lines startIndex to endIndex,
+   * ignoring surrounding whitespace and trailing blank lines.
+   *
+   * @param {string[]} blockLines - Lines being parsed
+   * @param {Object[]} sources - Sources of those lines
+   * @param {number} startIndex - First line of the block
+   * @param {number} endIndex - Last line of the block
+   * @returns {Object} Position with start and end points
+   */
+  function blockPosition(blockLines, sources, startIndex, endIndex) {
+    while (endIndex > startIndex && !blockLines[endIndex].trim()) endIndex--;
+    const first = blockLines[startIndex];
+    const last = blockLines[endIndex];
+    const startColumn = first.length - first.trimStart().length;
+    const endColumn = last.trimEnd().length;
+    const lineStart = (index) =>
+      lineOffsets[sources[index].line] + sources[index].column;
+    return {
+      start: pointAt(lineStart(startIndex) + startColumn),
+      end: pointAt(lineStart(endIndex) + endColumn),
+    };
+  }
+
   /**
    * Parses inline markdown elements using an iterative stack-based algorithm.
    *
@@ -87,6 +451,7 @@ function tokenizeUserInput(input) {
    *   - Images: ![alt](src)
    *   - Links: [text](href)
    *   - Inline code: `code`
+   *   - Inline math: $tex$ (with the math setting)
    *
    * - Styled (can be nested and contain other elements):
    *   - BoldItalic: ***text*** or ___text___ (highest precedence)
@@ -104,6 +469,9 @@ function tokenizeUserInput(input) {
    *
    * @param {string} text - Raw inline markdown text to parse. Can contain
    *   any combination of supported inline syntax.
+   * @param {Function} [offsetAt] - Maps an index in text to its offset in the
+   *   document. When given and positions are tracked, every inline token gets
+   *   a 'position' property.
    *
    * @returns {Array} Array of inline token objects. Each token has:
    *   - type: Element type (text, bold, italic, link, image, etc.)
@@ -114,14 +482,15 @@ function tokenizeUserInput(input) {
    * tokenizeInline("**Bold *italic* text** with [link](url)")
    * // Returns complex nested structure representing the formatting hierarchy
    */
-  function tokenizeInline(text) {
+  function tokenizeInline(text, offsetAt) {
     const inlineTokens = [];
 
     // Return empty array immediately if text is falsy (null, undefined, "")
     if (!text) return inlineTokens;
 
     // Input length limit to reduce risk of catastrophic backtracking in regex
-    const MAX_INLINE_LENGTH = 5000;
+    // (longer paragraphs are tokenized in chunks of lines, so only a single
+    // line this long is cut)
     if (text.length > MAX_INLINE_LENGTH) {
       // Truncate text if it exceeds configured max length
       text = text.slice(0, MAX_INLINE_LENGTH);
@@ -130,99 +499,645 @@ function tokenizeUserInput(input) {
     // Use a unique placeholder character for escaped chars during processing
     // '\0' (null char) is unlikely to appear in text naturally
     const ESCAPE_CHAR = "\0";
-    const escapedChars = []; // To store characters following escape backslashes
     let processedText = "";
-
-    // Parse text and replace escaped characters (e.g. \* or \_) with placeholder
-    // Store original escaped char to re-insert later at tokenization step
+    // Index in text of every char in processedText (plus one past the end),
+    // used to find escaped chars and source positions
+    const originalIndex = [];
+    // Text every placeholder stands for, by its index in processedText
+    const escapedText = new Map();
+
+    // Parse text and replace escaped characters (e.g. \* or \_) with placeholder.
+    // With the 'commonmark' flavor only ASCII punctuation can be escaped and
+    // entity references (&amp; &#35; &#x22;) are replaced by placeholders too,
+    // so the chars they stand for never act as markdown syntax.
     for (let i = 0; i < text.length; i++) {
-      if (text[i] === "\\") {
-        if (i + 1 < text.length) {
-          // If next char exists
-          escapedChars.push(text[i + 1]); // Save the escaped char
-          processedText += ESCAPE_CHAR; // Add placeholder instead
-          i++; // Skip next char since it is escaped
-        } else {
-          processedText += "\\"; // Lone backslash at end, keep as is
-        }
+      originalIndex.push(i);
+      let entity;
+      if (
+        text[i] === "\\" &&
+        i + 1 < text.length &&
+        (!commonMark || /[\n!-\/:-@\[-`{-~]/.test(text[i + 1]))
+      ) {
+        // If next char can be escaped
+        escapedText.set(processedText.length, text[i + 1]);
+        processedText += ESCAPE_CHAR; // Add placeholder instead
+        i++; // Skip next char since it is escaped
+      } else if (commonMark && text[i] === "&" && (entity = decodeEntity(text, i))) {
+        escapedText.set(processedText.length, entity.value);
+        processedText += ESCAPE_CHAR;
+        i += entity.length - 1;
       } else {
-        processedText += text[i]; // Normal char, append as is
+        processedText += text[i]; // Normal char (or lone backslash), append as is
       }
     }
+    originalIndex.push(text.length);
+
+    // Only compute positions when the caller knows where text is in the document
+    const withPositions = trackPositions && typeof offsetAt === "function";
+
+    /**
+     * Builds the source position of processedText[start, end).
+     */
+    function positionOf(start, end) {
+      const endIndex = originalIndex[end] - 1; // Last original char covered
+      return {
+        start: pointAt(offsetAt(originalIndex[start])),
+        end: pointAt(offsetAt(endIndex) + 1),
+      };
+    }
+
+    /**
+     * Gives atomic rules access to the source of their match, as the matched
+     * string still has placeholders for escaped chars.
+     * raw() returns the original markdown (for code), unescape() the text with
+     * escapes and entities resolved (for URLs and alt text). Both take indexes
+     * relative to the start of the match.
+     */
+    function matchSource(matchStart) {
+      return {
+        raw: (from, to) =>
+          text.slice(
+            originalIndex[matchStart + from],
+            originalIndex[matchStart + to]
+          ),
+        unescape: (from, to) => {
+          let result = "";
+          for (let i = matchStart + from; i < matchStart + to; i++) {
+            result +=
+              processedText[i] === ESCAPE_CHAR
+                ? escapedText.get(i)
+                : processedText[i];
+          }
+          return result;
+        },
+      };
+    }
 
     // Helper function to convert processedText back to tokens,
     // replacing ESCAPE_CHAR placeholders with the originally escaped characters
-    function splitEscapesToTokens(s) {
+    // and newlines (from multi-line paragraphs) with break tokens.
+    // base is the index of s[0] within processedText
+    function splitEscapesToTokens(s, base) {
       const result = [];
+      const pushToken = (token, start, end) => {
+        if (withPositions) {
+          token.position = positionOf(base + start, base + end);
+        }
+        result.push(token);
+      };
       for (let i = 0; i < s.length; i++) {
+        const start = i;
         if (s[i] === ESCAPE_CHAR) {
           // When finding placeholder, insert the original escaped char as a text token
-          const ch = escapedChars.shift();
-          result.push({ type: "text", content: ch });
+          const ch = escapedText.get(base + i);
+          // A backslash at the end of a line is a hard line break
+          const isBackslash = text[originalIndex[base + i]] === "\\";
+          const token =
+            isBackslash && ch === "\n"
+              ? { type: "hardBreak" }
+              : { type: "text", content: ch };
+          pushToken(token, start, i + 1);
+        } else if (s[i] === "\n") {
+          // Soft line break, or a hard one after two or more trailing spaces
+          // The break covers the trailing spaces left out of the text before it
+          let breakStart = start;
+          while (breakStart > 0 && s[breakStart - 1] === " ") breakStart--;
+          const hard = start - breakStart >= 2;
+          pushToken({ type: hard ? "hardBreak" : "softBreak" }, breakStart, i + 1);
         } else {
           // Collect consecutive normal chars into one text token
-          let start = i;
-          while (i < s.length && s[i] !== ESCAPE_CHAR) i++;
+          while (i < s.length && s[i] !== ESCAPE_CHAR && s[i] !== "\n") i++;
+          // Spaces at the end of a line are not part of the text
+          let end = i;
+          if (s[i] === "\n") {
+            while (end > start && s[end - 1] === " ") end--;
+          }
+          if (end > start) {
+            pushToken({ type: "text", content: s.slice(start, end) }, start, end);
+          }
           i--;
-          const normalText = s.slice(start, i + 1);
-          result.push({ type: "text", content: normalText });
         }
       }
       return result;
     }
 
+    /**
+     * Builds the atomic rules for autolinks. <https://...> and <user@host>
+     * are part of CommonMark, so the 'commonmark' flavor always has them.
+     * Bare URLs, www. links and email addresses (GFM's extended autolinks)
+     * are only linked with the autolinks setting on.
+     * Autolink rules have a trim(text, source) hook shortening or rejecting
+     * (0) a match, and are skipped inside link text.
+     *
+     * @returns {Array<Object>} Atomic rules for the enabled autolinks
+     */
+    function autolinkRules() {
+      const linkToken = (text, href) => ({
+        type: "link",
+        content: [{ type: "text", content: text }],
+        href,
+        autolink: true,
+      });
+      const rules = [];
+
+      if (settings.autolinks || commonMark) {
+        rules.push({
+          type: "link",
+          trigger: "<",
+          regex:
+            /<([A-Za-z][A-Za-z0-9+.-]{1,31}:[^\s<>]*|[\w.!#$%&'*+\/=?^`{|}~-]+@[a-zA-Z0-9](?:[a-zA-Z0-9-]{0,61}[a-zA-Z0-9])?(?:\.[a-zA-Z0-9](?:[a-zA-Z0-9-]{0,61}[a-zA-Z0-9])?)*)>/g,
+          autolink: true,
+          // Backslash escapes don't work inside angle-bracket autolinks
+          token: (match, source) => {
+            const text = source.raw(1, match[0].length - 1);
+            const isURL = /^[A-Za-z][A-Za-z0-9+.-]{1,31}:/.test(text);
+            return linkToken(text, isURL ? text : "mailto:" + text);
+          },
+        });
+      }
+
+      if (settings.autolinks) {
+        // Bare links start a line or follow a space, '(' or an emphasis marker
+        const bareURL = (trigger, regex, toHref) => ({
+          type: "link",
+          trigger,
+          regex,
+          autolink: true,
+          trim: autolinkLength,
+          token: (match, source) => {
+            const text = source.unescape(0, match[0].length);
+            return linkToken(text, toHref(text));
+          },
+        });
+        rules.push(
+          bareURL("http", /(?<![^\s*_~(])https?:\/\/[^\s<]+/g, (text) => text),
+          bareURL("www.", /(?<![^\s*_~(])www\.[^\s<]+/g, (text) => "http://" + text),
+          {
+            type: "link",
+            trigger: "@",
+            regex: /(?<![\w.+-])[\w.+-]+@[\w-]+(?:\.[\w-]+)+/g,
+            autolink: true,
+            // The match starts before the trigger, at the start of the word
+            searchFrom: (str, index) => {
+              while (index > 0 && /[\w.+-]/.test(str[index - 1])) index--;
+              return index;
+            },
+            // Addresses can't end with '-' or '_'
+            trim: (email) => (/[-_]$/.test(email) ? 0 : email.length),
+            token: (match, source) => {
+              const text = source.unescape(0, match[0].length);
+              return linkToken(text, "mailto:" + text);
+            },
+          }
+        );
+      }
+      return rules;
+    }
+
+    /**
+     * Finds the matching ']' of every '[' in str, so link text can contain
+     * balanced brackets. Escaped brackets are placeholders by now and don't
+     * count. The pairs found in a part of str are the pairs of the whole
+     * str lying in that part, so one map serves every frame.
+     *
+     * @returns {Map<number, number>} Index of the ']' by index of its '['
+     */
+    function matchBrackets(str) {
+      const closeOf = new Map();
+      const open = [];
+      for (let i = 0; i < str.length; i++) {
+        if (str[i] === "[") open.push(i);
+        else if (str[i] === "]" && open.length > 0) closeOf.set(open.pop(), i);
+      }
+      return closeOf;
+    }
+
+    /**
+     * Parses the (destination "title") part of an inline link, starting at
+     * the '(' at index start of str. The destination is either <...> (can
+     * hold spaces) or a run of non-space chars with balanced parentheses.
+     * The optional title is in "", '' or (). Spaces and at most one line
+     * break can surround both.
+     *
+     * @returns {Object|null} { end, destStart, destEnd, titleStart?, titleEnd? }
+     *   with end one past the ')', or null when it isn't a valid link
+     */
+    function parseLinkTail(str, start) {
+      let i = start + 1;
+      const skipSpace = () => {
+        let lineBreaks = 0;
+        while (i < str.length && /[ \t\n]/.test(str[i])) {
+          if (str[i] === "\n" && ++lineBreaks > 1) return false;
+          i++;
+        }
+        return true;
+      };
+      const tail = {};
+
+      if (!skipSpace()) return null;
+      if (str[i] === "<") {
+        let j = i + 1;
+        while (j < str.length && !/[<>\n]/.test(str[j])) j++;
+        if (str[j] !== ">") return null;
+        tail.destStart = i + 1;
+        tail.destEnd = j;
+        i = j + 1;
+      } else {
+        tail.destStart = i;
+        let depth = 0;
+        while (i < str.length && !/[ \t\n]/.test(str[i])) {
+          if (str[i] === "(") {
+            if (++depth > 32) return null;
+          } else if (str[i] === ")") {
+            if (depth === 0) break;
+            depth--;
+          }
+          i++;
+        }
+        if (depth > 0) return null;
+        tail.destEnd = i;
+      }
+
+      // A title needs whitespace between it and the destination
+      const destEnd = i;
+      if (!skipSpace()) return null;
+      const opener = str[i];
+      if (i > destEnd && (opener === '"' || opener === "'" || opener === "(")) {
+        const closer = opener === "(" ? ")" : opener;
+        let j = i + 1;
+        while (j < str.length && str[j] !== closer && !(opener === "(" && str[j] === "(")) j++;
+        if (str[j] !== closer) return null;
+        tail.titleStart = i + 1;
+        tail.titleEnd = j;
+        i = j + 1;
+        if (!skipSpace()) return null;
+      }
+
+      if (str[i] !== ")") return null;
+      tail.end = i + 1;
+      return tail;
+    }
+
+    // Bracket pairs of processedText, matched when a link is first looked
+    // for, and the last link found (or not) by kind and end of the text
+    // scanned, see scanInlineLink()
+    let bracketPairs = null;
+    const linkScans = new Map();
+
+    /**
+     * Finds the first inline link [text](destination "title") in str from the
+     * given index, or image with image set. str starts at index base of
+     * processedText. Link text can contain balanced brackets and span lines.
+     *
+     * What's left of a frame is scanned again at every step through it, so
+     * the brackets are only matched once, and the last link found is reused
+     * while it's still ahead (as is not finding one). Otherwise scanning a
+     * paragraph full of brackets takes quadratic time.
+     *
+     * @returns {Array|null} Match like RegExp.exec() gives, with index and
+     *   parts: offsets of the text, destination and title within match[0]
+     */
+    function scanInlineLink(str, from, image, base) {
+      if (!bracketPairs) bracketPairs = matchBrackets(processedText);
+      const key = `${image ? "!" : ""}${base + str.length}`;
+      let scan = linkScans.get(key);
+      if (
+        !scan ||
+        scan.from > base + from ||
+        (scan.match && scan.base + scan.match.index < base + from)
+      ) {
+        scan = { from: base + from, base, match: findInlineLink(str, from, image, base) };
+        linkScans.set(key, scan);
+      }
+      if (!scan.match) return null;
+
+      const match = [scan.match[0]];
+      match.index = scan.base + scan.match.index - base;
+      match.parts = scan.match.parts;
+      return match;
+    }
+
+    /**
+     * Goes through str from the given index for scanInlineLink().
+     *
+     * @returns {Array|null} Match in str, like scanInlineLink() gives
+     */
+    function findInlineLink(str, from, image, base) {
+      for (let open = from; open < str.length; open++) {
+        if (str[open] !== "[" || (image && str[open - 1] !== "!")) continue;
+        const close = bracketPairs.get(base + open) - base;
+        if (!(close < str.length) || str[close + 1] !== "(") continue;
+        const tail = parseLinkTail(str, close + 1);
+        if (!tail) continue;
+
+        const start = image ? open - 1 : open;
+        const match = [str.slice(start, tail.end)];
+        match.index = start;
+        match.parts = {
+          textStart: open + 1 - start,
+          textEnd: close - start,
+          destStart: tail.destStart - start,
+          destEnd: tail.destEnd - start,
+        };
+        if (tail.titleStart !== undefined) {
+          match.parts.titleStart = tail.titleStart - start;
+          match.parts.titleEnd = tail.titleEnd - start;
+        }
+        return match;
+      }
+      return null;
+    }
+
+    /**
+     * Builds the atomic rules for reference links and images: [text][label],
+     * collapsed [label][] and shortcut [label], with ! for images. They only
+     * match labels with a definition (see collectLinkDefinitions()), a full
+     * reference with an unknown label falls back to a shortcut [text].
+     *
+     * @returns {Array<Object>} Atomic rules, none without definitions
+     */
+    function referenceRules() {
+      if (linkDefinitions.size === 0) return [];
+
+      // Finds the definition a match refers to and how much of it to keep.
+      // Labels are compared as written, with escapes still in place.
+      const resolve = (text, source, offset) => {
+        const close = text.indexOf("]");
+        const first = source.raw(offset, close);
+        if (text.length > close + 1) {
+          const second = source.raw(close + 2, text.length - 1);
+          const definition = linkDefinitions.get(normalizeLabel(second || first));
+          if (definition) return { definition, length: text.length, close };
+        }
+        const definition = linkDefinitions.get(normalizeLabel(first));
+        return definition ? { definition, length: close + 1, close } : null;
+      };
+      const withTitle = (token, definition) =>
+        definition.title !== undefined ? { ...token, title: definition.title } : token;
+
+      return [
+        {
+          type: "image",
+          trigger: "![",
+          regex: /!\[([^\]\n]*)\](?:\[([^\]\n]*)\])?/g,
+          trim: (text, source) => (resolve(text, source, 2) || { length: 0 }).length,
+          token: (match, source) => {
+            const { definition, close } = resolve(match[0], source, 2);
+            return withTitle(
+              { type: "image", alt: source.unescape(2, close), src: definition.href },
+              definition
+            );
+          },
+        },
+        {
+          type: "link",
+          trigger: "[",
+          regex: /\[([^\]\n]+)\](?:\[([^\]\n]*)\])?/g,
+          trim: (text, source) => (resolve(text, source, 1) || { length: 0 }).length,
+          token: (match, source) => {
+            const { definition, close } = resolve(match[0], source, 1);
+            return withTitle(
+              { type: "link", content: match[0].slice(1, close), href: definition.href },
+              definition
+            );
+          },
+          nested: true,
+        },
+      ];
+    }
+
     // Define regex patterns for atomic inline elements:
     // images, links, and inline code spans.
     // Use anchored regex for performance, avoid catastrophic backtracking
+    // Each rule has a trigger string used to cheaply locate candidates and a
+    // token() builder. Rules with nested: true get their content parsed inline.
+    // Plugin rules come first so they win ties at the same position.
+    // Inline links and images are found by scanInlineLink() instead of a
+    // regex, as balanced brackets and parentheses don't fit one.
     const atomicPatterns = [
-      { type: "image", regex: /!\[([^\]\n]*)\]\(([^()\s]+)\)/g },
-      { type: "link", regex: /\[([^\]\n]+)\]\(([^()\s]+)\)/g },
-      { type: "code", regex: /`([^`\n]+)`/g },
+      ...plugins.atomicRules,
+      {
+        type: "image",
+        trigger: "![",
+        scan: (str, from, base) => scanInlineLink(str, from, true, base),
+        token: (match, source) => {
+          const { parts } = match;
+          const token = {
+            type: "image",
+            alt: source.unescape(parts.textStart, parts.textEnd),
+            src: source.unescape(parts.destStart, parts.destEnd),
+          };
+          if (parts.titleStart !== undefined) {
+            token.title = source.unescape(parts.titleStart, parts.titleEnd);
+          }
+          return token;
+        },
+      },
+      // Footnote reference [^id], the renderer turns it into a numbered link
+      // (or back into text when there's no definition for the id)
+      ...(commonMark
+        ? []
+        : [
+            {
+              type: "footnoteRef",
+              trigger: "[^",
+              regex: /\[\^([^\]\s]+)\]/g,
+              token: (match) => ({ type: "footnoteRef", id: match[1] }),
+            },
+          ]),
+      {
+        type: "link",
+        trigger: "[",
+        scan: (str, from, base) => scanInlineLink(str, from, false, base),
+        token: (match, source) => {
+          const { parts } = match;
+          const token = {
+            type: "link",
+            content: match[0].slice(parts.textStart, parts.textEnd),
+            href: source.unescape(parts.destStart, parts.destEnd),
+          };
+          if (parts.titleStart !== undefined) {
+            token.title = source.unescape(parts.titleStart, parts.titleEnd);
+          }
+          return token;
+        },
+        nested: true,
+      },
+      ...referenceRules(),
+      commonMark
+        ? {
+            // Backtick strings of equal length, content may span lines
+            type: "code",
+            trigger: "`",
+            regex: /(?<!`)(`+)(?!`)([\s\S]*?[^`])\1(?!`)/g,
+            token: (match, source) => ({
+              type: "code",
+              content: normalizeCodeSpan(
+                source.raw(match[1].length, match[0].length - match[1].length)
+              ),
+            }),
+          }
+        : {
+            type: "code",
+            trigger: "`",
+            regex: /`([^`\n]+)`/g,
+            token: (match, source) => ({
+              type: "code",
+              content: source.raw(1, match[0].length - 1),
+            }),
+          },
+      // Inline math $...$: no space inside the dollars and no digit after
+      // the closing one, so prices like $5 or $5 and $10 stay text
+      ...(settings.math && !commonMark
+        ? [
+            {
+              type: "math",
+              trigger: "$",
+              regex: /(?<!\$)\$(?![\s$])([^$]+?)(?<!\s)\$(?![\d$])/g,
+              token: (match, source) => ({
+                type: "math",
+                content: source.raw(1, match[0].length - 1),
+              }),
+            },
+          ]
+        : []),
+      ...autolinkRules(),
+      // Raw HTML tags, comments and the like are kept as written
+      ...(settings.allowHtml
+        ? [
+            {
+              type: "html",
+              trigger: "<",
+              regex: rawHtmlPattern,
+              token: (match, source) => ({
+                type: "html",
+                content: source.raw(0, match[0].length),
+              }),
+            },
+          ]
+        : []),
     ];
 
     // Define various inline style markers:
     // From more specific (bold+italic) to simpler (superscript).
     // Keeps track of marker strings to locate pairs in text.
+    // The 'commonmark' flavor pairs * and _ with delimiter runs instead and
+    // has none of the other markers.
     const styledMarkers = [
-      { type: "boldItalic", markers: ["***", "___"] },
-      { type: "bold", markers: ["**", "__"] },
-      { type: "italic", markers: ["*", "_"] },
-      { type: "strikethrough", markers: ["~~"] },
-      { type: "highlight", markers: ["=="] },
-      { type: "subscript", markers: ["~"] },
-      { type: "superscript", markers: ["^"] },
+      ...plugins.styledRules,
+      ...(commonMark
+        ? []
+        : [
+            { type: "boldItalic", markers: ["***", "___"] },
+            { type: "bold", markers: ["**", "__"] },
+            { type: "italic", markers: ["*", "_"] },
+            { type: "strikethrough", markers: ["~~"] },
+            { type: "highlight", markers: ["=="] },
+            { type: "subscript", markers: ["~"] },
+            { type: "superscript", markers: ["^"] },
+          ]),
     ];
 
+    /**
+     * Finds the earliest atomic pattern match (image, link, code) in str,
+     * which starts at index base of processedText.
+     * Inside link text (inLink) links are not looked for.
+     * Rules find matches with their regex, or built-in ones with a
+     * scan(str, from, base) function returning a RegExp.exec()-like match.
+     *
+     * @returns {Object|null} { rule, match, index } or null
+     */
+    function findEarliestAtomic(str, base, inLink) {
+      let earliestAtomic = null;
+      for (const rule of atomicPatterns) {
+        // Links can't contain other links
+        if (inLink && rule.type === "link") continue;
+
+        // Quickly look for first chars indicating this type e.g. '![', '[' or '`'
+        const firstPossibleIndex = str.indexOf(rule.trigger);
+        if (firstPossibleIndex === -1) continue;
+
+        if (rule.scan) {
+          const match = rule.scan(str, firstPossibleIndex, base);
+          if (match && (earliestAtomic === null || match.index < earliestAtomic.index)) {
+            earliestAtomic = { rule, match, index: match.index };
+          }
+          continue;
+        }
+
+        // Run regex starting at possible index for exact match
+        rule.regex.lastIndex = rule.searchFrom
+          ? rule.searchFrom(str, firstPossibleIndex)
+          : firstPossibleIndex;
+        let match = rule.regex.exec(str);
+        // trim() can shorten the match, or reject it to look further on
+        while (match && rule.trim) {
+          const length = rule.trim(match[0], matchSource(base + match.index));
+          if (length > 0) {
+            match[0] = match[0].slice(0, length);
+            break;
+          }
+          rule.regex.lastIndex = match.index + 1;
+          match = rule.regex.exec(str);
+        }
+        if (
+          match &&
+          (earliestAtomic === null || match.index < earliestAtomic.index)
+        ) {
+          earliestAtomic = { rule, match, index: match.index };
+        }
+      }
+      return earliestAtomic;
+    }
+
+    /**
+     * Builds the token of an atomic match at the given index of processedText.
+     * Returns the inner text and its base when the content should be parsed.
+     */
+    function buildAtomicToken({ rule, match }, matchStart, inLink) {
+      const token = rule.token(match, matchSource(matchStart));
+      if (withPositions && !token.position) {
+        token.position = positionOf(matchStart, matchStart + match[0].length);
+      }
+      if (rule.nested && typeof token.content === "string") {
+        // Extract text content and replace it with nested content array
+        const innerText = token.content;
+        const innerBase = matchStart + Math.max(match[0].indexOf(innerText), 0);
+        token.content = [];
+        return {
+          token,
+          nested: {
+            remainingText: innerText,
+            tokens: token.content,
+            base: innerBase,
+            inLink: inLink || token.type === "link",
+          },
+        };
+      }
+      return { token, nested: null };
+    }
+
     // Stack for processing nested inline tokens
-    // Each frame contains remaining text to parse and current tokens array to append to
-    const stack = [{ remainingText: processedText, tokens: inlineTokens }];
+    // Each frame contains remaining text to parse, current tokens array to append to,
+    // base, the index of the remaining text within processedText, and inLink
+    // when the text is inside a link
+    const stack = [{ remainingText: processedText, tokens: inlineTokens, base: 0 }];
 
     while (stack.length > 0) {
       const frame = stack.pop();
+
+      if (commonMark) {
+        tokenizeDelimiterRuns(frame);
+        continue;
+      }
+
       let str = frame.remainingText;
+      let base = frame.base;
       const tokensArr = frame.tokens;
+      const inLink = frame.inLink;
 
       while (str.length > 0) {
-        let earliestAtomic = null;
-
-        // Find the earliest atomic pattern match (image, link, code)
-        for (const { type, regex } of atomicPatterns) {
-          // Quickly look for first char indicating this type e.g. '![', '[' or '`'
-          const firstPossibleIndex = str.indexOf(
-            type === "image" ? "![" : type === "link" ? "[" : "`"
-          );
-          if (firstPossibleIndex === -1) continue;
-
-          // Run regex starting at possible index for exact match
-          regex.lastIndex = firstPossibleIndex;
-          const match = regex.exec(str);
-          if (
-            match &&
-            (earliestAtomic === null || match.index < earliestAtomic.index)
-          ) {
-            earliestAtomic = { type, match, index: match.index };
-          }
-        }
+        const earliestAtomic = findEarliestAtomic(str, base, inLink);
 
         let earliestStyled = null;
         // Find earliest matching styled marker pair (bold, italic, etc.)
@@ -242,8 +1157,8 @@ function tokenizeUserInput(input) {
             }
 
             // Update earliest styled match if current is earlier in text
-            if (!earliestStyled || startIndex < earliestStyled.startIndex) {
-              earliestStyled = { type, marker, startIndex, endIndex };
+            if (!earliestStyled || startIndex < earliestStyled.index) {
+              earliestStyled = { type, marker, index: startIndex, endIndex };
             }
           }
         }
@@ -252,7 +1167,7 @@ function tokenizeUserInput(input) {
         let earliestMatch = null;
         if (earliestAtomic && earliestStyled) {
           earliestMatch =
-            earliestAtomic.index <= earliestStyled.startIndex
+            earliestAtomic.index <= earliestStyled.index
               ? earliestAtomic
               : earliestStyled;
         } else {
@@ -263,72 +1178,275 @@ function tokenizeUserInput(input) {
           // No special tokens found, treat rest of string as plain text,
           // convert placeholders back into escaped chars
           if (str.length > 0) {
-            const tokensWithEscapes = splitEscapesToTokens(str);
+            const tokensWithEscapes = splitEscapesToTokens(str, base);
             tokensArr.push(...tokensWithEscapes);
           }
           break;
         }
 
         // Get plain text before matched token to push as plain text tokens
-        // Different slicing depending on atomic vs styled patterns
-        const preText =
-          earliestMatch.type === "link" ||
-          earliestMatch.type === "image" ||
-          earliestMatch.type === "code"
-            ? str.slice(0, earliestMatch.index)
-            : str.slice(0, earliestMatch.startIndex);
+        const preText = str.slice(0, earliestMatch.index);
 
         if (preText.length > 0) {
-          const tokensWithEscapes = splitEscapesToTokens(preText);
+          const tokensWithEscapes = splitEscapesToTokens(preText, base);
           tokensArr.push(...tokensWithEscapes);
         }
 
         // Process the matched token based on its type
-        if (earliestMatch.type === "image") {
-          // Push image token with alt text and source URL
-          tokensArr.push({
-            type: "image",
-            alt: earliestMatch.match[1],
-            src: earliestMatch.match[2],
-          });
+        if (earliestMatch.rule) {
+          // Atomic token (image, link, code or plugin rule)
+          const { match } = earliestMatch;
+          const matchStart = base + earliestMatch.index;
+          const { token, nested } = buildAtomicToken(earliestMatch, matchStart, inLink);
+          tokensArr.push(token);
           // Remove matched portion from string for further processing
-          str = str.slice(earliestMatch.index + earliestMatch.match[0].length);
-        } else if (earliestMatch.type === "link") {
-          // Extract link text and URL, create token with nested content array
-          const linkText = earliestMatch.match[1];
-          const href = earliestMatch.match[2];
-          const linkToken = { type: "link", content: [], href };
-          tokensArr.push(linkToken);
-          // Slice off matched section from remaining string
-          str = str.slice(earliestMatch.index + earliestMatch.match[0].length);
-          // Push remaining string to process after this
-          stack.push({ remainingText: str, tokens: tokensArr });
-          // Parse link text content next
-          stack.push({ remainingText: linkText, tokens: linkToken.content });
-        } else if (earliestMatch.type === "code") {
-          // Inline code token
-          tokensArr.push({
-            type: "code",
-            content: earliestMatch.match[1],
-          });
-          str = str.slice(earliestMatch.index + earliestMatch.match[0].length);
+          str = str.slice(earliestMatch.index + match[0].length);
+          base = matchStart + match[0].length;
+          if (nested) {
+            // Push remaining string to process after this
+            stack.push({ remainingText: str, tokens: tokensArr, base, inLink });
+            // Parse text content next
+            stack.push(nested);
+            break; // Break to process new stack frames
+          }
         } else {
           // Styled inline formatting (bold, italic, etc) with nested content
-          const { marker, startIndex, endIndex, type } = earliestMatch;
+          const { marker, index: startIndex, endIndex, type } = earliestMatch;
           const innerText = str.slice(startIndex + marker.length, endIndex);
           const styledToken = { type, content: [] };
+          const innerBase = base + startIndex + marker.length;
+          if (withPositions) {
+            styledToken.position = positionOf(
+              base + startIndex,
+              base + endIndex + marker.length
+            );
+          }
           tokensArr.push(styledToken);
           // Remove the processed styled token text from str
           str = str.slice(endIndex + marker.length);
+          base += endIndex + marker.length;
           // Continue parsing after styled content in current tokens array
-          stack.push({ remainingText: str, tokens: tokensArr });
+          stack.push({ remainingText: str, tokens: tokensArr, base, inLink });
           // Recursively parse the inner styled content
-          stack.push({ remainingText: innerText, tokens: styledToken.content });
+          stack.push({ remainingText: innerText, tokens: styledToken.content, base: innerBase, inLink });
           break; // Break to process new stack frames
         }
       }
     }
 
+    /**
+     * Parses a frame with the CommonMark emphasis algorithm.
+     *
+     * The text is split into atomic tokens, plain text and delimiter runs
+     * (runs of * or _, or markers of plugin styled rules). Runs that can open
+     * and close are then paired up with the "process emphasis" procedure from
+     * the CommonMark spec, using a linked list of nodes so matched ranges can
+     * be moved into their emphasis token. Content of nested atomic tokens
+     * (link text) is pushed on the stack as a new frame.
+     *
+     * @param {Object} frame - Stack frame with remainingText, tokens and base
+     */
+    function tokenizeDelimiterRuns(frame) {
+      let str = frame.remainingText;
+      let base = frame.base;
+
+      // Doubly linked list of nodes: { token } for finished tokens, or
+      // { text, base, delim } for plain text and delimiter runs
+      let head = null;
+      let tail = null;
+      const append = (node) => {
+        node.prev = tail;
+        node.next = null;
+        if (tail) tail.next = node;
+        else head = node;
+        tail = node;
+      };
+      const remove = (node) => {
+        if (node.prev) node.prev.next = node.next;
+        else head = node.next;
+        if (node.next) node.next.prev = node.prev;
+        else tail = node.prev;
+      };
+
+      // Char as it appears in the output, for flanking checks
+      const charAt = (index) => {
+        if (index < 0 || index >= processedText.length) return undefined;
+        return processedText[index] === ESCAPE_CHAR
+          ? escapedText.get(index)[0]
+          : processedText[index];
+      };
+      const isWhitespace = (ch) => ch === undefined || /\s/.test(ch);
+      const isPunctuation = (ch) => ch !== undefined && /[\p{P}\p{S}]/u.test(ch);
+
+      // Plugin markers (longest first) and runs of * or _
+      const pluginMarkers = [];
+      for (const { type, markers } of styledMarkers) {
+        for (const marker of markers) pluginMarkers.push({ type, marker });
+      }
+      pluginMarkers.sort((a, b) => b.marker.length - a.marker.length);
+      const escapeRegex = (s) => s.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+      const delimiterRegex = new RegExp(
+        [...pluginMarkers.map(({ marker }) => escapeRegex(marker)), "\\*+", "_+"].join("|"),
+        "g"
+      );
+
+      // Splits plain text into text nodes and delimiter run nodes
+      const appendText = (s, start) => {
+        let last = 0;
+        delimiterRegex.lastIndex = 0;
+        let match;
+        while ((match = delimiterRegex.exec(s))) {
+          if (match.index > last) {
+            append({ text: s.slice(last, match.index), base: start + last });
+          }
+          const runStart = start + match.index;
+          const runEnd = runStart + match[0].length;
+          const before = charAt(runStart - 1);
+          const after = charAt(runEnd);
+          const leftFlanking =
+            !isWhitespace(after) &&
+            (!isPunctuation(after) || isWhitespace(before) || isPunctuation(before));
+          const rightFlanking =
+            !isWhitespace(before) &&
+            (!isPunctuation(before) || isWhitespace(after) || isPunctuation(after));
+          const plugin = pluginMarkers.find(({ marker }) => marker === match[0]);
+          const char = plugin ? plugin.marker : match[0][0];
+          // '_' can't open or close inside a word
+          const underscore = char === "_";
+          append({
+            text: match[0],
+            base: runStart,
+            delim: {
+              char,
+              type: plugin ? plugin.type : null,
+              count: match[0].length,
+              origCount: match[0].length,
+              canOpen: underscore
+                ? leftFlanking && (!rightFlanking || isPunctuation(before))
+                : leftFlanking,
+              canClose: underscore
+                ? rightFlanking && (!leftFlanking || isPunctuation(after))
+                : rightFlanking,
+            },
+          });
+          last = match.index + match[0].length;
+        }
+        if (last < s.length) {
+          append({ text: s.slice(last), base: start + last });
+        }
+      };
+
+      // Split the frame into atomic tokens and text
+      while (str.length > 0) {
+        const earliestAtomic = findEarliestAtomic(str, base, frame.inLink);
+        if (!earliestAtomic) {
+          appendText(str, base);
+          break;
+        }
+        const { match, index } = earliestAtomic;
+        if (index > 0) appendText(str.slice(0, index), base);
+        const matchStart = base + index;
+        const { token, nested } = buildAtomicToken(earliestAtomic, matchStart, frame.inLink);
+        append({ token });
+        if (nested) stack.push(nested);
+        str = str.slice(index + match[0].length);
+        base = matchStart + match[0].length;
+      }
+
+      // Moves a node into a token list, joining neighbouring text tokens
+      const flush = (node, into) => {
+        const tokens = node.token
+          ? [node.token]
+          : splitEscapesToTokens(node.text, node.base);
+        for (const token of tokens) {
+          const previous = into[into.length - 1];
+          if (token.type === "text" && previous && previous.type === "text") {
+            previous.content += token.content;
+            if (withPositions) previous.position.end = token.position.end;
+          } else {
+            into.push(token);
+          }
+        }
+      };
+
+      // Process emphasis: pair every closer with the nearest matching opener.
+      // openersBottom remembers where the search for openers of a given kind
+      // of closer already failed, so it never scans that part again.
+      const openersBottom = {};
+      let closer = head;
+      while (closer) {
+        const d = closer.delim;
+        if (!d || !d.canClose) {
+          closer = closer.next;
+          continue;
+        }
+
+        const bottomKey = `${d.char}|${d.canOpen}|${d.origCount % 3}`;
+        let opener = closer.prev;
+        let found = null;
+        while (opener && opener !== openersBottom[bottomKey]) {
+          const o = opener.delim;
+          if (o && o.char === d.char && o.canOpen) {
+            // "Rule of 3": runs that can both open and close only pair up
+            // when their lengths don't add up to a multiple of 3
+            const oddMatch =
+              !d.type &&
+              (o.canClose || d.canOpen) &&
+              (o.origCount + d.origCount) % 3 === 0 &&
+              !(o.origCount % 3 === 0 && d.origCount % 3 === 0);
+            if (!oddMatch) {
+              found = opener;
+              break;
+            }
+          }
+          opener = opener.prev;
+        }
+
+        if (!found) {
+          openersBottom[bottomKey] = closer.prev;
+          // A run that can't open is plain text from now on
+          if (!d.canOpen) closer.delim = null;
+          closer = closer.next;
+          continue;
+        }
+
+        const o = found.delim;
+        const use = d.type ? d.count : d.count >= 2 && o.count >= 2 ? 2 : 1;
+        const token = {
+          type: d.type || (use === 2 ? "bold" : "italic"),
+          content: [],
+        };
+        // The opener loses its last chars, the closer its first ones
+        o.count -= use;
+        found.text = found.text.slice(0, o.count);
+        d.count -= use;
+        closer.text = closer.text.slice(use);
+        closer.base += use;
+        if (withPositions) {
+          token.position = positionOf(found.base + o.count, closer.base);
+        }
+
+        // Everything in between becomes the content, delimiters in it are text
+        for (let node = found.next; node !== closer; node = node.next) {
+          flush(node, token.content);
+        }
+        const emphasis = { token, prev: found, next: closer };
+        found.next = emphasis;
+        closer.prev = emphasis;
+
+        if (o.count === 0) remove(found);
+        if (d.count === 0) {
+          const next = closer.next;
+          remove(closer);
+          closer = next;
+        }
+      }
+
+      for (let node = head; node; node = node.next) {
+        flush(node, frame.tokens);
+      }
+    }
+
     return inlineTokens;
   }
 
@@ -338,9 +1456,10 @@ function tokenizeUserInput(input) {
    * @param {string[]} lines - Array of lines in input
    * @param {number} startIndex - Line to start parsing from
    * @param {boolean} ordered - whether we're parsing ordered list (true) or unordered (false)
+   * @param {Object[]} sources - Sources of the lines, for positions
    * @returns {Object} - { listToken, endIndex }
    */
-  function parseNestedList(lines, startIndex, ordered) {
+  function parseNestedList(lines, startIndex, ordered, sources) {
     const listToken = {
       megaType: "list",
       ordered: ordered,
@@ -380,7 +1499,16 @@ function tokenizeUserInput(input) {
       const content = m[3];
 
       // Create list item token with inline content
-      const newItem = { content: tokenizeInline(content), items: [] };
+      const newItem = {
+        content: tokenizeInline(
+          content,
+          offsetMapper(sources, i, line.length - content.length)
+        ),
+        items: [],
+      };
+      if (trackPositions) {
+        newItem.position = blockPosition(lines, sources, i, i);
+      }
 
       // Find position in stack for current indent
       while (stack.length > 0 && indent <= stack[stack.length - 1].indent) {
@@ -419,339 +1547,1244 @@ function tokenizeUserInput(input) {
     return { listToken, endIndex: i - 1 };
   }
 
+  // ------------------------- BUILT-IN BLOCK RULES ---------------------------
+  // Each block rule receives all lines, the index of the current (non-empty)
+  // line and the block helpers. It returns null when the line doesn't start
+  // its block, otherwise { token, endIndex } where endIndex is the index of
+  // the last consumed line. Block positions are added by the main loop.
+  // Containers also return nested: { lines, sources }, lines that the main
+  // loop parses as blocks into token.content (or an array of such runs, each
+  // with the array to parse 'into').
+
   /**
-   * Processes blockquote content by cleaning markers and delegating to iterative parser.
-   *
-   * This function handles the common blockquote pattern where lines begin with '>'.
-   * It performs the necessary cleanup and delegates to the iterative parser to
-   * avoid recursion while still supporting nested markdown within blockquotes.
-   *
-   * Process:
-   * 1. Remove '> ' prefix from each line
-   * 2. Rejoin lines to reform multiline content
-   * 3. Parse the cleaned content using iterative algorithm
-   *
-   * @param {Array<string>} blockquoteLines - Array of lines that start with '>'
-   *   marker. May include empty lines and lines with various content.
-   *
-   * @returns {Array} Array of parsed token objects representing the blockquote
-   *   content. Can include any block elements (headings, paragraphs, lists, etc.)
-   *
-   * @example
-   * const lines = ['> # Header', '> Some text', '> - List item'];
-   * tokenizeBlockquoteLines(lines);
-   * // Returns tokens for header, paragraph, and list within blockquote
-   */
-  function tokenizeBlockquoteLines(blockquoteLines) {
-    // Strip the blockquote marker '> ' from each line (with optional space)
-    const blockquoteContent = blockquoteLines
-      .map((line) => line.replace(/^>\s?/, ""))
-      .join("\n");
-    // Process the cleaned content using the iterative helper to avoid recursion
-    return tokenizeUserInputIterative(blockquoteContent);
+   * Fenced code block: line starting with ```
+   */
+  function tokenizeCodeBlock(lines, i) {
+    const fencedStartMatch = matchFenceOpening(lines[i].trim());
+    if (!fencedStartMatch) return null;
+
+    // The info string holds the language and attributes, see parseInfoString()
+    const [, , fence, info] = fencedStartMatch;
+    const codeLines = [];
+    let j = i + 1;
+    while (j < lines.length && nextFenceState(fence, lines[j].trim())) {
+      codeLines.push(lines[j]);
+      j++;
+    }
+    if (j < lines.length) {
+      j++; // skip closing fence
+    }
+    const codeContent = codeLines.join("\n");
+    return {
+      token: {
+        megaType: "codeBlock",
+        content: codeContent,
+        ...codeBlockInfo(info),
+      },
+      endIndex: j - 1,
+    };
   }
 
   /**
-   * Iterative parser for multiline markdown content without recursion.
-   *
-   * This function duplicates the main block parsing logic but avoids recursion
-   * to prevent stack overflow when parsing nested blockquotes or complex content.
-   * It's specifically designed for parsing content within blockquotes.
+   * Code block properties from an info string: the language, and the
+   * attributes from parseInfoString() with the info string itself when there
+   * is more to it than the language.
    *
-   * Supported block elements:
-   * - Headers (# ## ### etc.)
-   * - Ordered and unordered lists
-   * - Task lists with checkboxes
-   * - Horizontal rules
-   * - Paragraphs
-   * - Nested blockquotes (rendered as paragraphs to avoid recursion)
-   *
-   * @param {string} multilineInput - Multiline string inside blockquote.
-   * @returns {Array} tokens - Parsed tokens.
+   * @param {string} info - Info string after the opening fence
+   * @returns {Object} Properties for the codeBlock token
    */
-  function tokenizeUserInputIterative(multilineInput) {
-    const innerLines = multilineInput.split("\n");
-    const innerTokens = [];
-    let idx = 0;
+  function codeBlockInfo(info) {
+    const parsed = parseInfoString(info);
+    return info.trim() !== parsed.language ? { ...parsed, info: info.trim() } : parsed;
+  }
 
-    while (idx < innerLines.length) {
-      const line = innerLines[idx];
-      const trimmed = line.trim();
+  /**
+   * Math block (with the math setting): TeX between a $$ line and a line
+   * ending in $$, or on one line like $$ E = mc^2 $$. TeX can't hold blank
+   * lines, so without a closing $$ before one the lines are left to the
+   * other rules.
+   */
+  function tokenizeMathBlock(lines, i) {
+    if (!settings.math) return null;
+    const line = lines[i].trim();
+    if (!line.startsWith("$$")) return null;
+
+    const single = /^\$\$(.*\S.*)\$\$$/.exec(line);
+    if (single) {
+      return { token: { megaType: "mathBlock", content: single[1].trim() }, endIndex: i };
+    }
+    if (/\$\$/.test(line.slice(2))) return null;
 
-      if (trimmed.length === 0) {
-        idx++;
-        continue; // Skip empty lines
-      }
+    let j = i + 1;
+    while (j < lines.length && lines[j].trim().length > 0 && !lines[j].trim().endsWith("$$")) {
+      j++;
+    }
+    if (j >= lines.length || lines[j].trim().length === 0) return null;
 
-      // Horizontal rule (3 or more repeated *, -, or _)
-      if (/^([*\-_])\1{2,}$/.test(trimmed)) {
-        innerTokens.push({ megaType: "horizontalRule" });
-        idx++;
-        continue;
-      }
+    const texLines = [line.slice(2), ...lines.slice(i + 1, j), lines[j].trim().slice(0, -2)];
+    return {
+      token: { megaType: "mathBlock", content: texLines.join("\n").trim() },
+      endIndex: j,
+    };
+  }
 
-      // Nested blockquotes in blockquotes parsed as paragraphs with inline tokens (no recursion)
-      if (/^>\s?/.test(trimmed)) {
-        innerTokens.push({
-          megaType: "paragraph",
-          content: tokenizeInline(trimmed.replace(/^>\s?/, "")),
-        });
-        idx++;
-        continue;
+  /**
+   * Callout container: a :::kind or ::: kind line with an optional title, the
+   * content parsed as blocks, and a closing ::: line. Containers can be nested, and
+   * ::: lines inside fenced code don't count. Without a closing line the
+   * container runs to the end of the document, like a fenced code block.
+   */
+  function tokenizeCalloutContainer(lines, i, { offsetAt, sources }) {
+    const open = lines[i].match(/^(\s*:{3,}[ \t]*)([A-Za-z][\w-]*)(?:[ \t]+(.*?))?[ \t]*$/);
+    if (!open) return null;
+
+    let depth = 0;
+    let fence = null;
+    let j = i + 1;
+    for (; j < lines.length; j++) {
+      const line = lines[j].trim();
+      const inFence = fence;
+      fence = nextFenceState(fence, line);
+      if (inFence || fence) continue;
+      if (/^:{3,}$/.test(line)) {
+        if (depth === 0) break;
+        depth--;
+      } else if (/^:{3,}[ \t]*[A-Za-z]/.test(line)) {
+        depth++;
       }
+    }
 
-      // Ordered lists (lines starting with number and dot)
-      if (/^\d+\.\s+/.test(trimmed)) {
-        const items = [];
-        while (idx < innerLines.length) {
-          const l = innerLines[idx].trim();
-          const m = l.match(/^(\d+)\.\s+(.*)$/);
-          if (!m) break;
-          items.push(tokenizeInline(m[2]));
-          idx++;
-        }
-        innerTokens.push({ megaType: "olist", items });
-        continue;
-      }
+    const token = { megaType: "callout", kind: open[2].toLowerCase(), content: [] };
+    if (open[3]) {
+      const titleStart = lines[i].indexOf(open[3], open[1].length + open[2].length);
+      token.title = tokenizeInline(open[3], offsetAt(i, titleStart));
+    }
+    return {
+      token,
+      endIndex: Math.min(j, lines.length - 1),
+      nested: { lines: lines.slice(i + 1, j), sources: sources.slice(i + 1, j) },
+    };
+  }
 
-      // Unordered lists (lines starting with '-' or '*')
-      if (/^[-*]\s+/.test(trimmed)) {
-        const items = [];
-        while (idx < innerLines.length) {
-          const l = innerLines[idx].trim();
-          const m = l.match(/^([-*])\s+(.*)$/);
-          if (!m) break;
-          items.push(tokenizeInline(m[2]));
-          idx++;
-        }
-        innerTokens.push({ megaType: "list", items });
-        continue;
-      }
+  /**
+   * Horizontal rule - line with 3 or more same characters *, -, or _
+   */
+  function tokenizeHorizontalRule(lines, i) {
+    if (!/^([*\-_])\1{2,}$/.test(lines[i].trim())) return null;
+    return { token: { megaType: "horizontalRule" }, endIndex: i };
+  }
 
-      // Headings (1 to 6 # characters)
-      const headingMatch = trimmed.match(/^(#{1,6})\s+(.*)$/);
-      if (headingMatch) {
-        const level = headingMatch[1].length;
-        innerTokens.push({
-          megaType: "heading",
-          level,
-          content: tokenizeInline(headingMatch[2]),
+  /**
+   * Blockquote lines start with '>'. The quoted lines, with their markers
+   * stripped, are returned as nested lines so the main loop parses them like
+   * a document of their own (nested quotes, lists, code blocks, tables...).
+   * A first line like [!NOTE] makes it a callout instead (GitHub's alerts).
+   */
+  function tokenizeBlockquote(lines, i, { offsetAt, sources }) {
+    if (!/^>\s?/.test(lines[i].trim())) return null;
+
+    // Collect all consecutive blockquote lines to form blockquote content
+    const quotedLines = [];
+    const quotedSources = [];
+    let j = i;
+    while (j < lines.length) {
+      const l = lines[j];
+      if (/^>/.test(l.trim()) || l.trim() === "") {
+        // Strip the blockquote marker '> ' (with optional space)
+        const stripped = l.replace(/^\s*>\s?/, "");
+        quotedLines.push(stripped);
+        // Inner lines start further right in the document by the stripped length
+        quotedSources.push({
+          line: sources[j].line,
+          column: sources[j].column + l.length - stripped.length,
         });
-        idx++;
-        continue;
+        j++;
+      } else {
+        break;
       }
+    }
 
-      // Default to paragraph block with inline tokens
-      innerTokens.push({
-        megaType: "paragraph",
-        content: tokenizeInline(trimmed),
-      });
+    // GitHub-style callout: > [!WARNING] with an optional title after it
+    const callout = quotedLines[0].match(
+      /^\[!(note|tip|important|warning|caution)\](?:[ \t]+(.*?))?[ \t]*$/i
+    );
+    if (callout) {
+      const token = { megaType: "callout", kind: callout[1].toLowerCase(), content: [] };
+      if (callout[2]) {
+        const titleStart = lines[i].length - quotedLines[0].length + callout[0].indexOf(callout[2], callout[1].length + 3);
+        token.title = tokenizeInline(callout[2], offsetAt(i, titleStart));
+      }
+      return {
+        token,
+        endIndex: j - 1,
+        nested: { lines: quotedLines.slice(1), sources: quotedSources.slice(1) },
+      };
+    }
 
-      idx++;
+    return {
+      token: { megaType: "blockquote", content: [] },
+      endIndex: j - 1,
+      nested: { lines: quotedLines, sources: quotedSources },
+    };
+  }
+
+  /**
+   * Task list (- [ ] and - [x]), checked before regular lists
+   */
+  function tokenizeTaskList(lines, i, { offsetAt, sources }) {
+    const taskRegex = /^([-*])\s+\[( |x|X)\]\s+(.*)$/;
+    if (!taskRegex.test(lines[i].trim())) return null;
+
+    const items = [];
+    let j = i;
+    while (j < lines.length) {
+      const m = lines[j].trim().match(taskRegex);
+      if (!m) break;
+      const checked = m[2].toLowerCase() === "x";
+      // tokenize inline content of the task description (a suffix of the line)
+      const contentTokens = tokenizeInline(
+        m[3],
+        offsetAt(j, lines[j].trimEnd().length - m[3].length)
+      );
+      const item = { checked, content: contentTokens };
+      if (trackPositions) {
+        item.position = blockPosition(lines, sources, j, j);
+      }
+      items.push(item);
+      j++;
     }
 
-    return innerTokens;
+    return { token: { megaType: "list", items }, endIndex: j - 1 };
   }
 
-  // ----------------------- MAIN BLOCK PARSING LOOP -------------------------
-  // This is the core parsing loop that processes markdown line by line to identify
-  // and parse block-level elements. The order of checks is important for proper
-  // precedence (e.g., code blocks before lists, task lists before regular lists).
-  //
-  // Processing Order (by precedence):
-  // 1. Fenced code blocks (``` blocks)
-  // 2. Horizontal rules (--- *** ___)
-  // 3. Blockquotes (> text)
-  // 4. Task lists (- [ ] and - [x])
-  // 5. Ordered lists (1. 2. 3.)
-  // 6. Unordered lists (- *)
-  // 7. Headers (# ## ###)
-  // 8. Tables (| col | col |)
-  // 9. Paragraphs (fallback)
-  for (let i = 0; i < lines.length; i++) {
-    const line = lines[i];
-    const trimmed = line.trim();
-
-    if (trimmed.length === 0) continue; // Skip empty lines
-
-    // Fenced code block: line starting with ```
-    const fencedStartMatch = trimmed.match(/^\`\`\`(\w*)\s*$/);
-    if (fencedStartMatch) {
-      const language = fencedStartMatch[1] || "";
-      const codeLines = [];
-      let j = i + 1;
-      while (j < lines.length && !/^\`\`\`\s*$/.test(lines[j].trim())) {
-        codeLines.push(lines[j]);
+  /**
+   * Ordered list items: lines starting with number + '.'
+   */
+  function tokenizeOrderedList(lines, i, { sources }) {
+    if (!/^\d+\.\s+/.test(lines[i].trim())) return null;
+    const { listToken, endIndex } = parseNestedList(lines, i, true, sources);
+    return { token: listToken, endIndex };
+  }
+
+  /**
+   * Unordered list items: lines starting with -, * or +
+   */
+  function tokenizeUnorderedList(lines, i, { sources }) {
+    if (!/^[-*+]\s+/.test(lines[i].trim())) return null;
+    const { listToken, endIndex } = parseNestedList(lines, i, false, sources);
+    return { token: listToken, endIndex };
+  }
+
+  /**
+   * Headings (# to ###### followed by space and text, optional {#id})
+   */
+  function tokenizeHeading(lines, i, { offsetAt }) {
+    const headingMatch = lines[i].trim().match(/^(#{1,6})\s+(.*)$/);
+    if (!headingMatch) return null;
+
+    const level = headingMatch[1].length;
+    let headingText = headingMatch[2];
+
+    // Check for optional id in the form {#custom-id} at the end
+    let id = null;
+    const idMatch = headingText.match(/\s{0,10}\{\#([a-zA-Z0-9\-_]{1,50})\}\s{0,10}$/);
+    if (idMatch) {
+      id = idMatch[1];
+      // Remove the {#id} part from heading text before tokenizing inline
+      headingText = headingText.slice(0, idMatch.index).trim();
+    }
+
+    return {
+      token: {
+        megaType: "heading",
+        level,
+        // Heading text starts right after the '#' marker and its spaces
+        content: tokenizeInline(
+          headingText,
+          offsetAt(
+            i,
+            lines[i].length -
+              lines[i].trimStart().length +
+              headingMatch[0].length -
+              headingMatch[2].length
+          )
+        ),
+        ...(id ? { id } : {}),
+      },
+      endIndex: i,
+    };
+  }
+
+  /**
+   * Table of contents marker, [[toc]] or [TOC] alone on a line
+   * (case-insensitive). Rendered as a list of the document's headings.
+   */
+  function tokenizeToc(lines, i) {
+    if (!/^ {0,3}(?:\[\[toc\]\]|\[toc\])[ \t]*$/i.test(lines[i])) return null;
+    return { token: { megaType: "toc" }, endIndex: i };
+  }
+
+  /**
+   * Splits a table row into cells on '|'. Leading and trailing pipes are
+   * optional, empty cells are kept, and escaped pipes (\|) and pipes inside
+   * code spans don't split. An escaped pipe becomes a plain '|' in the cell,
+   * also inside code spans.
+   *
+   * @param {string} line - Row line
+   * @returns {Array<Object>} Cells as { text, columns }, where columns[k] is
+   *   the column of text[k] in the line (plus one entry past the end)
+   */
+  function splitTableRow(line) {
+    const cells = [];
+    let text = "";
+    let columns = [];
+    const pushCell = (endColumn) => {
+      // Trim the cell, keeping its columns in step
+      const leading = text.length - text.trimStart().length;
+      const trimmed = text.trim();
+      columns = columns.slice(leading, leading + trimmed.length);
+      columns.push(trimmed.length > 0 ? columns[columns.length - 1] + 1 : endColumn);
+      cells.push({ text: trimmed, columns });
+      text = "";
+      columns = [];
+    };
+    // Copies line[from, to) to the cell, unescaping pipes
+    const copy = (from, to) => {
+      for (let k = from; k < to; k++) {
+        if (line[k] === "\\" && line[k + 1] === "|" && k + 1 < to) k++;
+        columns.push(k);
+        text += line[k];
+      }
+    };
+
+    const end = line.trimEnd().length;
+    let k = line.length - line.trimStart().length;
+    if (line[k] === "|") k++; // Optional leading pipe
+    let endsWithPipe = false;
+    while (k < end) {
+      const ch = line[k];
+      endsWithPipe = false;
+      if (ch === "\\" && line[k + 1] === "|") {
+        copy(k, k + 2);
+        k += 2;
+      } else if (ch === "`") {
+        // A code span runs to the next backtick string of the same length
+        let run = 1;
+        while (line[k + run] === "`") run++;
+        const fence = "`".repeat(run);
+        let close = line.indexOf(fence, k + run);
+        while (close !== -1 && line[close + run] === "`") {
+          // Skip the whole longer backtick string
+          let after = close + run;
+          while (line[after] === "`") after++;
+          close = line.indexOf(fence, after);
+        }
+        const spanEnd = close === -1 || close >= end ? k + run : close + run;
+        copy(k, spanEnd);
+        k = spanEnd;
+      } else if (ch === "|") {
+        pushCell(k);
+        endsWithPipe = true;
+        k++;
+      } else {
+        copy(k, k + 1);
+        k++;
+      }
+    }
+    // The optional trailing pipe doesn't start another cell
+    if (!endsWithPipe || cells.length === 0) pushCell(end);
+    return cells;
+  }
+
+  /**
+   * Splits a table row line into cells and tokenizes each cell inline.
+   *
+   * @param {string[]} lines - Lines being parsed
+   * @param {number} index - Index of the row line
+   * @param {Function} offsetAt - offsetAt() block helper, for positions
+   * @returns {Array<Array>} Inline tokens of every cell
+   */
+  function tokenizeTableRow(lines, index, offsetAt) {
+    const lineOffset = offsetAt(index, 0);
+    return splitTableRow(lines[index]).map(({ text, columns }) =>
+      tokenizeInline(
+        text,
+        lineOffset && ((textIndex) => lineOffset(columns[textIndex]))
+      )
+    );
+  }
+
+  /**
+   * Reads the column alignments from a table separator row:
+   * :--- is left, :---: center, ---: right and --- leaves it to the default.
+   *
+   * @param {string} line - Separator row line
+   * @returns {Array<string|null>} "left", "center", "right" or null per column
+   */
+  function parseTableAlignments(line) {
+    return splitTableRow(line).map(({ text }) => {
+      const left = text.startsWith(":");
+      const right = text.endsWith(":");
+      if (left && right) return "center";
+      if (left) return "left";
+      if (right) return "right";
+      return null;
+    });
+  }
+
+  /**
+   * Table (| col | col |), with or without a header separator row.
+   * Every row gets as many cells as the header (or the first row without a
+   * header): missing cells are added empty and extra ones dropped.
+   */
+  function tokenizeTable(lines, i, { offsetAt, sources }) {
+    const trimmed = lines[i].trim();
+    if (!/\|/.test(trimmed)) return null;
+
+    // Peek next line for separator
+    const nextLine = i + 1 < lines.length ? lines[i + 1].trim() : "";
+    // (a single column separator needs a pipe, so it isn't a horizontal rule)
+    const hasHeader =
+      /^\|?\s*:?-+:?\s*(\|\s*:?-+:?\s*)*\|?$/.test(nextLine) &&
+      nextLine.includes("|");
+
+    // Table without header needs the next line to have pipes too
+    if (!hasHeader && !(nextLine && /\|/.test(nextLine))) return null;
+
+    const token = { megaType: "table", header: [], rows: [], align: [] };
+    if (trackPositions) token.rowPositions = [];
+
+    if (hasHeader) {
+      // tokenize header cells inline
+      token.header = tokenizeTableRow(lines, i, offsetAt);
+      token.align = parseTableAlignments(nextLine);
+      if (trackPositions) {
+        token.headerPosition = blockPosition(lines, sources, i, i);
+      }
+    }
+
+    let j = hasHeader ? i + 2 : i;
+    while (j < lines.length) {
+      const rowLine = lines[j].trim();
+      if (!rowLine || !rowLine.includes("|")) break; // End of table
+      // tokenize each row cell inline
+      token.rows.push(tokenizeTableRow(lines, j, offsetAt));
+      if (trackPositions) {
+        token.rowPositions.push(blockPosition(lines, sources, j, j));
+      }
+      j++;
+    }
+
+    // Normalize all rows (and the alignments) to the same column count
+    const columnCount = hasHeader ? token.header.length : token.rows[0].length;
+    const fit = (cells, empty) =>
+      Array.from({ length: columnCount }, (_, col) =>
+        col < cells.length ? cells[col] : empty()
+      );
+    token.rows = token.rows.map((row) => fit(row, () => []));
+    token.align = fit(token.align, () => null);
+
+    return { token, endIndex: j - 1 };
+  }
+
+  /**
+   * Footnote definition ([^id]: text). Following lines indented by four
+   * spaces (or a tab) continue it, also after blank lines, and are parsed as
+   * blocks into the definition's content. Definitions can appear anywhere,
+   * the renderer collects them into the footnotes section.
+   */
+  function tokenizeFootnoteDefinition(lines, i, { sources }) {
+    const m = lines[i].match(/^ {0,3}\[\^([^\]\s]+)\]:[ \t]*/);
+    if (!m) return null;
+
+    const definitionLines = [lines[i].slice(m[0].length)];
+    const definitionSources = [shiftSources(sources, i, lines[i], definitionLines[0])];
+    let endIndex = i;
+    let j = i + 1;
+    while (j < lines.length) {
+      const line = lines[j];
+      if (line.trim().length === 0) {
         j++;
+        continue;
       }
-      if (j < lines.length && /^\`\`\`\s*$/.test(lines[j].trim())) {
-        j++; // skip closing fence
+      if (!/^( {4}|\t)/.test(line)) break;
+      // Blank lines before this one belong to the definition too
+      for (let k = endIndex + 1; k < j; k++) {
+        definitionLines.push("");
+        definitionSources.push(sources[k]);
       }
-      i = j - 1; // adjust loop index
-      const codeContent = codeLines.join("\n");
-      tokens.push({
+      const stripped = line.replace(/^( {4}|\t)/, "");
+      definitionLines.push(stripped);
+      definitionSources.push(shiftSources(sources, j, line, stripped));
+      endIndex = j;
+      j++;
+    }
+
+    return {
+      token: { megaType: "footnoteDefinition", id: m[1], content: [] },
+      endIndex,
+      nested: { lines: definitionLines, sources: definitionSources },
+    };
+  }
+
+  /**
+   * Checks whether a line starts any block other than a paragraph, which
+   * ends the paragraph before it. Rules are told they would interrupt a
+   * paragraph (helpers.interrupting), as some blocks can't do that.
+   */
+  function startsOtherBlock(lines, i, helpers, lazy = false) {
+    // Lazy continuation lines are outside the container holding the
+    // paragraph, so the paragraph-only restrictions of lists don't apply
+    const interruptHelpers = { ...helpers, interrupting: true, lazy };
+    return blockRules.some(
+      (rule) =>
+        rule.name !== "paragraph" && rule.tokenize(lines, i, interruptHelpers)
+    );
+  }
+
+  /**
+   * Tokenizes lines startIndex to endIndex as the inline content of one block.
+   * The lines are joined with newlines, which tokenizeInline() turns into soft
+   * breaks, or hard breaks after two trailing spaces or a trailing backslash.
+   *
+   * @param {string[]} lines - Lines being parsed
+   * @param {number} startIndex - First line
+   * @param {number} endIndex - Last line
+   * @param {Function} offsetAt - offsetAt() block helper, for positions
+   * @returns {Array} Inline tokens
+   */
+  function tokenizeInlineLines(lines, startIndex, endIndex, offsetAt) {
+    // Join the lines without their indentation, keeping trailing spaces of
+    // all but the last line as they can mark a hard break.
+    // segments remember where each line starts in the joined text.
+    let text = "";
+    const segments = [];
+    for (let k = startIndex; k <= endIndex; k++) {
+      const line = lines[k];
+      const indent = line.length - line.trimStart().length;
+      if (k > startIndex) text += "\n";
+      segments.push({ start: text.length, map: offsetAt(k, indent) });
+      text += k === endIndex ? line.trim() : line.trimStart();
+    }
+
+    // Map joined text indexes through the segment of the line they are on
+    let textOffsetAt;
+    if (segments[0].map) {
+      textOffsetAt = (index) => {
+        let s = segments.length - 1;
+        while (s > 0 && segments[s].start > index) s--;
+        return segments[s].map(index - segments[s].start);
+      };
+    }
+
+    if (text.length <= MAX_INLINE_LENGTH) return tokenizeInline(text, textOffsetAt);
+
+    // Longer paragraphs are tokenized in chunks of whole lines, each ending
+    // with the newline (the break) before the next chunk. Formatting can't
+    // span two chunks, but no text is lost.
+    const lineEnd = (k) => (k + 1 < segments.length ? segments[k + 1].start : text.length);
+    const tokens = [];
+    let first = 0;
+    while (first < segments.length) {
+      const start = segments[first].start;
+      let last = first;
+      while (last + 1 < segments.length && lineEnd(last + 1) - start <= MAX_INLINE_LENGTH) last++;
+      const chunkOffsetAt = textOffsetAt && ((index) => textOffsetAt(start + index));
+      tokens.push(...tokenizeInline(text.slice(start, lineEnd(last)), chunkOffsetAt));
+      first = last + 1;
+    }
+    return tokens;
+  }
+
+  /**
+   * Default fallthrough: consecutive lines form a paragraph with inline tokens.
+   */
+  function tokenizeParagraph(lines, i, helpers) {
+    let j = i;
+    while (
+      j + 1 < lines.length &&
+      lines[j + 1].trim().length > 0 &&
+      !startsOtherBlock(lines, j + 1, helpers)
+    ) {
+      j++;
+    }
+
+    return {
+      token: {
+        megaType: "paragraph",
+        content: tokenizeInlineLines(lines, i, j, helpers.offsetAt),
+      },
+      endIndex: j,
+    };
+  }
+
+  /**
+   * HTML block (with the allowHtml setting): lines of raw HTML passed through
+   * to the output. Depending on how it starts (see matchHtmlBlockStart()) it
+   * ends at a blank line, or at the line holding its end marker like -->.
+   */
+  function tokenizeHtmlBlock(lines, i, { interrupting }) {
+    if (!settings.allowHtml) return null;
+    const start = matchHtmlBlockStart(lines[i]);
+    if (!start || (interrupting && !start.interrupts)) return null;
+
+    let end = i;
+    if (start.end) {
+      while (end + 1 < lines.length && !start.end.test(lines[end])) end++;
+    } else {
+      while (end + 1 < lines.length && lines[end + 1].trim().length > 0) end++;
+    }
+    return {
+      token: { megaType: "html", content: lines.slice(i, end + 1).join("\n") },
+      endIndex: end,
+    };
+  }
+
+  // ----------------------- COMMONMARK BLOCK RULES --------------------------
+  // Used instead of the built-in rules with the 'commonmark' flavor. They
+  // follow the CommonMark block structure: indentation is measured in columns
+  // (tabs advance to the next multiple of 4), block markers may be indented
+  // by up to 3 spaces, and containers (blockquotes and list items) return
+  // their lines as nested lines for the main loop.
+
+  /**
+   * Measures the indentation of text in columns, tabs advancing to the next
+   * multiple of 4.
+   *
+   * @param {string} line - Text to measure
+   * @param {number} [startColumn] - Column where the text starts in its line
+   * @returns {number} Width of the leading whitespace
+   */
+  function indentWidth(line, startColumn = 0) {
+    let column = startColumn;
+    for (const ch of line) {
+      if (ch === " ") column++;
+      else if (ch === "\t") column += 4 - (column % 4);
+      else break;
+    }
+    return column - startColumn;
+  }
+
+  /**
+   * Removes up to the given number of columns of indentation. A tab that is
+   * only partly removed is replaced by the spaces that are left of it.
+   *
+   * @param {string} line - Text to strip
+   * @param {number} columns - Columns to remove
+   * @param {number} [startColumn] - Column where the text starts in its line
+   * @returns {string} Text without that indentation
+   */
+  function stripIndent(line, columns, startColumn = 0) {
+    let column = startColumn;
+    const target = startColumn + columns;
+    let i = 0;
+    while (i < line.length && column < target) {
+      if (line[i] === " ") {
+        column++;
+      } else if (line[i] === "\t") {
+        const next = column + 4 - (column % 4);
+        if (next > target) return " ".repeat(next - target) + line.slice(i + 1);
+        column = next;
+      } else {
+        break;
+      }
+      i++;
+    }
+    return line.slice(i);
+  }
+
+  /**
+   * Sources of lines stripped of a prefix: they start further right in the
+   * document by the stripped length.
+   */
+  function shiftSources(sources, index, originalLine, strippedLine) {
+    return {
+      line: sources[index].line,
+      column:
+        sources[index].column +
+        Math.max(originalLine.length - strippedLine.length, 0),
+    };
+  }
+
+  /**
+   * Parses a list item marker (-, + or *, or 1. / 1) with up to 9 digits).
+   *
+   * @param {string} line - Line to check
+   * @returns {Object|null} Marker info: ordered, start, char (bullet or
+   *   delimiter), contentOffset (column where item content starts),
+   *   content (first line of the item) and blank (item starts empty)
+   */
+  function parseListMarker(line) {
+    const m = line.match(/^( {0,3})(?:([-+*])|(\d{1,9})([.)]))(?=[ \t]|$)/);
+    if (!m) return null;
+
+    const markerWidth = m[0].length;
+    const rest = line.slice(markerWidth);
+    const blank = rest.trim().length === 0;
+    let padding = indentWidth(rest, markerWidth);
+    // An empty item, or one starting with indented code, only owns one space
+    if (blank || padding > 4) padding = 1;
+
+    return {
+      ordered: !m[2],
+      start: m[3] ? parseInt(m[3], 10) : undefined,
+      char: m[2] || m[4],
+      contentOffset: markerWidth + padding,
+      content: blank ? "" : stripIndent(rest, padding, markerWidth),
+      blank,
+    };
+  }
+
+  /**
+   * Matches the opening line of a fenced code block.
+   *
+   * @returns {Array|null} Match with indent, fence and info string groups
+   */
+  function matchFenceOpening(line) {
+    const open = line.match(/^( {0,3})(`{3,}|~{3,})(.*)$/);
+    if (!open || (open[2][0] === "`" && open[3].includes("`"))) return null;
+    return open;
+  }
+
+  /**
+   * Tracks whether container lines are inside a fenced code block: returns
+   * the fence that's open after the given line, or null.
+   *
+   * @param {string|null} fence - Fence open before the line
+   * @param {string} line - Line with container markers stripped
+   */
+  function nextFenceState(fence, line) {
+    if (fence) {
+      const close = line.match(/^ {0,3}(`{3,}|~{3,})[ \t]*$/);
+      const closes =
+        close && close[1][0] === fence[0] && close[1].length >= fence.length;
+      return closes ? null : fence;
+    }
+    const open = matchFenceOpening(line);
+    return open ? open[2] : null;
+  }
+
+  /**
+   * Strips blockquote and list markers from a container line, leaving the
+   * text of the innermost block, e.g. "> - text" gives "text".
+   */
+  function stripContainerMarkers(line) {
+    for (;;) {
+      const quote = line.match(/^ {0,3}>[ \t]?/);
+      if (quote) {
+        line = line.slice(quote[0].length);
+        continue;
+      }
+      const marker = parseListMarker(line);
+      if (marker && !marker.blank) {
+        line = marker.content;
+        continue;
+      }
+      return line;
+    }
+  }
+
+  /**
+   * Checks whether a container line leaves a paragraph open, so the next line
+   * can be a lazy continuation line even without the container's markers.
+   */
+  function endsInParagraph(line) {
+    const text = stripContainerMarkers(line);
+    return (
+      text.trim().length > 0 &&
+      indentWidth(text) < 4 &&
+      !matchFenceOpening(text) &&
+      !/^ {0,3}#{1,6}(?:[ \t]|$)/.test(text) &&
+      !/^ {0,3}([-*_])(?:[ \t]*\1){2,}[ \t]*$/.test(text) &&
+      !/^ {0,3}(?:=+|-+)[ \t]*$/.test(text)
+    );
+  }
+
+  /**
+   * Indented code block: lines indented by 4 or more columns. It can't
+   * interrupt a paragraph.
+   */
+  function tokenizeIndentedCode(lines, i, { interrupting }) {
+    if (interrupting || indentWidth(lines[i]) < 4) return null;
+
+    let end = i;
+    for (let j = i + 1; j < lines.length; j++) {
+      if (lines[j].trim().length === 0) continue; // Blank lines are kept inside
+      if (indentWidth(lines[j]) < 4) break;
+      end = j;
+    }
+
+    const content = lines
+      .slice(i, end + 1)
+      .map((line) => stripIndent(line, 4))
+      .join("\n");
+    return {
+      token: { megaType: "codeBlock", content, language: "" },
+      endIndex: end,
+    };
+  }
+
+  /**
+   * Fenced code block with ``` or ~~~ (3 or more), closed by a fence of the
+   * same char at least as long, or by the end of the container.
+   */
+  function tokenizeFencedCode(lines, i) {
+    const open = matchFenceOpening(lines[i]);
+    if (!open) return null;
+
+    const [, indent, fence, infoString] = open;
+    const codeLines = [];
+    let j = i + 1;
+    while (j < lines.length) {
+      if (!nextFenceState(fence, lines[j])) break; // Closing fence
+      // Content is unindented by the indentation of the opening fence
+      codeLines.push(stripIndent(lines[j], indent.length));
+      j++;
+    }
+
+    const info = unescapeString(infoString.trim());
+    return {
+      token: {
         megaType: "codeBlock",
-        content: codeContent,
-        language: language || "",
-      });
-      continue;
+        content: codeLines.join("\n"),
+        ...codeBlockInfo(info),
+        // The language is always the first word in CommonMark
+        language: info.split(/\s+/)[0],
+      },
+      endIndex: Math.min(j, lines.length - 1),
+    };
+  }
+
+  /**
+   * Thematic break: 3 or more *, - or _, optionally separated by spaces
+   */
+  function tokenizeThematicBreak(lines, i) {
+    if (!/^ {0,3}([-*_])(?:[ \t]*\1){2,}[ \t]*$/.test(lines[i])) return null;
+    return { token: { megaType: "horizontalRule" }, endIndex: i };
+  }
+
+  /**
+   * ATX heading: 1 to 6 #, followed by a space or the end of the line, with
+   * an optional closing sequence of #
+   */
+  function tokenizeAtxHeading(lines, i, { offsetAt }) {
+    const line = lines[i];
+    const m = line.match(/^( {0,3})(#{1,6})(?=[ \t]|$)(.*)$/);
+    if (!m) return null;
+
+    // Drop the closing sequence, it must be preceded by a space
+    let rest = m[3].replace(/(?:^|[ \t]+)#+[ \t]*$/, "");
+    const textStart = m[1].length + m[2].length + (rest.length - rest.trimStart().length);
+    rest = rest.trim();
+
+    return {
+      token: {
+        megaType: "heading",
+        level: m[2].length,
+        content: tokenizeInline(rest, offsetAt(i, textStart)),
+      },
+      endIndex: i,
+    };
+  }
+
+  /**
+   * Blockquote: lines starting with '>', plus lazy continuation lines of a
+   * paragraph inside the quote.
+   */
+  function tokenizeCommonMarkBlockquote(lines, i, helpers) {
+    if (!/^ {0,3}>/.test(lines[i])) return null;
+
+    const quotedLines = [];
+    const quotedSources = [];
+    let fence = null;
+    let j = i;
+    while (j < lines.length) {
+      const line = lines[j];
+      let inner;
+      const marker = line.match(/^( {0,3})>/);
+      if (marker) {
+        inner = line.slice(marker[0].length);
+        // One space (or one column of a tab) after '>' belongs to the marker
+        if (inner[0] === " ") inner = inner.slice(1);
+        else if (inner[0] === "\t") inner = stripIndent(inner, 1, marker[0].length);
+      } else if (
+        line.trim().length > 0 &&
+        !fence &&
+        endsInParagraph(quotedLines[quotedLines.length - 1]) &&
+        !startsOtherBlock(lines, j, helpers, true)
+      ) {
+        inner = line; // Lazy continuation line
+      } else {
+        break;
+      }
+      fence = nextFenceState(fence, stripContainerMarkers(inner));
+      quotedLines.push(inner);
+      quotedSources.push(shiftSources(helpers.sources, j, line, inner));
+      j++;
     }
 
-    // Detect horizontal rule - line with 3 or more same characters *, -, or _
-    if (/^([*\-_])\1{2,}$/.test(trimmed)) {
-      tokens.push({ megaType: "horizontalRule" });
-      continue;
+    return {
+      token: { megaType: "blockquote", content: [] },
+      endIndex: j - 1,
+      nested: { lines: quotedLines, sources: quotedSources },
+    };
+  }
+
+  /**
+   * List: items with the same kind of marker. Every item is a container whose
+   * lines (indented past the marker) are parsed as blocks into item.blocks.
+   * A list is tight unless blank lines separate its items or the blocks
+   * directly inside an item.
+   */
+  function tokenizeCommonMarkList(lines, i, helpers) {
+    const first = parseListMarker(lines[i]);
+    if (!first) return null;
+    // Only lists starting with 1 and non-empty items can interrupt a paragraph
+    if (
+      helpers.interrupting &&
+      !helpers.lazy &&
+      (first.blank || (first.ordered && first.start !== 1))
+    ) {
+      return null;
     }
 
-    // Blockquote lines start with '>'
-    if (/^>\s?/.test(trimmed)) {
-      // Collect all consecutive blockquote lines to form blockquote content
-      const blockquoteLines = [];
-      let j = i;
-      while (j < lines.length) {
-        const l = lines[j];
-        if (/^>/.test(l.trim()) || l.trim() === "") {
-          blockquoteLines.push(l);
-          j++;
+    const token = { megaType: "list", ordered: first.ordered, items: [], tight: true };
+    if (first.ordered) token.start = first.start;
+    const nested = [];
+    const markLoose = () => {
+      token.tight = false;
+    };
+
+    let marker = first;
+    let j = i;
+    let endIndex = i;
+    while (marker) {
+      const itemLines = [marker.content];
+      const itemSources = [shiftSources(helpers.sources, j, lines[j], marker.content)];
+      let fence = nextFenceState(null, stripContainerMarkers(marker.content));
+      let lastContent = marker.blank ? -1 : j; // Last non-blank line of the item
+      let k = j + 1;
+
+      while (k < lines.length) {
+        const line = lines[k];
+        let inner;
+        if (line.trim().length === 0) {
+          // An item can begin with at most one blank line
+          if (lastContent === -1) break;
+          inner = stripIndent(line, marker.contentOffset);
+        } else if (indentWidth(line) >= marker.contentOffset) {
+          inner = stripIndent(line, marker.contentOffset);
+          lastContent = k;
+        } else if (
+          lastContent === k - 1 &&
+          !fence &&
+          endsInParagraph(itemLines[itemLines.length - 1]) &&
+          !startsOtherBlock(lines, k, helpers, true)
+        ) {
+          inner = line; // Lazy continuation line
+          lastContent = k;
         } else {
           break;
         }
+        fence = nextFenceState(fence, stripContainerMarkers(inner));
+        itemLines.push(inner);
+        itemSources.push(shiftSources(helpers.sources, k, line, inner));
+        k++;
+      }
+
+      // Blank lines after the item's content separate it from the next one
+      const itemEnd = Math.max(lastContent, j);
+      const item = { content: [], blocks: [] };
+      if (trackPositions) {
+        item.position = blockPosition(lines, helpers.sources, j, itemEnd);
+      }
+      token.items.push(item);
+      nested.push({
+        lines: itemLines.slice(0, itemEnd - j + 1),
+        sources: itemSources.slice(0, itemEnd - j + 1),
+        into: item.blocks,
+        onSpread: markLoose,
+      });
+      endIndex = itemEnd;
+
+      // The next item needs the same kind of marker, a thematic break ends the list
+      marker = null;
+      while (k < lines.length && lines[k].trim().length === 0) k++;
+      if (k < lines.length && !tokenizeThematicBreak(lines, k)) {
+        const next = parseListMarker(lines[k]);
+        if (next && next.ordered === first.ordered && next.char === first.char) {
+          if (k - 1 > itemEnd) token.tight = false;
+          marker = next;
+          j = k;
+        }
       }
-      // Tokenize the collected blockquote lines
-      const content = tokenizeBlockquoteLines(blockquoteLines);
-      // Push tokens with megaType "blockquote"
-      tokens.push({ megaType: "blockquote", content });
-      i = j - 1; // Advance line index to end of blockquote
-      continue;
     }
 
-    // Task list, before lists
-    const taskListItemMatch = trimmed.match(/^([-*])\s+\[( |x|X)\]\s+(.*)$/);
-    if (taskListItemMatch) {
-      const items = [];
-      let j = i;
-
-      while (j < lines.length) {
-        const l = lines[j].trim();
-        const m = l.match(/^([-*])\s+\[( |x|X)\]\s+(.*)$/);
-        if (!m) break;
-        const checked = m[2].toLowerCase() === "x";
-        // tokenize inline content of the task description
-        const contentTokens = tokenizeInline(m[3]);
-        items.push({ checked, content: contentTokens });
-        j++;
+    return { token, endIndex, nested };
+  }
+
+  /**
+   * Paragraph: consecutive lines not starting another block. Followed by a
+   * setext underline (=== or ---) the lines form a heading instead.
+   */
+  function tokenizeCommonMarkParagraph(lines, i, helpers) {
+    let j = i;
+    let level = 0;
+    while (j + 1 < lines.length && lines[j + 1].trim().length > 0) {
+      const underline = lines[j + 1].match(/^ {0,3}(=+|-+)[ \t]*$/);
+      if (underline) {
+        level = underline[1][0] === "=" ? 1 : 2;
+        break;
       }
+      if (startsOtherBlock(lines, j + 1, helpers)) break;
+      j++;
+    }
 
-      tokens.push({ megaType: "list", items });
-      i = j - 1;
-      continue;
+    const content = tokenizeInlineLines(lines, i, j, helpers.offsetAt);
+    if (level) {
+      return { token: { megaType: "heading", level, content }, endIndex: j + 1 };
     }
+    return { token: { megaType: "paragraph", content }, endIndex: j };
+  }
 
-    // Ordered list items: lines starting with number + '.'
-    if (/^\d+\.\s+/.test(trimmed)) {
-      const { listToken, endIndex } = parseNestedList(lines, i, true);
-      tokens.push(listToken);
+  /**
+   * Pre-pass collecting link reference definitions ([label]: url "title").
+   *
+   * A definition is a line of its own outside code blocks, not continuing a
+   * paragraph; the title is optional and can also be on the next line. The
+   * lines of every definition are blanked in place, so they don't render and
+   * line indexes stay valid for source positions. The first definition of a
+   * label wins.
+   *
+   * @param {string[]} docLines - Lines of the document, modified in place
+   * @param {number} [startIndex=0] - First line to look at, past front matter
+   * @returns {Map<string, Object>} { href, title? } by normalized label
+   */
+  function collectLinkDefinitions(docLines, startIndex = 0) {
+    const definitions = new Map();
+    const definitionPattern =
+      /^ {0,3}\[((?:[^\\\[\]]|\\.)+)\]:[ \t]*(?:<([^<>\n]*)>|([^<\s]\S*))((?:[ \t]+(?:"(?:[^"\\]|\\.)*"|'(?:[^'\\]|\\.)*'|\((?:[^()\\]|\\.)*\)))?)[ \t]*$/;
+    const titlePattern =
+      /^[ \t]*("(?:[^"\\]|\\.)*"|'(?:[^'\\]|\\.)*'|\((?:[^()\\]|\\.)*\))[ \t]*$/;
+    let fence = null;
+    // Definitions can't interrupt a paragraph
+    let afterParagraph = false;
+
+    for (let i = startIndex; i < docLines.length; i++) {
+      const line = docLines[i];
+      const wasInFence = fence !== null;
+      fence = nextFenceState(
+        fence,
+        stripContainerMarkers(commonMark ? line : line.trimStart())
+      );
+      if (wasInFence || fence) {
+        afterParagraph = false;
+        continue;
+      }
+
+      const m = !afterParagraph && line.match(definitionPattern);
+      // Footnote definitions look alike, [^id]: text
+      if (!m || m[1].trim().length === 0 || (!commonMark && m[1][0] === "^")) {
+        // (headings are single lines, definitions can follow them)
+        afterParagraph = line.trim().length > 0 && !/^ {0,3}#{1,6}(\s|$)/.test(line);
+        continue;
+      }
+
+      let title = m[4].trim();
+      let endIndex = i;
+      const nextTitle = !title && i + 1 < docLines.length && docLines[i + 1].match(titlePattern);
+      if (nextTitle) {
+        title = nextTitle[1];
+        endIndex = i + 1;
+      }
+
+      const label = normalizeLabel(m[1]);
+      if (!definitions.has(label)) {
+        const definition = { href: unescapeString(m[2] !== undefined ? m[2] : m[3]) };
+        if (title) definition.title = unescapeString(title.slice(1, -1));
+        definitions.set(label, definition);
+      }
+      for (let k = i; k <= endIndex; k++) docLines[k] = "";
       i = endIndex;
-      continue;
     }
+    return definitions;
+  }
 
-    // Unordered list
-    if (/^[-*+]\s+/.test(trimmed)) {
-      const { listToken, endIndex } = parseNestedList(lines, i, false);
-      tokens.push(listToken);
-      i = endIndex;
-      continue;
+  /**
+   * Builds the ordered list of block rules by slotting plugin rules into the
+   * built-in precedence order. A plugin rule is placed before or after the rule
+   * named in its `before`/`after` property, or right before paragraphs.
+   *
+   * @returns {Array<Object>} Block rules as { name, tokenize } in check order
+   */
+  function buildBlockRules() {
+    const rules = commonMark
+      ? [
+          { name: "indentedCode", tokenize: tokenizeIndentedCode },
+          { name: "codeBlock", tokenize: tokenizeFencedCode },
+          { name: "html", tokenize: tokenizeHtmlBlock },
+          { name: "horizontalRule", tokenize: tokenizeThematicBreak },
+          { name: "heading", tokenize: tokenizeAtxHeading },
+          { name: "blockquote", tokenize: tokenizeCommonMarkBlockquote },
+          { name: "list", tokenize: tokenizeCommonMarkList },
+          { name: "paragraph", tokenize: tokenizeCommonMarkParagraph },
+        ]
+      : [
+          { name: "codeBlock", tokenize: tokenizeCodeBlock },
+          { name: "mathBlock", tokenize: tokenizeMathBlock },
+          { name: "callout", tokenize: tokenizeCalloutContainer },
+          { name: "html", tokenize: tokenizeHtmlBlock },
+          { name: "horizontalRule", tokenize: tokenizeHorizontalRule },
+          { name: "blockquote", tokenize: tokenizeBlockquote },
+          { name: "taskList", tokenize: tokenizeTaskList },
+          { name: "orderedList", tokenize: tokenizeOrderedList },
+          { name: "list", tokenize: tokenizeUnorderedList },
+          { name: "heading", tokenize: tokenizeHeading },
+          { name: "toc", tokenize: tokenizeToc },
+          { name: "table", tokenize: tokenizeTable },
+          { name: "footnoteDefinition", tokenize: tokenizeFootnoteDefinition },
+          { name: "paragraph", tokenize: tokenizeParagraph },
+        ];
+
+    for (const rule of plugins.blockRules) {
+      const anchor = rule.before || rule.after || "paragraph";
+      let index = rules.findIndex((r) => r.name === anchor);
+      if (index === -1) {
+        console.warn(
+          `Cattown - block rule "${anchor}" not found, "${rule.name}" is checked before paragraphs.`
+        );
+        index = rules.length - 1;
+      } else if (rule.after) {
+        index++;
+      }
+      rules.splice(index, 0, rule);
     }
 
-    // Headings (# to ###### followed by space and text, optional {#id})
-    const headingMatch = trimmed.match(/^(#{1,6})\s+(.*)$/);
-    if (headingMatch) {
-      const level = headingMatch[1].length;
-      let headingText = headingMatch[2];
+    return rules;
+  }
 
-      // Check for optional id in the form {#custom-id} at the end
-      let id = null;
-      const idMatch = headingText.match(/\s{0,10}\{\#([a-zA-Z0-9\-_]{1,50})\}\s{0,10}$/);
-      if (idMatch) {
-        id = idMatch[1];
-        // Remove the {#id} part from heading text before tokenizing inline
-        headingText = headingText.slice(0, idMatch.index).trim();
-      }
+  // ----------------------- MAIN BLOCK PARSING LOOP -------------------------
+  // This is the core parsing loop that processes markdown line by line to identify
+  // and parse block-level elements. The order of rules is important for proper
+  // precedence (e.g., code blocks before lists, task lists before regular lists).
+  //
+  // Built-in order (by precedence), plugin rules are slotted in by name:
+  // 1. Fenced code blocks (``` blocks)
+  // 2. Math blocks ($$ lines, with the math setting)
+  // 3. Callout containers (:::warning Title ... :::)
+  // 4. HTML blocks (<div>, only with the allowHtml setting)
+  // 5. Horizontal rules (--- *** ___)
+  // 6. Blockquotes (> text, or a callout with > [!NOTE])
+  // 7. Task lists (- [ ] and - [x])
+  // 8. Ordered lists (1. 2. 3.)
+  // 9. Unordered lists (- *)
+  // 10. Headers (# ## ###)
+  // 11. Table of contents markers ([[toc]] or [TOC])
+  // 12. Tables (| col | col |)
+  // 13. Footnote definitions ([^id]: text)
+  // 14. Paragraphs (fallback)
+  //
+  // The 'commonmark' flavor uses its own rules instead: indented code, fenced
+  // code, HTML blocks, thematic breaks, ATX headings, blockquotes, lists and
+  // paragraphs (with setext headings).
+  const blockRules = buildBlockRules();
 
-      tokens.push({
-        megaType: "heading",
-        level,
-        content: tokenizeInline(headingText),
-        ...(id ? { id } : {}),
-      });
+  /**
+   * Creates a parsing frame for a run of lines, e.g. the whole document or
+   * the inside of a blockquote. Parsed block tokens are pushed to 'into'.
+   *
+   * @param {string[]} frameLines - Lines to parse
+   * @param {Object[]} sources - Sources of those lines, for positions
+   * @param {Array} into - Array receiving the block tokens
+   * @param {Function} [onSpread] - Called when blank lines separate two of
+   *   the parsed blocks (makes CommonMark lists loose)
+   * @returns {Object} Frame with lines, sources, index, tokens and helpers
+   */
+  function createFrame(frameLines, sources, into, onSpread) {
+    return {
+      lines: frameLines,
+      sources,
+      index: 0,
+      tokens: into,
+      onSpread,
+      blankBefore: false, // Blank line seen since the last block
+      // offsetAt(index, column) gives the mapper for tokenizeInline() of text
+      // starting at that column of a line, so inline tokens get positions too
+      helpers: {
+        tokenizeInline,
+        offsetAt: (index, column) => offsetMapper(sources, index, column),
+        sources,
+      },
+    };
+  }
+
+  // Containers (blockquotes, list items in the 'commonmark' flavor, or plugin
+  // rules returning 'nested' lines) are parsed by pushing a new frame instead
+  // of recursing, so nesting depth is only limited by memory. The frame on top
+  // of the stack is always parsed first, then its parent resumes after the
+  // container.
+  const stack = [createFrame(lines, lineSources, tokens)];
+  if (frontMatter) {
+    if (trackPositions) {
+      frontMatter.token.position = blockPosition(lines, lineSources, 0, frontMatter.endIndex);
+    }
+    tokens.push(frontMatter.token);
+    stack[0].index = firstLine;
+  }
+
+  while (stack.length > 0) {
+    const frame = stack[stack.length - 1];
+    const i = frame.index;
+
+    if (i >= frame.lines.length) {
+      stack.pop(); // Done with this run of lines
+      continue;
+    }
+    if (frame.lines[i].trim().length === 0) {
+      frame.index++; // Skip empty lines
+      frame.blankBefore = frame.tokens.length > 0;
       continue;
     }
 
-    // Table
-    if (/\|/.test(trimmed)) {
-      // Peek next line for separator
-      const nextLine = i + 1 < lines.length ? lines[i + 1].trim() : "";
-      if (/^\|?(\s*:?-+:?\s*\|)+\s*:?-+:?\s*\|?$/.test(nextLine)) {
-        // Table with header
-        const tableHeaderCells = trimmed
-          .split("|")
-          .map((s) => s.trim())
-          .filter((s) => s.length > 0);
-        const tableRows = [];
-        i += 2;
-        while (i < lines.length) {
-          const rowLine = lines[i].trim();
-          if (!rowLine || !rowLine.includes("|")) break; // End of table
-          // split row cells similarly
-          const rowCells = rowLine
-            .split("|")
-            .map((s) => s.trim())
-            .filter((s) => s.length > 0);
-          tableRows.push(rowCells);
-          i++;
+    for (const rule of blockRules) {
+      const result = rule.tokenize(frame.lines, i, frame.helpers);
+      if (!result) continue;
+      // Never move backwards, a rule always consumes at least its first line
+      const endIndex = Math.max(result.endIndex, i);
+      frame.index = endIndex + 1;
+      if (result.token) {
+        if (trackPositions && !result.token.position) {
+          result.token.position = blockPosition(
+            frame.lines,
+            frame.sources,
+            i,
+            endIndex
+          );
         }
-        // tokenize header cells inline
-        const header = tableHeaderCells.map((cell) => tokenizeInline(cell));
-        // tokenize each row cell inline
-        const rows = tableRows.map((row) =>
-          row.map((cell) => tokenizeInline(cell))
-        );
-        tokens.push({ megaType: "table", header, rows });
-        i--;
-        continue;
-      } else {
-        // Table without header - check if next line also has pipes
-        const nextLine = i + 1 < lines.length ? lines[i + 1].trim() : "";
-        if (nextLine && /\|/.test(nextLine)) {
-          const tableRows = [];
-          let j = i;
-          while (j < lines.length) {
-            const rowLine = lines[j].trim();
-            if (!rowLine || !rowLine.includes("|")) break; // End of table
-            // split row cells
-            const rowCells = rowLine
-              .split("|")
-              .map((s) => s.trim())
-              .filter((s) => s.length > 0);
-            tableRows.push(rowCells);
-            j++;
+        if (frame.blankBefore && frame.onSpread) frame.onSpread();
+        frame.blankBefore = false;
+        frame.tokens.push(result.token);
+
+        // Parse nested lines as blocks, by default into the token's content.
+        // Pushed in reverse so the first one is parsed first.
+        if (result.nested) {
+          const nestedRuns = [].concat(result.nested).reverse();
+          for (const run of nestedRuns) {
+            // Without sources, nested tokens point at the container's first line
+            const nestedSources =
+              run.sources || run.lines.map(() => frame.sources[i]);
+            let into = run.into;
+            if (!into) {
+              into = result.token.content = [];
+            }
+            stack.push(
+              createFrame(run.lines, nestedSources, into, run.onSpread)
+            );
           }
-          // tokenize each row cell inline
-          const rows = tableRows.map((row) =>
-            row.map((cell) => tokenizeInline(cell))
-          );
-          tokens.push({ megaType: "table", header: [], rows });
-          i = j - 1;
-          continue;
         }
       }
+      break;
     }
-
-    // Default fallthrough: treat line as a paragraph with inline tokens
-    tokens.push({
-      megaType: "paragraph",
-      content: tokenizeInline(trimmed),
-    });
   }
 
   return tokens;
@@ -11,6 +11,7 @@
  * - Configurable CSS class application for custom styling
  * - Built-in HTML escaping for security
  * - Language icon support for code blocks
+ * - Syntax highlighting for code blocks (built-in or via the 'highlight' hook)
  * - Responsive table containers
  * - Semantic HTML structure
  *
@@ -18,9 +19,118 @@
  * - Whether custom CSS classes are applied
  * - Code block language display options
  * - Icon display in code blocks
+ * - Custom renderers overriding the markup of individual token types
+ * - Raw HTML from the allowHtml setting, filtered by the built-in allowlist
+ *   (cattownSanitizer.js) when DOMPurify doesn't sanitize the output
  */
 
-import getSettings from "./cattownConfig";
+import { getAllSettings, getDefaultSettings } from "./cattownConfig";
+import { getPlugins } from "./cattownPlugins.js";
+import { filterHtml } from "./cattownSanitizer.js";
+import { highlightCode } from "./cattownHighlight.js";
+import { getLanguage, languageBadgeSVG } from "./cattownLanguages.js";
+import { buildHeadingTree, createHeadingIds } from "./cattownHeadings.js";
+
+/**
+ * Default titles and icons (inner SVG of a 16x16 stroked icon) of the callout
+ * kinds. Other kinds from ::: containers use their capitalized name and the
+ * note icon.
+ */
+const calloutKinds = {
+  note: {
+    title: "Note",
+    icon: '<circle cx="8" cy="8" r="6.5"/><path d="M8 7.5v3.5M8 5v.01"/>',
+  },
+  tip: {
+    title: "Tip",
+    icon: '<path d="M8 1.5a4.5 4.5 0 0 0-2.5 8.2V11h5V9.7A4.5 4.5 0 0 0 8 1.5zM6 13h4M6.75 14.75h2.5"/>',
+  },
+  important: {
+    title: "Important",
+    icon: '<path d="M2 2.5h12v8.5H8.5L5 14v-3H2z"/><path d="M8 5v2.5M8 9.25v.01"/>',
+  },
+  warning: {
+    title: "Warning",
+    icon: '<path d="M8 1.75L15 14H1z"/><path d="M8 6v3.5M8 11.75v.01"/>',
+  },
+  caution: {
+    title: "Caution",
+    icon: '<path d="M5.2 1.5h5.6l3.7 3.7v5.6l-3.7 3.7H5.2l-3.7-3.7V5.2z"/><path d="M8 4.75v4M8 11.25v.01"/>',
+  },
+};
+
+/**
+ * Collects the footnote definitions of a document, wherever they are nested,
+ * and creates the numbering state shared by all blocks of the render.
+ *
+ * @param {Array} tokens - Block tokens of the whole document
+ * @returns {Object} State with definitions (by lowercased id), order (ids in
+ *   order of their first reference), refs (id -> reference ids) and
+ *   tokens (the whole document, for tables of contents in nested blocks);
+ *   convertTokensToHTML() adds headingId, the document's heading ids
+ */
+function createFootnoteState(tokens) {
+  const definitions = new Map();
+  // Walked with an explicit stack in document order, trees can be very deep
+  const stack = [tokens];
+  while (stack.length > 0) {
+    const value = stack.pop();
+    if (!value || typeof value !== "object") continue;
+    if (value.megaType === "footnoteDefinition") {
+      const key = String(value.id).toLowerCase();
+      // The first definition of an id wins
+      if (!definitions.has(key)) definitions.set(key, value);
+    }
+    const children = Array.isArray(value) ? value : Object.values(value);
+    for (let i = children.length - 1; i >= 0; i--) stack.push(children[i]);
+  }
+
+  return {
+    definitions,
+    order: [],
+    refs: new Map(),
+    tokens,
+  };
+}
+
+/**
+ * Applies the 'linkPolicy' setting to the URL of a link or image.
+ *
+ * The URL first goes through policy.transformUrl(url, kind). URLs with a
+ * scheme must use one of policy.allowedSchemes, relative URLs are resolved
+ * against policy.baseUrl (anchors like #intro stay on the page). Browsers
+ * ignore control characters and spaces inside a scheme ("java\tscript:"), so
+ * the scheme is read with those removed.
+ *
+ * @param {string} url - URL from the token
+ * @param {string} kind - "link" or "image"
+ * @param {Object} policy - Link policy, with every field set
+ * @returns {string|null} URL to render, or null when the link or image must be
+ *   rendered as text
+ */
+function applyLinkPolicy(url, kind, policy) {
+  url = String(url).trim();
+  if (typeof policy.transformUrl === "function") {
+    url = policy.transformUrl(url, kind);
+    if (url == null || url === "") return null;
+    url = String(url);
+  }
+
+  const scheme = url.replace(/[\u0000-\u0020\u007f]/g, "").match(/^([a-zA-Z][a-zA-Z0-9+.-]*):/);
+  if (scheme) {
+    const allowed = (policy.allowedSchemes || []).map((name) => String(name).toLowerCase());
+    return allowed.includes(scheme[1].toLowerCase()) ? url : null;
+  }
+
+  if (policy.baseUrl && url !== "" && !url.startsWith("#")) {
+    try {
+      return new URL(url, policy.baseUrl).href;
+    } catch (e) {
+      console.warn(`Cattown - could not resolve "${url}" against baseUrl "${policy.baseUrl}".`);
+    }
+  }
+  return url;
+}
 
 /**
  * Converts structured markdown tokens into clean, semantic HTML.
@@ -39,6 +149,10 @@ import getSettings from "./cattownConfig";
  * @param {Array} tokens - Array of parsed token objects from the tokenizer.
  *   Each token has a 'megaType' (for blocks) or 'type' (for inline) property
  *   and associated content/configuration properties.
+ * @param {Object} [settings] - Resolved settings to render with, defaults to
+ *   the global settings
+ * @param {Object} [plugins] - Plugin registry providing renderers, defaults to
+ *   the global registry filled by use()
  *
  * @returns {string} Complete HTML string ready for insertion into DOM or
  *   sanitization. Returns empty string for invalid input.
@@ -51,17 +165,360 @@ import getSettings from "./cattownConfig";
  * const html = convertTokensToHTML(tokens);
  * // Returns: "<h1>...</h1>\n<p>...</p>"
  */
-function convertTokensToHTML(tokens) {
+function convertTokensToHTML(tokens, settings = getAllSettings(), plugins = getPlugins()) {
   // Handle null/undefined tokens gracefully
   if (!tokens || !Array.isArray(tokens)) {
     return "";
   }
 
+  // Footnotes are numbered across the whole document, nested blocks
+  // (blockquotes, list items) included
+  const footnotes = createFootnoteState(tokens);
+  // Heading ids are unique across the document, so they're assigned up front
+  footnotes.headingId = createHeadingIds(tokens, settings);
+
+  /**
+   * Runs a rendering generator to the end and returns its HTML.
+   *
+   * Blocks holding other blocks (blockquotes, callouts, list items) are
+   * rendered by generators that yield the generator of their content and get
+   * its HTML back. The pending generators are kept on an explicit stack, like
+   * the tokenizer's frames, so blocks nested thousands of levels deep render
+   * without overflowing the call stack.
+   *
+   * @param {Generator} generator - Generator returning an HTML string
+   * @returns {string} HTML string
+   */
+  function runRender(generator) {
+    const stack = [generator];
+    let html;
+    while (stack.length > 0) {
+      const step = stack[stack.length - 1].next(html);
+      html = undefined;
+      if (step.done) {
+        stack.pop();
+        html = step.value;
+      } else {
+        stack.push(step.value);
+      }
+    }
+    return html;
+  }
+
+  /**
+   * Renders nested block tokens, e.g. the content of a blockquote.
+   *
+   * @param {Array} blockTokens - Block tokens to render
+   * @returns {string} HTML string
+   */
+  function renderBlocks(blockTokens) {
+    return runRender(blocksHTML(blockTokens));
+  }
+
   // Get configuration settings for HTML generation behavior
-  const applyCustomStyle = getSettings("useCustomTheme");
-  const useCodeLangName = getSettings("LanguageNameInCode");
-  const useCodeIcon = getSettings("IconInCode");
-  const useAutoID = getSettings("autoHeadingID");
+  const applyCustomStyle = settings.useCustomTheme;
+  const useCodeLangName = settings.LanguageNameInCode;
+  const useCodeIcon = settings.IconInCode;
+  const useHeadingAnchors = settings.headingAnchors;
+  const useSourceLines = settings.sourceLineAttributes;
+  const useBreaks = settings.breaks;
+  const useHtml = settings.allowHtml;
+  const useSyntaxHighlight = settings.syntaxHighlight;
+  const highlightHook = settings.highlight;
+  const mathHook = settings.renderMath;
+  const iconBaseUrl = settings.iconBaseUrl;
+  const iconResolver = settings.iconResolver;
+  const useInlineIcons = settings.inlineIcons;
+  // Prefix of footnote ids, set per document when several share a page
+  const footnoteIdPrefix = settings.footnoteIdPrefix || "";
+  // Raw HTML goes through the built-in allowlist when sanitization is on
+  // (the converter functions turn it off here when DOMPurify takes over)
+  const filterRawHtml = settings.enableSanitization;
+  // Fields missing from a custom policy keep their defaults
+  const linkPolicy = { ...getDefaultSettings().linkPolicy, ...settings.linkPolicy };
+
+  // Renderers by megaType/type: plugin renderers for their own tokens,
+  // overridden by the renderer map from the 'renderers' setting
+  const renderers = { ...plugins.renderers, ...settings.renderers };
+  // Code block handlers by fence language, lowercased. A Map, so languages
+  // like "constructor" don't find Object.prototype members
+  const fenceHandlers = new Map();
+  for (const [lang, handler] of Object.entries(settings.fenceHandlers || {})) {
+    fenceHandlers.set(lang.toLowerCase(), handler);
+  }
+
+  /**
+   * Helpers handed to custom renderers so they can produce output consistent
+   * with the built-in elements.
+   */
+  const rendererHelpers = {
+    escapeHTML: (str) => escapeHTML(str),
+    escapeAttribute: (str) => escapeAttribute(str),
+    // Applies the 'linkPolicy' setting, returns null for rejected URLs
+    resolveUrl: (url, kind = "link") => applyLinkPolicy(url, kind, linkPolicy),
+    renderInline: (inlineTokens) => inlineTokensToHTML(inlineTokens),
+    renderBlocks: (blockTokens) => renderBlocks(blockTokens),
+    // Returns ` class="ct-parsed <name>"` or "" depending on useCustomTheme
+    className: (name) => (applyCustomStyle ? ` class="ct-parsed ${name}"` : ""),
+  };
+
+  /**
+   * Renders a token with the custom renderer registered for its type, falling
+   * back to the built-in markup when there is none or it returns null/undefined.
+   *
+   * The renderer is called as renderer(token, renderChildren, helpers) where
+   * renderChildren() renders the token's content (block or inline, based on
+   * what it contains) and helpers.renderDefault() returns the built-in markup.
+   *
+   * @param {Object} token - Block or inline token
+   * @param {string} key - The token's megaType or type
+   * @param {Function} renderDefault - Built-in renderer for this kind of token
+   * @returns {string} HTML string for the token
+   */
+  function renderWithOverride(token, key, renderDefault) {
+    const renderer = renderers[key];
+    if (typeof renderer === "function") {
+      const renderChildren = (children = token.content) => {
+        if (Array.isArray(children) && children.some((t) => t && t.megaType)) {
+          return renderBlocks(children);
+        }
+        return inlineTokensToHTML(children);
+      };
+      const html = renderer(token, renderChildren, {
+        ...rendererHelpers,
+        renderDefault: () => renderDefault(token),
+      });
+      if (html != null) {
+        return String(html);
+      }
+    }
+    return renderDefault(token);
+  }
+
+  /**
+   * Returns the data-source-line attribute for a token or list item, pointing
+   * at the line where it starts in the markdown source.
+   *
+   * @param {Object} token - Token or item with an optional 'position'
+   * @returns {string} ` data-source-line="N"`, or "" when disabled or unknown
+   */
+  function sourceLineAttr(token) {
+    if (!useSourceLines || !token || !token.position) return "";
+    return ` data-source-line="${token.position.start.line}"`;
+  }
+
+  /**
+   * Returns the title attribute of a link or image.
+   *
+   * @param {Object} token - Link or image token with an optional 'title'
+   * @returns {string} ` title="..."`, or "" without a title
+   */
+  function titleAttr(token) {
+    return token.title ? ` title="${escapeAttribute(token.title)}"` : "";
+  }
+
+  /**
+   * Renders raw HTML from an html token: as written, through the built-in
+   * allowlist, or as escaped text when allowHtml is off.
+   *
+   * @param {Object} token - Block or inline html token
+   * @returns {string} HTML string
+   */
+  function rawHtml(token) {
+    const html = String(token.content || "");
+    if (!useHtml) return escapeHTML(html);
+    if (filterRawHtml) {
+      return filterHtml(html, (url, kind) => applyLinkPolicy(url, kind, linkPolicy));
+    }
+    return html;
+  }
+
+  /**
+   * Returns the built-in diagram container of a code block: its escaped
+   * source in <div class="ct-parsed diagram" data-lang="mermaid">, for a
+   * diagram library to render in the browser (see the 'afterRender' setting).
+   * The class stays without the theme, so the library can find it.
+   *
+   * @param {Object} token - codeBlock token
+   * @returns {string} HTML string
+   */
+  function diagramHTML(token) {
+    return (
+      `<div class="${applyCustomStyle ? "ct-parsed " : ""}diagram" ` +
+      `data-lang="${escapeAttribute(token.language.toLowerCase())}"${sourceLineAttr(token)}>` +
+      `${escapeHTML(token.content)}</div>`
+    );
+  }
+
+  /**
+   * Renders a code block with the 'fenceHandlers' entry of its language.
+   * A handler is the string "diagram" for the built-in diagram container, or
+   * a function called as handler(token, helpers) with the custom renderer
+   * helpers plus helpers.renderDiagram().
+   *
+   * @param {Object} token - codeBlock token
+   * @returns {string|null} HTML string, or null for a regular code block
+   */
+  function fenceHandlerHTML(token) {
+    const handler = token.language ? fenceHandlers.get(token.language.toLowerCase()) : undefined;
+    if (handler === "diagram") return diagramHTML(token);
+    if (typeof handler !== "function") return null;
+    const html = handler(token, {
+      ...rendererHelpers,
+      renderDiagram: () => diagramHTML(token),
+    });
+    return html != null ? String(html) : null;
+  }
+
+  /**
+   * Returns math as HTML: from the 'renderMath' hook (KaTeX, MathJax...) when
+   * it returns a string, else the escaped TeX source inside
+   * <span class="ct-parsed math-inline"> or <div class="ct-parsed math-block">.
+   * The class stays without the theme, so client-side renderers can find it.
+   *
+   * @param {Object} token - math or mathBlock token
+   * @param {boolean} displayMode - true for math blocks
+   * @returns {string} HTML string
+   */
+  function mathHTML(token, displayMode) {
+    const tag = displayMode ? "div" : "span";
+    const className = displayMode ? "math-block" : "math-inline";
+    let html = null;
+    if (typeof mathHook === "function") {
+      html = mathHook(token.content, displayMode);
+    }
+    return (
+      `<${tag} class="${applyCustomStyle ? "ct-parsed " : ""}${className}"` +
+      `${displayMode ? sourceLineAttr(token) : ""}>` +
+      `${html != null ? String(html) : escapeHTML(token.content)}</${tag}>`
+    );
+  }
+
+  /**
+   * Returns the inner HTML of a code block: from the 'highlight' hook when it
+   * returns a string, else from the built-in highlighter for supported
+   * languages, else the escaped code.
+   *
+   * @param {string} code - Raw code
+   * @param {string} lang - Language from the fence, "" if none
+   * @returns {string} HTML for inside <code>
+   */
+  function codeBlockHTML(code, lang) {
+    if (typeof highlightHook === "function") {
+      const html = highlightHook(code, lang);
+      if (html != null) return String(html);
+    }
+    if (useSyntaxHighlight && lang) {
+      const html = highlightCode(code, lang, (type) =>
+        applyCustomStyle ? ` class="ct-parsed tok-${type}"` : ` class="tok-${type}"`
+      );
+      if (html !== null) return html;
+    }
+    return escapeHTML(code);
+  }
+
+  /**
+   * Wraps every line of a code block in a span when its info string asks for
+   * line numbers, highlighted lines or diff marks, e.g.
+   * <span class="ct-parsed code-line highlighted-line"><span class="ct-parsed
+   * line-number">3</span>...</span>. Highlighter spans running over several
+   * lines are closed at the end of each line and reopened on the next.
+   *
+   * @param {Object} token - codeBlock token
+   * @param {string} html - Inner HTML of the code block
+   * @returns {string} The HTML with line wrappers, or unchanged
+   */
+  function codeLinesHTML(token, html) {
+    const highlighted = new Set(token.highlightLines || []);
+    if (!token.showLineNumbers && !token.diff && highlighted.size === 0) {
+      return html;
+    }
+    const className = (names) =>
+      ` class="${applyCustomStyle ? "ct-parsed " : ""}${names}"`;
+    const firstNumber = token.startLine !== undefined ? token.startLine : 1;
+    const rawLines = String(token.content).split("\n");
+
+    const lines = [];
+    let open = []; // Tags open at the current point
+    let line = "";
+    const tagPattern = /<(\/?)([a-zA-Z][\w-]*)[^>]*>|\n|[^<\n]+|</g;
+    let match;
+    while ((match = tagPattern.exec(html))) {
+      if (match[0] === "\n") {
+        lines.push(line + open.map(({ name }) => `</${name}>`).reverse().join(""));
+        line = open.map(({ tag }) => tag).join("");
+        continue;
+      }
+      if (match[2]) {
+        if (match[1]) {
+          const index = open.map(({ name }) => name).lastIndexOf(match[2]);
+          if (index !== -1) open = open.slice(0, index);
+        } else if (!match[0].endsWith("/>") && !/^(br|img|hr|wbr|input)$/i.test(match[2])) {
+          open.push({ name: match[2], tag: match[0] });
+        }
+      }
+      line += match[0];
+    }
+    lines.push(line);
+
+    return lines
+      .map((lineHTML, index) => {
+        const classes = ["code-line"];
+        if (highlighted.has(index + 1)) classes.push("highlighted-line");
+        if (token.diff && /^\+/.test(rawLines[index] || "")) classes.push("diff-add");
+        if (token.diff && /^-/.test(rawLines[index] || "")) classes.push("diff-remove");
+        const numberHTML = token.showLineNumbers
+          ? `<span${className("line-number")} aria-hidden="true">${firstNumber + index}</span>`
+          : "";
+        return `<span${className(classes.join(" "))}>${numberHTML}${lineHTML}</span>`;
+      })
+      .join("\n");
+  }
+
+  /**
+   * Returns the icon of a code block language label: the URL from the
+   * 'iconResolver' setting when it returns one, else the bundled inline SVG
+   * when 'inlineIcons' is on, else an image from 'iconBaseUrl' (Devicon
+   * layout: <base><icon>/<icon>-original.svg).
+   *
+   * @param {string} lang - Language from the fence
+   * @param {Object|null} language - Registry entry of the language
+   * @returns {string} Icon HTML, "" for no icon
+   */
+  function languageIconHTML(lang, language) {
+    const className = applyCustomStyle ? ` class="ct-parsed codeblock-image"` : "";
+    const imageHTML = (src) => `<img src="${urlAttribute(src)}" alt=""${className} />`;
+
+    if (typeof iconResolver === "function") {
+      const src = iconResolver(lang, language);
+      if (typeof src === "string") return src ? imageHTML(src) : "";
+      if (src === null) return "";
+    }
+    if (useInlineIcons) {
+      // Bundled icons only, so nothing is downloaded
+      return languageBadgeSVG(language, className) || "";
+    }
+    if (!iconBaseUrl) return "";
+    // Unknown languages try their own name, Devicon has far more icons than
+    // the registry has languages
+    const icon = language ? language.icon : lang.toLowerCase();
+    if (!icon) return "";
+    const base = iconBaseUrl.endsWith("/") ? iconBaseUrl : `${iconBaseUrl}/`;
+    const name = encodeURIComponent(icon);
+    return imageHTML(`${base}${name}/${name}-original.svg`);
+  }
+
+  /**
+   * Escapes a URL for an href or src attribute. Unlike escapeAttribute() this
+   * also escapes "&", so the URL can't spell out a different one with
+   * character references (&#106;avascript:).
+   *
+   * @param {string} url - URL that passed the link policy
+   * @returns {string} String safe for use in href and src attributes
+   */
+  function urlAttribute(url) {
+    return escapeAttribute(url.replace(/&/g, "&amp;"));
+  }
 
   /**
    * Converts inline markdown tokens into HTML strings with proper escaping.
@@ -75,8 +532,11 @@ function convertTokensToHTML(tokens) {
    * - bold/italic/boldItalic: Text formatting elements
    * - strikethrough: Crossed-out text
    * - subscript/superscript: Mathematical notation
-   * - link: Hyperlinks with automatic HTTPS prefixing
-   * - image: Images with alt text and proper attributes
+   * - link: Hyperlinks, their URL checked by the 'linkPolicy' setting
+   *   (allowed schemes, relative URLs resolved against baseUrl, the
+   *   transformUrl hook); rejected links render as their text
+   * - image: Images with alt text and proper attributes, under the same
+   *   policy; rejected images render as their alt text
    * - code: Inline code spans
    * - highlight: Highlighted/marked text
    *
@@ -120,107 +580,157 @@ function convertTokensToHTML(tokens) {
           return "";
         }
 
-        switch (token.type) {
-          case "text":
-            return escapeHTML(token.content);
+        return renderWithOverride(token, token.type, renderInlineToken);
+      })
+      .join("");
+  }
 
-          case "boldItalic":
-            // Bold and italic nested elements
-            return (
-              `<strong${applyCustomStyle ? ` class="ct-parsed bold"` : ""}>` +
-              `<em${applyCustomStyle ? ` class="ct-parsed italic"` : ""}>` +
-              inlineTokensToHTML(token.content) +
-              `</em></strong>`
-            );
+  /**
+   * Renders a single inline token with the built-in markup.
+   *
+   * @param {Object} token - Inline token with a 'type' property
+   * @returns {string} HTML string for the token
+   */
+  function renderInlineToken(token) {
+    switch (token.type) {
+      case "text":
+        return escapeHTML(token.content);
 
-          case "bold":
-            return (
-              `<strong${applyCustomStyle ? ` class="ct-parsed bold"` : ""}>` +
-              inlineTokensToHTML(token.content) +
-              `</strong>`
-            );
+      case "softBreak":
+        // Newline inside a paragraph, a <br> only in 'breaks' mode
+        return useBreaks ? `<br${applyCustomStyle ? ` class="ct-parsed line-break"` : ""}>\n` : "\n";
 
-          case "italic":
-            return (
-              `<em${applyCustomStyle ? ` class="ct-parsed italic"` : ""}>` +
-              inlineTokensToHTML(token.content) +
-              `</em>`
-            );
+      case "hardBreak":
+        return `<br${applyCustomStyle ? ` class="ct-parsed line-break"` : ""}>\n`;
 
-          case "strikethrough":
-            return (
-              `<del${
-                applyCustomStyle ? ` class="ct-parsed strikethrough"` : ""
-              }>` +
-              inlineTokensToHTML(token.content) +
-              `</del>`
-            );
+      case "math":
+        return mathHTML(token, false);
 
-          case "subscript":
-            return (
-              `<sub${applyCustomStyle ? ` class="ct-parsed subscript"` : ""}>` +
-              inlineTokensToHTML(token.content) +
-              `</sub>`
-            );
+      case "html":
+        return rawHtml(token);
 
-          case "superscript":
-            return (
-              `<sup${
-                applyCustomStyle ? ` class="ct-parsed superscript"` : ""
-              }>` +
-              inlineTokensToHTML(token.content) +
-              `</sup>`
-            );
+      case "boldItalic":
+        // Bold and italic nested elements
+        return (
+          `<strong${applyCustomStyle ? ` class="ct-parsed bold"` : ""}>` +
+          `<em${applyCustomStyle ? ` class="ct-parsed italic"` : ""}>` +
+          inlineTokensToHTML(token.content) +
+          `</em></strong>`
+        );
 
-          case "link": {
-            let href = token.href || token.url || "";
-            let linkContent = token.content || token.text || "";
-            console.log(href,linkContent)
-            // Allow anchor links to pass without adding protocol, add https:// only for URLs without protocol that do not start with #
-            if (href && !href.match(/^https?:\/\//) && !href.startsWith("#")) {
-              href = "https://" + href;
-            }
-            return (
-              `<a href="${escapeAttribute(href)}"${
-                applyCustomStyle ? ` class="ct-parsed link"` : ""
-              }>` +
-              inlineTokensToHTML(linkContent) +
-              `</a>`
-            );
-          }
+      case "bold":
+        return (
+          `<strong${applyCustomStyle ? ` class="ct-parsed bold"` : ""}>` +
+          inlineTokensToHTML(token.content) +
+          `</strong>`
+        );
 
-          case "image":
-            let src = token.src || "";
-            let alt = token.alt || "";
-            return `<img src="${escapeAttribute(src)}" alt="${escapeAttribute(
-              alt
-            )}"${applyCustomStyle ? ` class="ct-parsed image"` : ""} />`;
+      case "italic":
+        return (
+          `<em${applyCustomStyle ? ` class="ct-parsed italic"` : ""}>` +
+          inlineTokensToHTML(token.content) +
+          `</em>`
+        );
 
-          case "code":
-            return (
-              `<code${applyCustomStyle ? ` class="ct-parsed code"` : ""}>` +
-              escapeHTML(token.content) +
-              `</code>`
-            );
+      case "strikethrough":
+        return (
+          `<del${
+            applyCustomStyle ? ` class="ct-parsed strikethrough"` : ""
+          }>` +
+          inlineTokensToHTML(token.content) +
+          `</del>`
+        );
 
-          case "highlight":
-            return (
-              `<mark${
-                applyCustomStyle ? ` class="ct-parsed highlight"` : ""
-              }>` +
-              inlineTokensToHTML(token.content) +
-              `</mark>`
-            );
+      case "subscript":
+        return (
+          `<sub${applyCustomStyle ? ` class="ct-parsed subscript"` : ""}>` +
+          inlineTokensToHTML(token.content) +
+          `</sub>`
+        );
+
+      case "superscript":
+        return (
+          `<sup${
+            applyCustomStyle ? ` class="ct-parsed superscript"` : ""
+          }>` +
+          inlineTokensToHTML(token.content) +
+          `</sup>`
+        );
 
-          default:
-            // If content is nested tokens, recurse; otherwise, escape
-            if (Array.isArray(token.content)) {
-              return inlineTokensToHTML(token.content);
-            }
-            return escapeHTML(token.content || "");
+      case "link": {
+        const href = applyLinkPolicy(token.href || token.url || "", "link", linkPolicy);
+        let linkContent = token.content || token.text || "";
+        // Links the policy rejects (like javascript:) keep only their text
+        if (href === null) {
+          return inlineTokensToHTML(linkContent);
         }
-      })
-      .join("");
+        return (
+          `<a href="${urlAttribute(href)}"${titleAttr(token)}${
+            applyCustomStyle ? ` class="ct-parsed link"` : ""
+          }>` +
+          inlineTokensToHTML(linkContent) +
+          `</a>`
+        );
+      }
+
+      case "image": {
+        const src = applyLinkPolicy(token.src || "", "image", linkPolicy);
+        let alt = token.alt || "";
+        // Rejected images are replaced by their alt text
+        if (src === null) {
+          return escapeHTML(alt);
+        }
+        return `<img src="${urlAttribute(src)}" alt="${escapeAttribute(
+          alt
+        )}"${titleAttr(token)}${applyCustomStyle ? ` class="ct-parsed image"` : ""} />`;
+      }
+
+      case "code":
+        return (
+          `<code${applyCustomStyle ? ` class="ct-parsed code"` : ""}>` +
+          escapeHTML(token.content) +
+          `</code>`
+        );
+
+      case "footnoteRef": {
+        const key = String(token.id).toLowerCase();
+        // References without a definition stay text
+        if (!footnotes.definitions.has(key)) {
+          return escapeHTML(`[^${token.id}]`);
+        }
+        if (!footnotes.refs.has(key)) {
+          footnotes.order.push(key);
+          footnotes.refs.set(key, []);
+        }
+        const number = footnotes.order.indexOf(key) + 1;
+        const refIds = footnotes.refs.get(key);
+        // Later references to the same footnote get their own id for back-links
+        const refId = `${footnoteIdPrefix}fnref-${number}${
+          refIds.length > 0 ? `-${refIds.length + 1}` : ""
+        }`;
+        refIds.push(refId);
+        return (
+          `<sup${applyCustomStyle ? ` class="ct-parsed footnote-ref"` : ""}>` +
+          `<a href="#${escapeAttribute(footnoteIdPrefix)}fn-${number}" id="${escapeAttribute(refId)}">${number}</a></sup>`
+        );
+      }
+
+      case "highlight":
+        return (
+          `<mark${
+            applyCustomStyle ? ` class="ct-parsed highlight"` : ""
+          }>` +
+          inlineTokensToHTML(token.content) +
+          `</mark>`
+        );
+
+      default:
+        // If content is nested tokens, recurse; otherwise, escape
+        if (Array.isArray(token.content)) {
+          return inlineTokensToHTML(token.content);
+        }
+        return escapeHTML(token.content || "");
+    }
   }
 
   /**
@@ -270,37 +780,65 @@ function convertTokensToHTML(tokens) {
   /**
    * Render list items, supporting nested sublists.
    *
+   * Items with `blocks` (from the 'commonmark' flavor) contain block tokens
+   * instead of inline content. In tight lists their paragraphs are rendered
+   * without <p> tags.
+   *
+   * A generator run by runRender(), yielding the content of the items and
+   * their sublists.
+   *
    * @param {Array} items - List items (each with `content` and optional nested `items`)
    * @param {boolean} ordered - True if ordered list (<ol>), false if unordered (<ul>)
-   * @returns {string} HTML string for nested list
+   * @param {boolean} [tight] - False for loose lists whose item paragraphs keep <p>
+   * @returns {Generator} Generator returning the HTML string for the items
    */
-  function renderListItems(items, ordered) {
+  function* listItemsHTML(items, ordered, tight = true) {
     // Handle undefined or null items
     if (!items || !Array.isArray(items)) {
       return "";
     }
 
-    return items
-      .map((item) => {
-        const inlineHTML = inlineTokensToHTML(item.content);
-
-        let nestedListHTML = "";
-        const nestedItems = item.items || item.children || [];
-        if (nestedItems.length > 0) {
-          nestedListHTML = ordered
-            ? `<ol${
-                applyCustomStyle ? ` class="ct-parsed olist nested-list"` : ""
-              }>\n${renderListItems(nestedItems, true)}\n</ol>`
-            : `<ul${
-                applyCustomStyle ? ` class="ct-parsed list nested-list"` : ""
-              }>\n${renderListItems(nestedItems, false)}\n</ul>`;
+    const itemsHTML = [];
+    for (const item of items) {
+      let inlineHTML;
+      if (Array.isArray(item.blocks)) {
+        if (tight) {
+          const blocksHTMLs = [];
+          for (const block of item.blocks) {
+            blocksHTMLs.push(
+              block.megaType === "paragraph"
+                ? inlineTokensToHTML(block.content)
+                : yield blocksHTML([block])
+            );
+          }
+          inlineHTML = blocksHTMLs.join("\n");
+        } else {
+          inlineHTML = item.blocks.length > 0 ? `\n${yield blocksHTML(item.blocks)}\n` : "";
         }
+      } else {
+        inlineHTML = inlineTokensToHTML(item.content);
+      }
+
+      let nestedListHTML = "";
+      const nestedItems = item.items || item.children || [];
+      if (nestedItems.length > 0) {
+        const nestedHTML = yield listItemsHTML(nestedItems, ordered, true);
+        nestedListHTML = ordered
+          ? `<ol${
+              applyCustomStyle ? ` class="ct-parsed olist nested-list"` : ""
+            }>\n${nestedHTML}\n</ol>`
+          : `<ul${
+              applyCustomStyle ? ` class="ct-parsed list nested-list"` : ""
+            }>\n${nestedHTML}\n</ul>`;
+      }
 
-        return `<li${
+      itemsHTML.push(
+        `<li${
           applyCustomStyle ? ` class="ct-parsed list-item"` : ""
-        }>${inlineHTML}${nestedListHTML}</li>`;
-      })
-      .join("\n");
+        }${sourceLineAttr(item)}>${inlineHTML}${nestedListHTML}</li>`
+      );
+    }
+    return itemsHTML.join("\n");
   }
 
   /**
@@ -326,211 +864,410 @@ function convertTokensToHTML(tokens) {
     return String(str).replace(/"/g, "&quot;").replace(/'/g, "&#39;");
   }
 
-  // Main conversion loop: Process each block-level token and convert to HTML
-  // Block tokens include: heading, paragraph, list, table, codeblock, etc.
-  // Results are joined with newlines for readable HTML output
-  return tokens
-    .map((token) => {
+  /**
+   * Renders a table of contents marker as nested lists of links to the
+   * document's headings, from level 'tocMinLevel' to 'tocMaxLevel'. Entries
+   * are plain text, as links can't hold other links.
+   *
+   * @param {Object} token - toc token
+   * @returns {string} <nav> element, empty when nothing is listed
+   */
+  function tocHTML(token) {
+    const tree = buildHeadingTree(
+      footnotes.tokens,
+      settings,
+      settings.tocMinLevel,
+      settings.tocMaxLevel,
+      footnotes.headingId
+    );
+    const renderList = (nodes) => {
+      const items = nodes.map((node) => {
+        const text = escapeHTML(node.text);
+        const entry = node.id ? `<a href="#${escapeAttribute(node.id)}">${text}</a>` : text;
+        const children = node.children.length > 0 ? `\n${renderList(node.children)}\n` : "";
+        return `<li>${entry}${children}</li>`;
+      });
+      return `<ul>\n${items.join("\n")}\n</ul>`;
+    };
+    return `<nav${applyCustomStyle ? ` class="ct-parsed toc"` : ""}${sourceLineAttr(token)}>${
+      tree.length > 0 ? renderList(tree) : ""
+    }</nav>`;
+  }
+
+  /**
+   * Renders a single block token with the built-in markup, for the
+   * renderDefault() helper of custom renderers.
+   *
+   * @param {Object} token - Block token with a 'megaType' property
+   * @returns {string} HTML string for the block
+   */
+  function renderBlockToken(token) {
+    return runRender(blockTokenHTML(token));
+  }
+
+  /**
+   * Renders a list of block tokens, joined with newlines. Footnote
+   * definitions are left out, they're rendered in the footnotes section;
+   * front matter is document data, returned by parseDocument() and never
+   * shown.
+   *
+   * A generator run by runRender(), yielding the generator of each block.
+   *
+   * @param {Array} blockTokens - Block tokens to render
+   * @returns {Generator} Generator returning the HTML string
+   */
+  function* blocksHTML(blockTokens) {
+    const parts = [];
+    for (const token of blockTokens) {
+      if (token && (token.megaType === "footnoteDefinition" || token.megaType === "frontMatter")) {
+        continue;
+      }
       // Handle null/undefined individual tokens
       if (!token || typeof token !== "object") {
-        return "";
+        parts.push("");
+      } else if (typeof renderers[token.megaType] === "function") {
+        // Custom renderers return their HTML right away
+        parts.push(renderWithOverride(token, token.megaType, renderBlockToken));
+      } else {
+        parts.push(yield blockTokenHTML(token));
       }
+    }
+    return parts.join("\n");
+  }
 
-      switch (token.megaType) {
-        case "heading": {
-          // Clamp heading level between 1 and 6 for valid HTML tags
-          const level = Math.min(Math.max(token.level, 1), 6);
-          const idAttr = token.id ? ` id="${escapeAttribute(token.id)}"` : "";
-          return `<h${level}${idAttr}${
-            applyCustomStyle
-              ? ` class="ct-parsed heading heading-${level}"`
-              : ""
-          } ${useAutoID ? `id="${inlineTokensToHTML(token.content).toLowerCase()}"`: ""}>${inlineTokensToHTML(token.content)}</h${level}>`;
+  /**
+   * Renders a single block token with the built-in markup. A generator run
+   * by runRender(), yielding the content of blocks that hold other blocks.
+   *
+   * @param {Object} token - Block token with a 'megaType' property
+   * @returns {Generator} Generator returning the HTML string for the block
+   */
+  function* blockTokenHTML(token) {
+    switch (token.megaType) {
+      case "heading": {
+        // Clamp heading level between 1 and 6 for valid HTML tags
+        const level = Math.min(Math.max(token.level, 1), 6);
+        // Explicit {#id}, else a unique slug of the text (see createHeadingIds())
+        const id = footnotes.headingId(token);
+        const idAttr = id ? ` id="${escapeAttribute(id)}"` : "";
+        // Optional ¶ link to the heading, for copying links to sections
+        const anchorHTML =
+          id && useHeadingAnchors
+            ? `<a${applyCustomStyle ? ` class="ct-parsed heading-anchor"` : ""} href="#${escapeAttribute(id)}" aria-label="Link to this section">¶</a>`
+            : "";
+        return `<h${level}${idAttr}${
+          applyCustomStyle
+            ? ` class="ct-parsed heading heading-${level}"`
+            : ""
+        }${sourceLineAttr(token)}>${inlineTokensToHTML(token.content)}${anchorHTML}</h${level}>`;
+      }
+
+      case "paragraph":
+        return `<p${
+          applyCustomStyle ? ` class="ct-parsed paragraph"` : ""
+        }${sourceLineAttr(token)}>${inlineTokensToHTML(token.content)}</p>`;
+
+      case "blockquote":
+        let blockquoteContent = "";
+        if (Array.isArray(token.content)) {
+          blockquoteContent = yield blocksHTML(token.content);
+        } else if (typeof token.content === "string") {
+          blockquoteContent = escapeHTML(token.content);
+        } else {
+          blockquoteContent = "";
         }
 
-        case "paragraph":
-          return `<p${
-            applyCustomStyle ? ` class="ct-parsed paragraph"` : ""
-          }>${inlineTokensToHTML(token.content)}</p>`;
-
-        case "blockquote":
-          let blockquoteContent = "";
-          if (Array.isArray(token.content)) {
-            blockquoteContent = convertTokensToHTML(token.content);
-          } else if (typeof token.content === "string") {
-            blockquoteContent = escapeHTML(token.content);
-          } else {
-            blockquoteContent = "";
-          }
+        // Handle nested children (for nested blockquotes)
+        if (token.children && Array.isArray(token.children)) {
+          blockquoteContent += yield blocksHTML(token.children);
+        }
 
-          // Handle nested children (for nested blockquotes)
-          if (token.children && Array.isArray(token.children)) {
-            blockquoteContent += convertTokensToHTML(token.children);
-          }
+        return `<blockquote${
+          applyCustomStyle ? ` class="ct-parsed blockquote"` : ""
+        }${sourceLineAttr(token)}>${blockquoteContent}</blockquote>`;
 
-          return `<blockquote${
-            applyCustomStyle ? ` class="ct-parsed blockquote"` : ""
-          }>${blockquoteContent}</blockquote>`;
-
-        case "tasklist":
-          // Task list: render checkbox input + inline content inside <li>
-          return (
-            `<ul${applyCustomStyle ? ` class="ct-parsed tasklist"` : ""}>\n` +
-            (token.items || [])
-              .map(
-                (item) =>
-                  `<li${
-                    applyCustomStyle ? ` class="ct-parsed tasklist-item"` : ""
-                  }>` +
-                  `<input type="checkbox" disabled${
-                    item.checked ? " checked" : ""
-                  } /> ` +
-                  inlineTokensToHTML(item.content) +
-                  `</li>`
-              )
-              .join("\n") +
-            `\n</ul>`
-          );
-
-        case "list":
-          // List: check if ordered or unordered based on the ordered property
-          if (token.ordered) {
-            // Ordered list: similar to unordered list but using <ol> as main tag
-            return `<ol${
-              applyCustomStyle ? ` class="ct-parsed olist"` : ""
-            }>\n${renderListItems(token.items, true)}\n</ol>`;
+      case "tasklist":
+        // Task list: render checkbox input + inline content inside <li>
+        return (
+          `<ul${applyCustomStyle ? ` class="ct-parsed tasklist"` : ""}${sourceLineAttr(token)}>\n` +
+          (token.items || [])
+            .map(
+              (item) =>
+                `<li${
+                  applyCustomStyle ? ` class="ct-parsed tasklist-item"` : ""
+                }${sourceLineAttr(item)}>` +
+                `<input type="checkbox" disabled${
+                  item.checked ? " checked" : ""
+                } /> ` +
+                inlineTokensToHTML(item.content) +
+                `</li>`
+            )
+            .join("\n") +
+          `\n</ul>`
+        );
+
+      case "list":
+        // List: check if ordered or unordered based on the ordered property
+        if (token.ordered) {
+          // Ordered list: similar to unordered list but using <ol> as main tag
+          const startAttr =
+            Number.isInteger(token.start) && token.start !== 1
+              ? ` start="${token.start}"`
+              : "";
+          return `<ol${startAttr}${
+            applyCustomStyle ? ` class="ct-parsed olist"` : ""
+          }${sourceLineAttr(token)}>\n${yield listItemsHTML(token.items, true, token.tight !== false)}\n</ol>`;
+        } else {
+          // Check if this is a task list (items have checked property)
+          const hasCheckedItems =
+            token.items && token.items.some((item) => "checked" in item);
+          if (hasCheckedItems) {
+            // Task list: render checkbox input + inline content inside <li>
+            return (
+              `<ul${
+                applyCustomStyle ? ` class="ct-parsed tasklist"` : ""
+              }${sourceLineAttr(token)}>\n` +
+              (token.items || [])
+                .map(
+                  (item) =>
+                    `<li${
+                      applyCustomStyle
+                        ? ` class="ct-parsed tasklist-item"`
+                        : ""
+                    }${sourceLineAttr(item)}>` +
+                    `<input type="checkbox" disabled${
+                      item.checked ? " checked" : ""
+                    } /> ` +
+                    inlineTokensToHTML(item.content) +
+                    `</li>`
+                )
+                .join("\n") +
+              `\n</ul>`
+            );
           } else {
-            // Check if this is a task list (items have checked property)
-            const hasCheckedItems =
-              token.items && token.items.some((item) => "checked" in item);
-            if (hasCheckedItems) {
-              // Task list: render checkbox input + inline content inside <li>
-              return (
-                `<ul${
-                  applyCustomStyle ? ` class="ct-parsed tasklist"` : ""
-                }>\n` +
-                (token.items || [])
-                  .map(
-                    (item) =>
-                      `<li${
-                        applyCustomStyle
-                          ? ` class="ct-parsed tasklist-item"`
-                          : ""
-                      }>` +
-                      `<input type="checkbox" disabled${
-                        item.checked ? " checked" : ""
-                      } /> ` +
-                      inlineTokensToHTML(item.content) +
-                      `</li>`
-                  )
-                  .join("\n") +
-                `\n</ul>`
-              );
-            } else {
-              // Unordered list: Render each item inline tokens inside <li>
-              return `<ul${
-                applyCustomStyle ? ` class="ct-parsed list"` : ""
-              }>\n${renderListItems(token.items, false)}\n</ul>`;
-            }
+            // Unordered list: Render each item inline tokens inside <li>
+            return `<ul${
+              applyCustomStyle ? ` class="ct-parsed list"` : ""
+            }${sourceLineAttr(token)}>\n${yield listItemsHTML(token.items, false, token.tight !== false)}\n</ul>`;
           }
+        }
 
-        case "horizontalRule":
-          // Horizontal rule
-          return `<hr${applyCustomStyle ? ` class="ct-parsed hr"` : ""}>`;
+      case "horizontalRule":
+        // Horizontal rule
+        return `<hr${applyCustomStyle ? ` class="ct-parsed hr"` : ""}${sourceLineAttr(token)}>`;
 
-        // Code block
-        case "codeBlock":
-          const lang = token.language;
-          let langLabel = "";
+      case "html":
+        // HTML block, an escaped paragraph when allowHtml is off
+        if (useHtml) return rawHtml(token);
+        return `<p${
+          applyCustomStyle ? ` class="ct-parsed paragraph"` : ""
+        }${sourceLineAttr(token)}>${rawHtml(token)}</p>`;
 
-          if (lang) {
-            let iconHTML = "";
-            let nameHTML = "";
+      case "mathBlock":
+        return mathHTML(token, true);
 
-            if (useCodeIcon && useCodeLangName) {
-              iconHTML = `<img src="https://cdn.jsdelivr.net/gh/devicons/devicon@latest/icons/${lang.toLowerCase()}/${lang.toLowerCase()}-original.svg"
-        alt="code icon"${
-          applyCustomStyle ? ` class="ct-parsed codeblock-image"` : ""
-        }`;
-            }
-
-            if (useCodeLangName) {
-              nameHTML = escapeHTML(lang);
-            }
-
-            if (iconHTML || nameHTML) {
-              langLabel = `<div${
-                applyCustomStyle
-                  ? ` class="ct-parsed codeblock-lang-label"`
-                  : ""
-              }>${iconHTML}${nameHTML}</div>`;
-            }
+      case "toc":
+        return tocHTML(token);
+
+      case "callout": {
+        // Callout (> [!NOTE] or :::warning) with an icon and title bar; the
+        // classes stay without the theme, they carry the kind
+        const prefix = applyCustomStyle ? "ct-parsed " : "";
+        const kind = String(token.kind);
+        const isKnown = Object.prototype.hasOwnProperty.call(calloutKinds, kind);
+        const known = isKnown ? calloutKinds[kind] : calloutKinds.note;
+        const titleHTML = Array.isArray(token.title)
+          ? inlineTokensToHTML(token.title)
+          : escapeHTML(isKnown ? known.title : kind.charAt(0).toUpperCase() + kind.slice(1));
+        const iconHTML =
+          `<svg class="${prefix}callout-icon" viewBox="0 0 16 16" width="16" height="16" fill="none" ` +
+          `stroke="currentColor" stroke-width="1.5" stroke-linecap="round" stroke-linejoin="round" ` +
+          `aria-hidden="true">${known.icon}</svg>`;
+        const contentHTML = Array.isArray(token.content) ? yield blocksHTML(token.content) : "";
+        return (
+          `<div class="${prefix}callout callout-${escapeAttribute(kind)}"${sourceLineAttr(token)}>` +
+          `<div class="${prefix}callout-title">${iconHTML}${titleHTML}</div>` +
+          (contentHTML ? `\n${contentHTML}` : "") +
+          `</div>`
+        );
+      }
+
+      // Code block
+      case "codeBlock":
+        // Languages with a fence handler (diagrams and the like) render their own way
+        const handledHTML = fenceHandlerHTML(token);
+        if (handledHTML !== null) return handledHTML;
+
+        const lang = token.language;
+        let langLabel = "";
+
+        if (lang) {
+          // Registry entry for the display name and icon (null if unknown)
+          const language = getLanguage(lang);
+          let iconHTML = "";
+          let nameHTML = "";
+
+          if (useCodeIcon && useCodeLangName) {
+            iconHTML = languageIconHTML(lang, language);
           }
 
-          // Display code content inside <pre><code> block
-          return (
-            langLabel +
-            `<pre${
-              applyCustomStyle ? ` class="ct-parsed codeblock-pre"` : ""
-            }>` +
-            `<code${
-              applyCustomStyle ? ` class="ct-parsed codeblock-code"` : ""
-            }>` +
-            escapeHTML(token.content) +
-            "</code></pre>"
-          );
-
-        // Table
-        case "table": {
-          const headerData = token.header || token.headers || [];
-          const rowsData = token.rows || [];
-
-          const headerHTML = headerData
-            .map(
-              (cellTokens) =>
-                `<th${
-                  applyCustomStyle ? ` class="ct-parsed table-header-cell"` : ""
-                }>${inlineTokensToHTML(cellTokens)}</th>`
-            )
-            .join("");
-          const rowsHTML = rowsData
-            .map(
-              (row) =>
-                `<tr${
-                  applyCustomStyle ? ` class="ct-parsed table-row"` : ""
-                }>` +
-                row
-                  .map(
-                    (cellTokens) =>
-                      `<td${
-                        applyCustomStyle ? ` class="ct-parsed table-cell"` : ""
-                      }>${inlineTokensToHTML(cellTokens)}</td>`
-                  )
-                  .join("") +
-                `</tr>`
-            )
-            .join("\n");
-
-          const tableHTML = `<table${
-            applyCustomStyle ? ` class="ct-parsed table"` : ""
-          }>`;
-          const theadHTML =
-            headerData.length > 0
-              ? `<thead><tr>${headerHTML}</tr></thead>`
-              : "";
-          const tbodyHTML = `<tbody>${rowsHTML}</tbody>`;
+          if (useCodeLangName) {
+            nameHTML = escapeHTML(language ? language.name : lang);
+          }
 
-          return `<div${
-            applyCustomStyle ? ` class="ct-parsed table-container"` : ""
-          }>${tableHTML}${theadHTML}${tbodyHTML}</table></div>`;
+          if (iconHTML || nameHTML) {
+            langLabel = `<div${
+              applyCustomStyle
+                ? ` class="ct-parsed codeblock-lang-label"`
+                : ""
+            }>${iconHTML}${nameHTML}</div>`;
+          }
         }
 
-        default:
-          // For unknown/unsupported tokens, render empty string
-          return "";
+        // File name from the info string (title="app.js"), above the code
+        const filenameHTML = token.filename
+          ? `<div${
+              applyCustomStyle ? ` class="ct-parsed codeblock-filename"` : ""
+            }>${escapeHTML(token.filename)}</div>`
+          : "";
+
+        // Display code content inside <pre><code> block
+        return (
+          langLabel +
+          filenameHTML +
+          `<pre${
+            applyCustomStyle ? ` class="ct-parsed codeblock-pre"` : ""
+          }${sourceLineAttr(token)}>` +
+          `<code${
+            applyCustomStyle
+              ? ` class="ct-parsed codeblock-code${lang ? ` language-${escapeAttribute(lang)}` : ""}"`
+              : lang
+              ? ` class="language-${escapeAttribute(lang)}"`
+              : ""
+          }>` +
+          codeLinesHTML(token, codeBlockHTML(token.content, lang || "")) +
+          "</code></pre>"
+        );
+
+      // Table
+      case "table": {
+        const headerData = token.header || token.headers || [];
+        const rowsData = token.rows || [];
+        const rowPositions = token.rowPositions || [];
+        const alignments = token.align || [];
+        // Column alignment from the separator row (:--, :-: or --:)
+        const alignAttr = (column) =>
+          ["left", "center", "right"].includes(alignments[column])
+            ? ` style="text-align:${alignments[column]}"`
+            : "";
+
+        const headerHTML = headerData
+          .map(
+            (cellTokens, column) =>
+              `<th${
+                applyCustomStyle ? ` class="ct-parsed table-header-cell"` : ""
+              }${alignAttr(column)}>${inlineTokensToHTML(cellTokens)}</th>`
+          )
+          .join("");
+        const rowsHTML = rowsData
+          .map(
+            (row, rowIndex) =>
+              `<tr${
+                applyCustomStyle ? ` class="ct-parsed table-row"` : ""
+              }${sourceLineAttr({ position: rowPositions[rowIndex] })}>` +
+              row
+                .map(
+                  (cellTokens, column) =>
+                    `<td${
+                      applyCustomStyle ? ` class="ct-parsed table-cell"` : ""
+                    }${alignAttr(column)}>${inlineTokensToHTML(cellTokens)}</td>`
+                )
+                .join("") +
+              `</tr>`
+          )
+          .join("\n");
+
+        const tableHTML = `<table${
+          applyCustomStyle ? ` class="ct-parsed table"` : ""
+        }>`;
+        const theadHTML =
+          headerData.length > 0
+            ? `<thead><tr${sourceLineAttr({
+                position: token.headerPosition,
+              })}>${headerHTML}</tr></thead>`
+            : "";
+        const tbodyHTML = `<tbody>${rowsHTML}</tbody>`;
+
+        return `<div${
+          applyCustomStyle ? ` class="ct-parsed table-container"` : ""
+        }${sourceLineAttr(token)}>${tableHTML}${theadHTML}${tbodyHTML}</table></div>`;
       }
-    })
-    .join("\n");
+
+      default:
+        // For unknown/unsupported tokens, render empty string
+        return "";
+    }
+  }
+
+  /**
+   * Renders a footnote definition as an item of the footnotes section, with a
+   * back-link to every reference to it (placed inside its last paragraph).
+   *
+   * @param {Object} definition - footnoteDefinition token
+   * @param {number} number - Number of the footnote
+   * @returns {string} HTML string for the <li>
+   */
+  function renderFootnoteItem(definition, number) {
+    const content = renderBlocks(definition.content || []);
+    const refIds = footnotes.refs.get(String(definition.id).toLowerCase()) || [];
+    const backLinks = refIds
+      .map(
+        (refId, index) =>
+          `<a href="#${escapeAttribute(refId)}"${
+            applyCustomStyle ? ` class="ct-parsed footnote-backref"` : ""
+          } aria-label="Back to reference ${number}${
+            index > 0 ? `-${index + 1}` : ""
+          }">\u21a9${index > 0 ? `<sup>${index + 1}</sup>` : ""}</a>`
+      )
+      .join(" ");
+    const body = content.endsWith("</p>")
+      ? `${content.slice(0, -"</p>".length)} ${backLinks}</p>`
+      : `${content}\n${backLinks}`;
+    return `<li id="${escapeAttribute(footnoteIdPrefix)}fn-${number}"${
+      applyCustomStyle ? ` class="ct-parsed footnote-item"` : ""
+    }${sourceLineAttr(definition)}>\n${body}\n</li>`;
+  }
+
+  /**
+   * Renders the footnotes section at the end of the document: the referenced
+   * definitions in order of their first reference.
+   *
+   * @returns {string} HTML string for the section, "" without footnotes
+   */
+  function renderFootnotes() {
+    const items = [];
+    // Footnotes can reference other footnotes, growing the order while looping
+    for (let index = 0; index < footnotes.order.length; index++) {
+      const definition = footnotes.definitions.get(footnotes.order[index]);
+      items.push(
+        renderWithOverride(definition, "footnoteDefinition", (token) =>
+          renderFootnoteItem(token, index + 1)
+        )
+      );
+    }
+    if (items.length === 0) return "";
+    return (
+      `<section${applyCustomStyle ? ` class="ct-parsed footnotes"` : ""}>` +
+      `<ol${applyCustomStyle ? ` class="ct-parsed footnote-list"` : ""}>\n` +
+      `${items.join("\n")}\n</ol></section>`
+    );
+  }
+
+  // Main conversion: Process each block-level token and convert to HTML
+  // Block tokens include: heading, paragraph, list, table, codeblock, etc.
+  // Results are joined with newlines for readable HTML output.
+  const html = renderBlocks(tokens);
+  return [html, renderFootnotes()].filter(Boolean).join("\n");
 }
 
 export default convertTokensToHTML;